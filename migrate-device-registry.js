@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+// Builds the device_registry collection from the devices embedded in
+// User.spaces[].devices[].
+//
+// Safe to run more than once: every user's entries are upserted by device_id and
+// entries the user no longer has are removed. A device_id embedded under more than
+// one user is reported and left alone, since the registry can only point at one owner.
+//
+// Usage:
+//   node migrate-device-registry.js [--dry-run]
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { User } from "./src/config/dbconfig.js";
+import {
+  RegisteredDevice,
+  syncUserDevices,
+} from "./src/services/deviceRegistryService.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+// device_id -> [{ user_id, mobile_number, space_name }]
+async function findEmbeddedDevices() {
+  const owners = new Map();
+
+  const cursor = User.find({})
+    .select("mobile_number spaces._id spaces.space_name spaces.devices.device_id")
+    .lean()
+    .cursor();
+
+  for await (const user of cursor) {
+    (user.spaces || []).forEach((space) => {
+      (space.devices || []).forEach((device) => {
+        const list = owners.get(device.device_id) || [];
+        if (!list.some((owner) => owner.user_id.equals(user._id) && owner.space_id.equals(space._id))) {
+          list.push({
+            user_id: user._id,
+            mobile_number: user.mobile_number,
+            space_id: space._id,
+            space_name: space.space_name,
+          });
+        }
+        owners.set(device.device_id, list);
+      });
+    });
+  }
+
+  return owners;
+}
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`🔌 Connected to MongoDB${dryRun ? " (dry run)" : ""}`);
+
+  const owners = await findEmbeddedDevices();
+  const conflicts = [...owners.entries()].filter(([, list]) => list.length > 1);
+
+  console.log(`📦 Found ${owners.size} distinct devices`);
+  if (conflicts.length > 0) {
+    console.warn(`⚠️ ${conflicts.length} device(s) are embedded in more than one space:`);
+    conflicts.forEach(([deviceId, list]) => {
+      console.warn(
+        `   ${deviceId}: ${list.map((o) => `${o.mobile_number}/${o.space_name}`).join(", ")}`
+      );
+    });
+  }
+
+  if (dryRun) {
+    console.log("✅ Dry run finished, nothing written");
+    return;
+  }
+
+  await RegisteredDevice.syncIndexes();
+
+  const conflictingUsers = new Set(
+    conflicts.flatMap(([, list]) => list.map((owner) => owner.user_id.toString()))
+  );
+
+  let users = 0;
+  let devices = 0;
+  let skipped = 0;
+
+  const cursor = User.find({}).cursor();
+  for await (const user of cursor) {
+    if (conflictingUsers.has(user._id.toString())) {
+      skipped++;
+      continue;
+    }
+
+    devices += await syncUserDevices(user);
+    users++;
+  }
+
+  console.log(`✅ Registered ${devices} device(s) for ${users} user(s)`);
+  if (skipped > 0) {
+    console.warn(`⚠️ Skipped ${skipped} user(s) with conflicting devices - resolve them and run again`);
+  }
+}
+
+migrate()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+// Moves tank levels from tank_readings into the telemetry store: the hourly and
+// daily rollups are built from every reading, and readings still inside the raw
+// retention (TELEMETRY_RAW_RETENTION_DAYS) are copied into the sensor_levels
+// time-series collection.
+//
+// Only readings older than the first one already in sensor_levels are migrated,
+// so the levels recorded live since deploying are not counted twice and the
+// script is safe to run more than once.
+//
+// Usage:
+//   node migrate-telemetry.js [--dry-run]
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { TankReading } from "./src/services/migratedDataService.js";
+import {
+  SensorLevel,
+  SensorRollup,
+  bucketStart,
+  rebuildRollups,
+  rollupStages,
+} from "./src/services/telemetryService.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+const BATCH_SIZE = 1000;
+const RAW_RETENTION_DAYS = parseInt(process.env.TELEMETRY_RAW_RETENTION_DAYS) || 90;
+
+// tank_readings documents as sensor_levels readings
+const toReading = {
+  $project: {
+    _id: 0,
+    timestamp: 1,
+    meta: { deviceid: "$deviceid", sensor_no: "$sensor_no" },
+    level: { $cond: [{ $isNumber: "$level" }, "$level", "$value"] },
+  },
+};
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log(`🔌 Connected to MongoDB${dryRun ? " (dry run)" : ""}`);
+
+  await SensorLevel.init();
+  await SensorRollup.init();
+
+  const firstLive = await SensorLevel.findOne().sort({ timestamp: 1 }).lean();
+  const retainedFrom = new Date(Date.now() - RAW_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const query = {
+    message_type: { $in: ["update", "mqtt_update"] },
+    sensor_no: { $exists: true, $ne: null },
+    $or: [{ level: { $type: "number" } }, { value: { $type: "number" } }],
+    ...(firstLive && { timestamp: { $lt: firstLive.timestamp } }),
+  };
+
+  const total = await TankReading.countDocuments(query);
+  const retained = await TankReading.countDocuments({
+    ...query,
+    timestamp: { ...query.timestamp, $gte: retainedFrom },
+  });
+  console.log(
+    `📦 Found ${total} tank reading(s) to roll up, ${retained} recent enough to copy` +
+      (firstLive ? ` (before ${firstLive.timestamp.toISOString()})` : "")
+  );
+
+  if (dryRun) {
+    console.log("✅ Dry run finished, nothing written");
+    return;
+  }
+  if (total === 0) return;
+
+  let copied = 0;
+  let batch = [];
+
+  const flush = async () => {
+    await SensorLevel.insertMany(batch, { ordered: false });
+    copied += batch.length;
+    batch = [];
+    console.log(`   copied ${copied}/${retained}`);
+  };
+
+  const cursor = TankReading.aggregate([
+    { $match: { ...query, timestamp: { ...query.timestamp, $gte: retainedFrom } } },
+    { $sort: { timestamp: 1 } },
+    toReading,
+  ]).cursor();
+
+  for await (const reading of cursor) {
+    batch.push(reading);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  if (batch.length > 0) await flush();
+
+  // Days before the first live reading come from tank_readings alone. The day it
+  // falls on mixes migrated and live readings, which are all in sensor_levels now.
+  const liveDay = firstLive ? bucketStart(firstLive.timestamp, "day") : null;
+  for (const resolution of ["hour", "day"]) {
+    await TankReading.aggregate([
+      { $match: { ...query, ...(liveDay && { timestamp: { $lt: liveDay } }) } },
+      toReading,
+      ...rollupStages(resolution),
+    ]).allowDiskUse(true);
+  }
+  if (firstLive) {
+    await rebuildRollups({ from: firstLive.timestamp, to: firstLive.timestamp });
+  }
+
+  console.log(`✅ Rolled up ${total} reading(s), copied ${copied}`);
+}
+
+migrate()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,441 @@
+#!/usr/bin/env node
+
+// Device simulator for IOTIQBM base modules (BM1/BM2) and their tank slaves (TM1–TM4).
+//
+// Loads the devices of a seeded user's space from MongoDB, connects to the MQTT
+// broker configured for the "broker" transport (see src/config/mqttConfig.js) and
+// behaves like the firmware:
+//   - publishes /update, /alive_reply, /health_reply and /slave_response
+//   - fills tanks while their pump switch is on and drains them otherwise
+//   - reacts to /control, /setting, /slave_request, /reset and /status_request
+//
+// Usage:
+//   node simulate-devices.js --mobile 9876543210 --space home [--interval 5]
+//     [--fill-rate 2] [--drain-rate 0.5] [--alive-interval 60] [--health-interval 300]
+
+import dotenv from "dotenv";
+import fs from "fs";
+import mongoose from "mongoose";
+import mqtt from "mqtt";
+import { User } from "./src/config/dbconfig.js";
+import { getTopic } from "./src/config/awsIotConfig.js";
+import { MQTT_BROKER_CONFIG } from "./src/config/mqttConfig.js";
+
+dotenv.config();
+
+const FIRMWARE_VERSION = "sim-1.0.0";
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      const key = argv[i].slice(2);
+      const next = argv[i + 1];
+      if (next === undefined || next.startsWith("--")) {
+        args[key] = true;
+      } else {
+        args[key] = next;
+        i++;
+      }
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+const options = {
+  mobile: args.mobile,
+  space: args.space,
+  interval: parseFloat(args.interval) || 5, // seconds between level updates
+  fillRate: parseFloat(args["fill-rate"]) || 2, // % per tick while the pump runs
+  drainRate: parseFloat(args["drain-rate"]) || 0.5, // % per tick of household usage
+  aliveInterval: parseFloat(args["alive-interval"]) || 60,
+  healthInterval: parseFloat(args["health-interval"]) || 300,
+};
+
+if (!options.mobile || !options.space) {
+  console.error("Usage: node simulate-devices.js --mobile <mobile_number> --space <space id or name>");
+  process.exit(1);
+}
+
+// deviceid -> simulated base module
+const bases = new Map();
+// thing name -> deviceid, for routing inbound topics
+const thingToDevice = new Map();
+
+let client = null;
+const startedAt = Date.now();
+
+function publish(kind, base, payload) {
+  const topic = getTopic(kind, base.thing_name, kind);
+  const message = {
+    deviceid: base.device_id,
+    thingId: base.thing_name,
+    ...payload,
+    timestamp: new Date().toISOString(),
+  };
+
+  client.publish(topic, JSON.stringify(message), { qos: 1 });
+  console.log(`📤 ${topic}`, JSON.stringify(payload));
+}
+
+// ✅ Outbound messages
+
+function publishSwitchUpdate(base, switchNo, correlationId) {
+  publish("update", base, {
+    switch_no: switchNo,
+    status: base.switches[switchNo],
+    ...(correlationId && { correlation_id: correlationId }),
+  });
+}
+
+function publishTankUpdate(base, tank) {
+  const level = Math.round(tank.level);
+  publish("update", base, {
+    sensor_no: tank.sensor_no,
+    value: level,
+    level,
+  });
+}
+
+function publishAlive(base) {
+  publish("alive", base, {
+    status: "alive",
+    firmware_version: FIRMWARE_VERSION,
+  });
+}
+
+function publishHealth(base) {
+  publish("health", base, {
+    firmware_version: FIRMWARE_VERSION,
+    uptime: Math.round((Date.now() - base.bootedAt) / 1000),
+    rssi: -50 - Math.round(Math.random() * 30),
+    free_heap: 150000 + Math.round(Math.random() * 20000),
+    switches: { ...base.switches },
+    tanks: [...base.tanks.values()].map((tank) => ({
+      sensor_no: tank.sensor_no,
+      level: Math.round(tank.level),
+    })),
+  });
+}
+
+// ✅ Firmware behaviour
+
+function setSwitch(base, switchNo, status, correlationId) {
+  if (!["BM1", "BM2"].includes(switchNo) || !["on", "off"].includes(status)) {
+    console.warn(`⚠️ Ignoring invalid switch command for ${base.device_id}: ${switchNo} ${status}`);
+    return;
+  }
+
+  const changed = base.switches[switchNo] !== status;
+  base.switches[switchNo] = status;
+  if (changed) {
+    console.log(`🔌 ${base.device_id} ${switchNo} → ${status}`);
+  }
+
+  // Firmware reports the state even when it did not change
+  publishSwitchUpdate(base, switchNo, correlationId);
+}
+
+// Action codes look like "BM0S1ON" - base module, switch 1, on
+function applyActionCodes(base, codes, invert = false) {
+  codes.forEach((code) => {
+    const match = /^BM0S([12])(ON|OFF)$/.exec(code || "");
+    if (!match) return;
+
+    let status = match[2].toLowerCase();
+    if (invert) status = status === "on" ? "off" : "on";
+    setSwitch(base, `BM${match[1]}`, status);
+  });
+}
+
+// Tank settings: run the actions when the level falls to Trigger, undo them at Stop
+function runTankAutomation(base, tank) {
+  const setting = tank.setting;
+  if (!setting) return;
+
+  if (!tank.filling && tank.level <= setting.trigger) {
+    tank.filling = true;
+    console.log(`🚰 ${tank.sensor_no} reached trigger ${setting.trigger}%`);
+    applyActionCodes(base, setting.actions);
+  } else if (tank.filling && tank.level >= setting.stop) {
+    tank.filling = false;
+    console.log(`🛑 ${tank.sensor_no} reached stop ${setting.stop}%`);
+    applyActionCodes(base, setting.actions, true);
+  }
+}
+
+function tick() {
+  bases.forEach((base) => {
+    base.tanks.forEach((tank) => {
+      const pumpOn = base.switches[tank.parent_switch_no] === "on";
+      const noise = (Math.random() - 0.5) * 0.2;
+      const delta = pumpOn ? options.fillRate : -options.drainRate;
+
+      tank.level = Math.min(100, Math.max(0, tank.level + delta + noise));
+      publishTankUpdate(base, tank);
+      runTankAutomation(base, tank);
+    });
+  });
+}
+
+// ✅ Inbound topics
+
+function handleControl(base, message) {
+  setSwitch(base, message.switch_no || "BM1", message.status, message.correlation_id);
+}
+
+function handleSetting(base, message) {
+  if (message.sensor_no) {
+    const tank = base.tanks.get(message.sensor_no);
+    if (!tank) {
+      console.warn(`⚠️ Setting for unknown sensor ${message.sensor_no} on ${base.device_id}`);
+      return;
+    }
+
+    tank.setting = {
+      slot: message.slot,
+      trigger: parseFloat(message.Trigger),
+      stop: parseFloat(message.Stop),
+      actions: Object.keys(message)
+        .filter((key) => /^A\d+$/.test(key))
+        .sort()
+        .map((key) => message[key]),
+    };
+    tank.filling = false;
+    console.log(`⚙️ ${base.device_id} ${tank.sensor_no} setting applied`, tank.setting);
+  } else {
+    base.setting = message;
+    console.log(`⚙️ ${base.device_id} base setting applied`);
+  }
+
+  // Report current state so the backend sees the device processed the setting
+  publish("update", base, {
+    switch_no: "BM1",
+    status: base.switches.BM1,
+    ...(message.correlation_id && { correlation_id: message.correlation_id }),
+  });
+}
+
+function handleSlaveRequest(base, message) {
+  const sensorNo = message.sensor_no;
+  if (!/^TM[1-4]$/.test(sensorNo || "")) {
+    console.warn(`⚠️ Slave request with invalid sensor_no ${sensorNo}`);
+    return;
+  }
+
+  if (!base.tanks.has(sensorNo)) {
+    base.tanks.set(sensorNo, {
+      sensor_no: sensorNo,
+      slave_id: message.slaveid || `${base.device_id}_${sensorNo}`,
+      parent_switch_no: "BM1",
+      level: 50,
+      filling: false,
+    });
+  }
+  const tank = base.tanks.get(sensorNo);
+
+  // Pairing takes a moment on real hardware
+  setTimeout(() => {
+    publish("slaveResponse", base, {
+      slaveid: message.slaveid || tank.slave_id,
+      sensor_no: sensorNo,
+      mode: message.mode,
+      channel: message.channel,
+      addl: message.addl,
+      addh: message.addh,
+      range: message.range,
+      capacity: message.capacity,
+      status: "connected",
+    });
+  }, 1000);
+}
+
+function handleReset(base) {
+  console.log(`♻️ ${base.device_id} resetting`);
+  base.switches = { BM1: "off", BM2: "off" };
+  base.tanks.forEach((tank) => {
+    tank.setting = null;
+    tank.filling = false;
+  });
+
+  // Comes back after a reboot
+  setTimeout(() => {
+    base.bootedAt = Date.now();
+    publishAlive(base);
+    publishSwitchUpdate(base, "BM1");
+    publishSwitchUpdate(base, "BM2");
+  }, 3000);
+}
+
+function handleStatusRequest(base, message) {
+  const tank = base.tanks.get(message.sensor_no);
+  if (tank) {
+    publishTankUpdate(base, tank);
+  }
+}
+
+const inboundHandlers = {
+  control: handleControl,
+  setting: handleSetting,
+  slave_request: handleSlaveRequest,
+  reset: handleReset,
+  status_request: handleStatusRequest,
+};
+
+function onMessage(topic, payload) {
+  // mqtt/device/<thing>/<suffix>
+  const [, , thingName, suffix] = topic.split("/");
+  const base = bases.get(thingToDevice.get(thingName));
+  const handler = inboundHandlers[suffix];
+  if (!base || !handler) return;
+
+  let message;
+  try {
+    message = JSON.parse(payload.toString());
+  } catch (error) {
+    console.error(`❌ Invalid JSON on ${topic}: ${error.message}`);
+    return;
+  }
+
+  if (message.deviceid && message.deviceid !== base.device_id) {
+    return;
+  }
+
+  console.log(`📥 ${topic}`, JSON.stringify(message));
+  handler(base, message);
+}
+
+// ✅ Setup
+
+async function loadSpace() {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const user = await User.findOne({ mobile_number: options.mobile }).lean();
+  if (!user) {
+    throw new Error(`User ${options.mobile} not found`);
+  }
+
+  const space = user.spaces.find(
+    (s) => s._id.toString() === options.space || s.space_name === options.space
+  );
+  if (!space) {
+    throw new Error(`Space ${options.space} not found for user ${options.mobile}`);
+  }
+
+  await mongoose.disconnect();
+  return space;
+}
+
+function buildDevices(space) {
+  space.devices
+    .filter((device) => device.device_type === "base")
+    .forEach((device) => {
+      // A base module is stored once per switch
+      if (!bases.has(device.device_id)) {
+        if (!device.thing_name) {
+          console.warn(`⚠️ Base ${device.device_id} has no thing_name, skipping`);
+          return;
+        }
+        bases.set(device.device_id, {
+          device_id: device.device_id,
+          thing_name: device.thing_name,
+          switches: { BM1: "off", BM2: "off" },
+          tanks: new Map(),
+          bootedAt: Date.now(),
+        });
+        thingToDevice.set(device.thing_name, device.device_id);
+      }
+
+      const base = bases.get(device.device_id);
+      if (device.switch_no && device.status) {
+        base.switches[device.switch_no] = device.status;
+      }
+    });
+
+  space.devices
+    .filter((device) => device.device_type === "tank" && device.parent_device_id)
+    .forEach((device) => {
+      const base = bases.get(device.parent_device_id);
+      if (!base || !device.slave_name) return;
+
+      base.tanks.set(device.slave_name, {
+        sensor_no: device.slave_name,
+        slave_id: device.device_id,
+        parent_switch_no: device.parent_switch_no || "BM1",
+        level: typeof device.level === "number" ? device.level : 50,
+        filling: false,
+        setting: null,
+      });
+    });
+}
+
+function connectBroker() {
+  const config = MQTT_BROKER_CONFIG;
+  const connectOptions = {
+    clientId: `device-simulator-${process.pid}`,
+    username: config.username,
+    password: config.password,
+    rejectUnauthorized: config.rejectUnauthorized,
+    reconnectPeriod: config.reconnectMinDelay,
+  };
+  if (config.caPath) connectOptions.ca = fs.readFileSync(config.caPath);
+  if (config.certPath) connectOptions.cert = fs.readFileSync(config.certPath);
+  if (config.keyPath) connectOptions.key = fs.readFileSync(config.keyPath);
+
+  return mqtt.connect(config.url, connectOptions);
+}
+
+async function main() {
+  const space = await loadSpace();
+  buildDevices(space);
+
+  if (bases.size === 0) {
+    throw new Error(`Space ${space.space_name} has no base devices with a thing_name`);
+  }
+
+  bases.forEach((base) => {
+    console.log(
+      `🤖 Simulating ${base.device_id} (${base.thing_name}) with tanks: ${
+        [...base.tanks.keys()].join(", ") || "none"
+      }`
+    );
+  });
+
+  client = connectBroker();
+  client.on("message", onMessage);
+  client.on("error", (error) => console.error(`❌ MQTT error: ${error.message}`));
+
+  client.on("connect", () => {
+    console.log(`✅ Connected to ${MQTT_BROKER_CONFIG.url}`);
+
+    bases.forEach((base) => {
+      ["control", "setting", "slaveRequest", "reset"].forEach((kind) => {
+        client.subscribe(getTopic(kind, base.thing_name, kind), { qos: 1 });
+      });
+      client.subscribe(`mqtt/device/${base.thing_name}/status_request`, { qos: 1 });
+
+      publishAlive(base);
+      publishSwitchUpdate(base, "BM1");
+      publishSwitchUpdate(base, "BM2");
+    });
+  });
+
+  const timers = [
+    setInterval(tick, options.interval * 1000),
+    setInterval(() => bases.forEach(publishAlive), options.aliveInterval * 1000),
+    setInterval(() => bases.forEach(publishHealth), options.healthInterval * 1000),
+  ];
+
+  process.on("SIGINT", () => {
+    console.log("\n👋 Stopping simulator");
+    timers.forEach(clearInterval);
+    client.end(false, () => process.exit(0));
+  });
+}
+
+main().catch((error) => {
+  console.error(`❌ Simulator failed: ${error.message}`);
+  process.exit(1);
+});
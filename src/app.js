@@ -19,6 +19,7 @@ import { autoRefreshMiddleware } from "./middlewares/authMiddleware.js";
 import setupRoutes from './routes/setupRoutes.js';
 import { MongoClient } from "mongodb"; // ✅ Used for /logs route
 import traceRoutes from "./routes/traceRoutes.js"; // ✅ Import trace routes
+import adminRoutes from "./routes/adminRoutes.js";
 import path from 'path';
 import crypto from 'crypto';
 
@@ -81,6 +82,7 @@ app.use("/", controlRoutes);
 app.use("/", userRoutes);
 app.use("/", tankDataRoutes);
 app.use("/", setupRoutes);
+app.use("/", adminRoutes);
 app.use('/', traceRoutes); // or app.use('/traces', traceRoutes);
 
 // ✅ NEW: Serve logs from MongoDB for the dashboard
@@ -169,6 +169,46 @@ const conditionSchema = new mongoose.Schema({
   actions: [actionSchema],
 });
 
+// Sub-condition of a multi-condition setup (evaluated by the backend only)
+const ruleConditionSchema = new mongoose.Schema({
+  device_id: {
+    type: String,
+    required: [true, "Device ID for condition is required"],
+  },
+  device_type: {
+    type: String,
+    required: [true, "Device type for condition is required"],
+    enum: ["base", "tank"],
+  },
+  switch_no: {
+    type: String,
+    enum: ["BM1", "BM2"],
+    required: function () {
+      return this.device_type === "base";
+    }
+  },
+  status: {
+    type: String,
+    enum: ["on", "off"],
+    required: function () {
+      return this.device_type === "base";
+    },
+  },
+  level: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: function () {
+      return this.device_type === "tank";
+    },
+  },
+  operator: {
+    type: String,
+    enum: ["<", ">", "<=", ">=", "=="],
+    default: "<",
+  },
+});
+
 const setupSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -179,9 +219,27 @@ const setupSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Single-device condition (published to the firmware)
   condition: {
     type: conditionSchema,
-    required: [true, "Condition is required"],
+    required: [
+      function () {
+        return !this.conditions || this.conditions.length === 0;
+      },
+      "Condition is required",
+    ],
+  },
+  // Multi-condition rule: conditions combined with AND/OR, then actions
+  logic: {
+    type: String,
+    enum: ["AND", "OR"],
+    default: "AND",
+  },
+  conditions: [ruleConditionSchema],
+  actions: [actionSchema],
+  // Outcome of the last multi-condition evaluation ({ met, evaluated_at, results })
+  last_evaluation: {
+    type: mongoose.Schema.Types.Mixed,
   },
   created_at: {
     type: Date,
@@ -193,6 +251,15 @@ const setupSchema = new mongoose.Schema({
   },
   last_triggered: {
     type: Date
+  },
+  // Hysteresis state for tank conditions: "filling" between trigger and stop
+  automation_state: {
+    type: String,
+    enum: ["idle", "filling"],
+    default: "idle",
+  },
+  state_changed_at: {
+    type: Date
   }
 });
 
@@ -348,6 +415,11 @@ const deviceSchema = new mongoose.Schema(
         );
       },
     },
+    // Rated power of the pump on a base switch, for energy estimates
+    pump_power_watts: {
+      type: Number,
+      min: 0,
+    },
     thing_name: {
       type: String, // AWS IoT thing name
       required: function () {
@@ -382,6 +454,11 @@ const spaceSchema = new mongoose.Schema({
     type: String,
     required: [true, "Address is required"],
   },
+  // IANA timezone used to run time-based schedules in local time
+  timezone: {
+    type: String,
+    default: "Asia/Kolkata",
+  },
   devices: [deviceSchema],
   setups: [setupSchema], // Changed from single setup to array of setups
   created_at: {
@@ -392,6 +469,7 @@ const spaceSchema = new mongoose.Schema({
 
 // OTP Record Schema
 const otpRecordSchema = new mongoose.Schema({
+  // HMAC of the code, never the code itself
   otp: {
     type: String,
     required: [true, "OTP is required"],
@@ -404,8 +482,18 @@ const otpRecordSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Verification attempts on the current code
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Set after too many wrong codes; no OTP is sent or checked until then
+  locked_until: Date,
 });
 
+// Platform roles: customers use the app, support and admin staff manage users
+const USER_ROLES = ["customer", "support", "admin"];
+
 // User Schema
 const userSchema = new mongoose.Schema(
   {
@@ -425,6 +513,13 @@ const userSchema = new mongoose.Schema(
         message: (props) => `${props.value} is not a valid mobile number!`,
       },
     },
+    // Optional; OTPs fall back to email when the phone channels fail
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, "Invalid email address"],
+    },
     spaces: {
       type: [spaceSchema],
       validate: {
@@ -442,6 +537,11 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      default: "customer",
+    },
   },
   { timestamps: true }
 );
@@ -451,4 +551,4 @@ const User = mongoose.model("User", userSchema);
 const Space = mongoose.model("Space", spaceSchema);
 const Device = mongoose.model("Device", deviceSchema);
 
-export { connectDB, User, Space, Device };
+export { connectDB, User, Space, Device, USER_ROLES };
@@ -0,0 +1,38 @@
+// src/config/mqttConfig.js
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// ✅ Transport used by mqttHelper
+//   "lambda" - publish through the AWS Lambda, receive via AWS IoT Rules (default)
+//   "broker" - connect straight to an MQTT broker (e.g. a local Mosquitto)
+export const MQTT_TRANSPORT = (process.env.MQTT_TRANSPORT || "lambda").toLowerCase();
+
+// ✅ Direct broker connection settings (only used by the "broker" transport)
+export const MQTT_BROKER_CONFIG = {
+  url: process.env.MQTT_BROKER_URL || "mqtt://localhost:1883",
+  clientId:
+    process.env.MQTT_CLIENT_ID ||
+    `water-management-backend-${process.pid}`,
+  username: process.env.MQTT_USERNAME,
+  password: process.env.MQTT_PASSWORD,
+  // TLS - used when the URL is mqtts:// or wss://
+  caPath: process.env.MQTT_CA_PATH,
+  certPath: process.env.MQTT_CERT_PATH,
+  keyPath: process.env.MQTT_KEY_PATH,
+  rejectUnauthorized: process.env.MQTT_REJECT_UNAUTHORIZED !== "false",
+  qos: parseInt(process.env.MQTT_QOS ?? "1"),
+  keepalive: parseInt(process.env.MQTT_KEEPALIVE) || 60,
+  connectTimeout: parseInt(process.env.MQTT_CONNECT_TIMEOUT_MS) || 30000,
+  // Reconnect backoff: doubles from min to max between attempts
+  reconnectMinDelay: parseInt(process.env.MQTT_RECONNECT_MIN_MS) || 1000,
+  reconnectMaxDelay: parseInt(process.env.MQTT_RECONNECT_MAX_MS) || 30000,
+  // Shared subscription group ($share/<group>/...): the broker hands each
+  // message to one instance of the group instead of all of them
+  sharedGroup: process.env.MQTT_SHARED_GROUP,
+};
+
+export default {
+  MQTT_TRANSPORT,
+  MQTT_BROKER_CONFIG,
+};
@@ -0,0 +1,108 @@
+// src/controllers/auditController.js
+import mongoose from "mongoose";
+import * as auditService from "../services/auditService.js";
+
+/**
+ * List audit entries of admin and support actions and of changes to spaces
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAuditLog = async (req, res) => {
+  try {
+    const { action, actor, target, space, source, from, to, limit, offset } = req.query;
+
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      });
+    }
+
+    if (space && !mongoose.isValidObjectId(space)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid space ID",
+      });
+    }
+
+    const result = await auditService.getAuditEntries({
+      action,
+      actor,
+      target,
+      space,
+      source,
+      from,
+      to,
+      limit: limit ? Math.min(parseInt(limit) || 50, 200) : 50,
+      offset: offset ? parseInt(offset) || 0 : 0,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result.entries,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * List the audit entries of a space: device switches, setup changes, transfers
+ * and resets, by whom or by which automation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSpaceAuditLog = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId } = req.params;
+    const { action, actor, source, from, to, limit, offset } = req.query;
+
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      });
+    }
+
+    if (source && !auditService.AUDIT_SOURCES.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid source. Must be one of: ${auditService.AUDIT_SOURCES.join(", ")}`,
+      });
+    }
+
+    const result = await auditService.getSpaceAuditEntries(mobile_number, spaceId, {
+      action,
+      actor,
+      source,
+      from,
+      to,
+      limit: limit ? Math.min(parseInt(limit) || 50, 200) : 50,
+      offset: offset ? parseInt(offset) || 0 : 0,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result.entries,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    let statusCode = 500;
+    if (error.message === "Space not found") {
+      statusCode = 404;
+    }
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
+    return res.status(statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -6,12 +6,44 @@ import {
   verifyOTP,
   refreshAccessToken,
   logoutUser,
+  logoutSession,
   resendSignInOTP,
   resendSignUpOTP,
 } from "../services/authService.js";
+import * as sessionService from "../services/sessionService.js";
 import { User } from "../config/dbconfig.js";
 
-// Part 1: Initiate sign-in and send OTP via WhatsApp
+// Lockout and resend cooldown errors from the auth service, answered with 429
+function sendOTPThrottleError(res, error) {
+  if (error.message?.startsWith("Too many failed attempts")) {
+    return res.status(429).json({
+      success: false,
+      message: error.message,
+      code: "OTP_LOCKED",
+    });
+  }
+
+  if (error.message?.includes("before requesting a new OTP")) {
+    return res.status(429).json({
+      success: false,
+      message: error.message,
+      code: "OTP_RESEND_COOLDOWN",
+    });
+  }
+
+  return null;
+}
+
+// The device signing in, shown in the session list
+function getClientInfo(req) {
+  return {
+    device_name: req.body?.device_name,
+    user_agent: req.headers["user-agent"],
+    ip: req.ip,
+  };
+}
+
+// Part 1: Initiate sign-in and send OTP
 export async function signinInitiate(req, res) {
   try {
     const { mobile_number, country_code } = req.body;
@@ -33,7 +65,10 @@ export async function signinInitiate(req, res) {
       });
     }
 
-    if (error.message === "Failed to send OTP via WhatsApp") {
+    const throttled = sendOTPThrottleError(res, error);
+    if (throttled) return throttled;
+
+    if (error.message === "Failed to send OTP") {
       return res.status(500).json({
         success: false,
         message: "Failed to send OTP. Please try again later.",
@@ -65,7 +100,7 @@ export async function signinVerifyOTP(req, res) {
         .json({ success: false, message: "OTP is required" });
     }
 
-    const result = await verifyOTP(mobile_number, otp);
+    const result = await verifyOTP(mobile_number, otp, getClientInfo(req));
 
     // Set cookies for both tokens if verification successful
     if (result.success && result.tokens) {
@@ -103,6 +138,9 @@ export async function signinVerifyOTP(req, res) {
       });
     }
 
+    const throttled = sendOTPThrottleError(res, error);
+    if (throttled) return throttled;
+
     if (error.message === "No OTP found for this user") {
       return res.status(400).json({
         success: false,
@@ -168,6 +206,9 @@ export async function signinResendOTP(req, res) {
       });
     }
 
+    const throttled = sendOTPThrottleError(res, error);
+    if (throttled) return throttled;
+
     console.error("Sign-in OTP resend error:", error);
     return res
       .status(500)
@@ -178,7 +219,7 @@ export async function signinResendOTP(req, res) {
 // Step 1: Initiate sign up and send OTP
 export async function signupInitiate(req, res) {
   try {
-    const { user_name, mobile_number, country_code } = req.body;
+    const { user_name, mobile_number, country_code, email } = req.body;
 
     if (!user_name || !mobile_number) {
       return res.status(400).json({
@@ -190,7 +231,8 @@ export async function signupInitiate(req, res) {
     const result = await initiateSignUp(
       mobile_number,
       user_name,
-      country_code || "+91"
+      country_code || "+91",
+      email
     );
 
     if (result.code === "USER_EXISTS") {
@@ -223,7 +265,7 @@ export async function signupVerifyOTP(req, res) {
         .json({ success: false, message: "OTP is required" });
     }
 
-    const result = await verifySignUpOTP(mobile_number, otp);
+    const result = await verifySignUpOTP(mobile_number, otp, getClientInfo(req));
 
     // Set cookies for both tokens if verification successful
     if (result.success && result.tokens) {
@@ -260,6 +302,9 @@ export async function signupVerifyOTP(req, res) {
       });
     }
 
+    const throttled = sendOTPThrottleError(res, error);
+    if (throttled) return throttled;
+
     if (error.message?.includes("No OTP found")) {
       return res.status(400).json({
         success: false,
@@ -325,6 +370,9 @@ export async function signupResendOTP(req, res) {
       });
     }
 
+    const throttled = sendOTPThrottleError(res, error);
+    if (throttled) return throttled;
+
     console.error("Signup OTP resend error:", error);
     return res
       .status(500)
@@ -357,12 +405,15 @@ export async function refreshToken(req, res) {
       });
     }
 
-    // Refresh the access token
-    const { accessToken, accessTokenExpiry } = await refreshAccessToken(
-      refreshToken
-    );
+    // Refresh the access token; the refresh token is rotated along with it
+    const {
+      accessToken,
+      accessTokenExpiry,
+      refreshToken: newRefreshToken,
+      refreshTokenExpiry,
+    } = await refreshAccessToken(refreshToken, getClientInfo(req));
 
-    // Set the new access token as a cookie
+    // Set the new tokens as cookies
     res.cookie("accessToken", accessToken, {
       httpOnly: true,
       secure: process.env.NODE_ENV === "production",
@@ -370,12 +421,21 @@ export async function refreshToken(req, res) {
       expires: accessTokenExpiry,
     });
 
-    // Return the new access token
+    res.cookie("refreshToken", newRefreshToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "strict",
+      expires: refreshTokenExpiry,
+    });
+
+    // Return the new tokens - the old refresh token can't be used again
     return res.status(200).json({
       success: true,
       message: "Token refreshed successfully",
       accessToken,
       accessTokenExpiry,
+      refreshToken: newRefreshToken,
+      refreshTokenExpiry,
     });
   } catch (error) {
     console.error("Token refresh error:", error);
@@ -405,6 +465,23 @@ export async function refreshToken(req, res) {
       });
     }
 
+    if (error.message === "Refresh token reuse detected") {
+      return res.status(401).json({
+        success: false,
+        message:
+          "This refresh token was already used. The session has been ended, please sign in again.",
+        code: "REFRESH_TOKEN_REUSED",
+      });
+    }
+
+    if (error.message === "Session revoked") {
+      return res.status(401).json({
+        success: false,
+        message: "This session has been logged out. Please sign in again.",
+        code: "SESSION_REVOKED",
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Failed to refresh token",
@@ -420,10 +497,13 @@ export async function refreshToken(req, res) {
  */
 export async function logout(req, res) {
   try {
+    // With a refresh token only that session is logged out
+    const refreshToken = req.cookies?.refreshToken || req.body.refreshToken;
+
     // Get user's mobile number from token or request body
     const mobileNumber = req.user?.mobile || req.body.mobile_number;
 
-    if (!mobileNumber) {
+    if (!refreshToken && !mobileNumber) {
       return res.status(400).json({
         success: false,
         message: "Mobile number is required for logout",
@@ -431,8 +511,10 @@ export async function logout(req, res) {
       });
     }
 
-    // Log the user out by setting isActive to false
-    const result = await logoutUser(mobileNumber);
+    // Otherwise log the user out everywhere by setting isActive to false
+    const result = refreshToken
+      ? await logoutSession(refreshToken)
+      : await logoutUser(mobileNumber);
 
     if (!result.success) {
       return res.status(400).json(result);
@@ -455,6 +537,75 @@ export async function logout(req, res) {
   }
 }
 
+/**
+ * List the authenticated user's active sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getSessions(req, res) {
+  try {
+    const sessions = await sessionService.getActiveSessions(req.user.user_id);
+
+    return res.status(200).json({
+      success: true,
+      data: sessions.map((session) => ({
+        session_id: session._id,
+        device_name: session.device_name,
+        user_agent: session.user_agent,
+        ip: session.ip,
+        created_at: session.createdAt,
+        last_used_at: session.last_used_at,
+        expires_at: session.expires_at,
+        current: session._id.toString() === req.user.session_id,
+      })),
+    });
+  } catch (error) {
+    console.error("Error listing sessions:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve sessions",
+    });
+  }
+}
+
+/**
+ * Revoke one of the authenticated user's sessions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function revokeSession(req, res) {
+  try {
+    const { sessionId } = req.params;
+
+    await sessionService.revokeSession(req.user.user_id, sessionId, "revoked");
+
+    // Ending the current session also clears its cookies
+    if (sessionId === req.user.session_id) {
+      res.clearCookie("accessToken");
+      res.clearCookie("refreshToken");
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    if (error.message === "Session not found") {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+        code: "SESSION_NOT_FOUND",
+      });
+    }
+
+    console.error("Error revoking session:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to revoke session",
+    });
+  }
+}
+
 /**
  * Get authenticated user details
  * @param {Object} req - Express request object
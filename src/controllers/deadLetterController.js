@@ -0,0 +1,166 @@
+// src/controllers/deadLetterController.js
+import * as deadLetterService from "../services/deadLetterService.js";
+import { dispatchMessage } from "../iot/index.js";
+
+/**
+ * Map dead letter service errors to HTTP status codes
+ * @param {Error} error - Service error
+ * @returns {Number} HTTP status code
+ */
+const getStatusCode = (error) => {
+  if (error.message === "Dead letter not found") return 404;
+  if (
+    error.message === "Invalid dead letter reason" ||
+    error.message === "Provide ids or at least one filter to purge"
+  ) {
+    return 400;
+  }
+  return 500;
+};
+
+/**
+ * Browse dead-lettered MQTT messages
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getDeadLetters = async (req, res) => {
+  try {
+    const { limit, offset, reason, topic, device_id, status, from, to } = req.query;
+
+    if (reason && !deadLetterService.DEAD_LETTER_REASONS.includes(reason)) {
+      throw new Error("Invalid dead letter reason");
+    }
+
+    const result = await deadLetterService.getDeadLetters({
+      limit: limit ? Math.min(parseInt(limit) || 50, 200) : 50,
+      offset: offset ? parseInt(offset) || 0 : 0,
+      reason,
+      topic,
+      device_id,
+      status,
+      from,
+      to,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result.dead_letters,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a single dead letter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getDeadLetter = async (req, res) => {
+  try {
+    const deadLetter = await deadLetterService.getDeadLetterById(
+      req.params.deadLetterId
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: deadLetter,
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Replay a dead letter through the normal MQTT message handlers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const replayDeadLetter = async (req, res) => {
+  try {
+    const deadLetter = await deadLetterService.replayDeadLetter(
+      req.params.deadLetterId,
+      dispatchMessage
+    );
+
+    const replayed = deadLetter.status === "replayed";
+    return res.status(200).json({
+      success: true,
+      data: deadLetter,
+      message: replayed
+        ? "Message replayed successfully"
+        : `Message was rejected again: ${deadLetter.reason}`,
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Purge dead letters by IDs or by reason/status/age
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const purgeDeadLetters = async (req, res) => {
+  try {
+    const { ids, reason, status, before } = req.body || {};
+
+    if ((!Array.isArray(ids) || ids.length === 0) && !reason && !status && !before) {
+      throw new Error("Provide ids or at least one filter to purge");
+    }
+    if (reason && !deadLetterService.DEAD_LETTER_REASONS.includes(reason)) {
+      throw new Error("Invalid dead letter reason");
+    }
+
+    const deletedCount = await deadLetterService.purgeDeadLetters({
+      ids,
+      reason,
+      status,
+      before,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: { deleted_count: deletedCount },
+      message: `Purged ${deletedCount} dead letter(s)`,
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a single dead letter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteDeadLetter = async (req, res) => {
+  try {
+    // Throws if it does not exist
+    await deadLetterService.getDeadLetterById(req.params.deadLetterId);
+    await deadLetterService.purgeDeadLetters({ ids: [req.params.deadLetterId] });
+
+    return res.status(200).json({
+      success: true,
+      message: "Dead letter deleted successfully",
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,4 +1,5 @@
 import * as deviceService from "../services/deviceService.js";
+import * as heartbeatService from "../services/heartbeatService.js";
 
 // Get all devices in a space
 export const getAllDevices = async (req, res) => {
@@ -34,6 +35,10 @@ export const getAllDevices = async (req, res) => {
       statusCode = 404;
     }
 
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
     return res.status(statusCode).json({
       success: false,
       message: error.message || "Failed to retrieve devices",
@@ -76,6 +81,52 @@ export const getDeviceById = async (req, res) => {
       statusCode = 404;
     }
 
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
+    return res.status(statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Get online/offline history and availability of a device
+export const getDeviceAvailability = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId, deviceId } = req.params;
+    const { from, to } = req.query;
+
+    // Throws if the device is not in the user's space
+    await deviceService.getDeviceById(mobile_number, spaceId, deviceId);
+
+    const availability = await heartbeatService.getDeviceAvailability(deviceId, {
+      from,
+      to,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: availability,
+    });
+  } catch (error) {
+    let statusCode = 500;
+    if (
+      error.message === "User not found" ||
+      error.message === "Space not found" ||
+      error.message === "Device not found"
+    ) {
+      statusCode = 404;
+    } else if (error.message === "Invalid date range") {
+      statusCode = 400;
+    }
+
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
     return res.status(statusCode).json({
       success: false,
       message: error.message,
@@ -235,6 +286,10 @@ return res.status(201).json({
       statusCode = 400;
     }
 
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
     return res.status(statusCode).json({
       success: false,
       message: error.message,
@@ -278,6 +333,7 @@ export const transferDevice = async (req, res) => {
     let statusCode = 500;
     if (
       error.message === "User not found" ||
+      error.message === "Space not found" ||
       error.message.includes("space not found") ||
       error.message === "Device not found in source space"
     ) {
@@ -287,6 +343,10 @@ export const transferDevice = async (req, res) => {
       statusCode = 400;
     }
 
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
     return res.status(statusCode).json({
       success: false,
       message: error.message,
@@ -331,6 +391,10 @@ export const deleteDevice = async (req, res) => {
       statusCode = 400;
     }
 
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
     return res.status(statusCode).json({
       success: false,
       message: error.message,
@@ -423,6 +487,10 @@ export const addTankDevice = async (req, res) => {
       statusCode = 400;
     }
 
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
     return res.status(statusCode).json({
       success: false,
       message: error.message,
@@ -559,6 +627,10 @@ export const updateDeviceStatus = async (req, res) => {
       statusCode = 400;
     }
 
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
     return res.status(statusCode).json({
       success: false,
       message: error.message,
@@ -0,0 +1,160 @@
+// src/controllers/incidentController.js
+import * as tankAnomalyService from "../services/tankAnomalyService.js";
+
+function errorStatus(error) {
+  let statusCode = 500;
+  if (
+    error.message === "Space not found" ||
+    error.message === "Device not found" ||
+    error.message === "Incident not found"
+  ) {
+    statusCode = 404;
+  } else if (
+    error.message === "Device is not a tank" ||
+    error.message.startsWith("Invalid anomaly setting")
+  ) {
+    statusCode = 400;
+  }
+  if (error.message === "Insufficient permissions for this space") {
+    statusCode = 403;
+  }
+  return statusCode;
+}
+
+/**
+ * List the leak, dry run and sensor jump incidents of a space
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getIncidents = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId } = req.params;
+    const { status, type, device_id, limit, offset } = req.query;
+
+    if (status && !["open", "resolved"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status. Must be one of: open, resolved",
+      });
+    }
+
+    if (type && !tankAnomalyService.INCIDENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Must be one of: ${tankAnomalyService.INCIDENT_TYPES.join(", ")}`,
+      });
+    }
+
+    const result = await tankAnomalyService.getSpaceIncidents(mobile_number, spaceId, {
+      status,
+      type,
+      device_id,
+      limit: limit ? Math.min(parseInt(limit) || 50, 200) : 50,
+      offset: offset ? parseInt(offset) || 0 : 0,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result.incidents,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    return res.status(errorStatus(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Mark an incident as dealt with
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const resolveIncident = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId, incidentId } = req.params;
+
+    const incident = await tankAnomalyService.resolveIncident(
+      mobile_number,
+      spaceId,
+      incidentId
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: incident,
+      message: "Incident resolved",
+    });
+  } catch (error) {
+    return res.status(errorStatus(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get the anomaly detection settings of a tank
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAnomalySettings = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId, deviceId } = req.params;
+
+    const settings = await tankAnomalyService.getTankAnomalySettings(
+      mobile_number,
+      spaceId,
+      deviceId
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    return res.status(errorStatus(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Change the anomaly detection settings of a tank
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateAnomalySettings = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId, deviceId } = req.params;
+    const { leak, dry_run, sensor_jump } = req.body || {};
+
+    const settings = await tankAnomalyService.updateTankAnomalySettings(
+      mobile_number,
+      spaceId,
+      deviceId,
+      {
+        ...(leak !== undefined && { leak }),
+        ...(dry_run !== undefined && { dry_run }),
+        ...(sensor_jump !== undefined && { sensor_jump }),
+      }
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: settings,
+      message: "Anomaly settings updated",
+    });
+  } catch (error) {
+    return res.status(errorStatus(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,55 @@
+// src/controllers/jobController.js
+import * as spaceService from "../services/spaceService.js";
+import { getPendingJobs } from "../services/jobQueueService.js";
+
+/**
+ * List delayed and scheduled device commands still waiting to run in a space
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSpacePendingJobs = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId } = req.params;
+
+    // Throws if the space does not belong to the authenticated user
+    const space = await spaceService.getUserSpaceById(mobile_number, spaceId);
+
+    const jobs = await getPendingJobs(space._id);
+
+    return res.status(200).json({
+      success: true,
+      data: jobs.map((job) => ({
+        id: job._id.toString(),
+        type: job.type,
+        status: job.status,
+        run_at: job.run_at,
+        expires_at: job.expires_at,
+        setup_id: job.setup_id,
+        schedule_id: job.schedule_id,
+        payload: job.payload,
+        attempts: job.attempts,
+        last_error: job.last_error,
+        created_at: job.createdAt,
+      })),
+      message: `Found ${jobs.length} pending job(s)`,
+    });
+  } catch (error) {
+    let statusCode = 500;
+    if (
+      error.message === "User not found" ||
+      error.message === "Space not found"
+    ) {
+      statusCode = 404;
+    }
+
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
+    return res.status(statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -9,13 +9,14 @@ import * as notificationService from "../services/notificationService.js";
 export const getUserNotifications = async (req, res) => {
   try {
     const { user_id } = req.user;
-    const { limit, offset, unread } = req.query;
+    const { limit, offset, unread, type } = req.query;
 
     // Parse query parameters
     const options = {
-      limit: limit ? parseInt(limit) : 20,
-      offset: offset ? parseInt(offset) : 0,
+      limit: limit ? Math.min(parseInt(limit) || 20, 100) : 20,
+      offset: offset ? parseInt(offset) || 0 : 0,
       unread: unread === "true",
+      type: type ? (Array.isArray(type) ? type : type.split(",")) : undefined,
     };
 
     const result = await notificationService.getUserNotifications(
@@ -27,6 +28,7 @@ export const getUserNotifications = async (req, res) => {
       success: true,
       data: result.notifications,
       pagination: result.pagination,
+      unread_count: result.unread_count,
     });
   } catch (error) {
     return res.status(500).json({
@@ -43,6 +45,7 @@ export const getUserNotifications = async (req, res) => {
  */
 export const markNotificationAsRead = async (req, res) => {
   try {
+    const { user_id } = req.user;
     const { notificationId } = req.params;
 
     if (!notificationId) {
@@ -53,7 +56,8 @@ export const markNotificationAsRead = async (req, res) => {
     }
 
     const success = await notificationService.markNotificationAsRead(
-      notificationId
+      notificationId,
+      user_id
     );
 
     if (!success) {
@@ -0,0 +1,52 @@
+// src/controllers/payloadViolationController.js
+import * as payloadViolationService from "../services/payloadViolationService.js";
+
+/**
+ * List per-device counters of payloads that failed schema validation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getPayloadViolations = async (req, res) => {
+  try {
+    const { device_id, firmware_version, limit, offset } = req.query;
+
+    const result = await payloadViolationService.getPayloadViolations({
+      device_id,
+      firmware_version,
+      limit: limit ? Math.min(parseInt(limit) || 50, 200) : 50,
+      offset: offset ? parseInt(offset) || 0 : 0,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: result.violations,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Violation totals grouped by firmware build
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getViolationsByFirmware = async (req, res) => {
+  try {
+    const totals = await payloadViolationService.getViolationsByFirmware();
+
+    return res.status(200).json({
+      success: true,
+      data: totals,
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,65 @@
+// src/controllers/realtimeController.js
+import { resolveSpaceAccess } from "../services/spaceAccessService.js";
+import { addClient } from "../services/realtimeService.js";
+
+/**
+ * Open a Server-Sent Events stream for a space
+ * Pushes tank level, switch status, online/offline and notification events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const streamSpaceEvents = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId } = req.params;
+
+    if (!spaceId) {
+      return res.status(400).json({
+        success: false,
+        message: "Space ID is required",
+      });
+    }
+
+    // Throws unless the space is owned by or shared with the authenticated user
+    const { user, space, role } = await resolveSpaceAccess(mobile_number, spaceId);
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // disable nginx response buffering
+    });
+    res.flushHeaders();
+
+    // Tell the client which space it is subscribed to
+    res.write(
+      `event: connected\ndata: ${JSON.stringify({
+        space_id: space._id.toString(),
+        space_name: space.space_name,
+      })}\n\n`
+    );
+
+    // Events are published to the space owner, so members listen on the owner's channel
+    const removeClient = addClient(user._id.toString(), space._id.toString(), res, {
+      shared: role !== "owner",
+    });
+    req.on("close", removeClient);
+  } catch (error) {
+    let statusCode = 500;
+    if (
+      error.message === "User not found" ||
+      error.message === "Space not found"
+    ) {
+      statusCode = 404;
+    }
+
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
+    return res.status(statusCode).json({
+      success: false,
+      message: error.message || "Failed to open event stream",
+    });
+  }
+};
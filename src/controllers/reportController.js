@@ -0,0 +1,49 @@
+// src/controllers/reportController.js
+import * as tankAnalyticsService from "../services/tankAnalyticsService.js";
+
+/**
+ * Water used, refills, pump run-time and energy of a space for a day, week or
+ * month, compared with the period before
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getWaterReport = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId } = req.params;
+    const { period, date } = req.query;
+
+    if (period && !tankAnalyticsService.REPORT_PERIODS.includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid period. Must be one of: ${tankAnalyticsService.REPORT_PERIODS.join(", ")}`,
+      });
+    }
+
+    const report = await tankAnalyticsService.getSpaceWaterReport(mobile_number, spaceId, {
+      period,
+      date,
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    let statusCode = 500;
+    if (error.message === "Space not found") {
+      statusCode = 404;
+    } else if (error.message === "Invalid date") {
+      statusCode = 400;
+    } else if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    } else {
+      console.error("Get water report controller error:", error);
+    }
+
+    return res.status(statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
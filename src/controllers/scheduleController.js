@@ -0,0 +1,242 @@
+// src/controllers/scheduleController.js
+import * as scheduleService from "../services/scheduleService.js";
+
+/**
+ * Map schedule service errors to HTTP status codes
+ */
+function getStatusCode(error) {
+  if (
+    error.message === "User not found" ||
+    error.message === "Space not found" ||
+    error.message === "Schedule not found" ||
+    error.message.includes("not found in this space")
+  ) {
+    return 404;
+  }
+  if (error.message === "Insufficient permissions for this space") {
+    return 403;
+  }
+  if (
+    error.message.includes("must be") ||
+    error.message.includes("required") ||
+    error.message.includes("Invalid")
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * Create a new schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createSchedule = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId } = req.params;
+
+    if (!spaceId) {
+      return res.status(400).json({
+        success: false,
+        message: "Space ID is required",
+      });
+    }
+
+    const schedule = await scheduleService.createSchedule(
+      mobile_number,
+      spaceId,
+      req.body
+    );
+
+    return res.status(201).json({
+      success: true,
+      data: schedule,
+      message: "Schedule created successfully",
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get all schedules for a space
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSchedules = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId } = req.params;
+
+    const schedules = await scheduleService.getSchedules(mobile_number, spaceId);
+
+    return res.status(200).json({
+      success: true,
+      data: schedules,
+      message: `Found ${schedules.length} schedule(s)`,
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Get a schedule by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getScheduleById = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId, scheduleId } = req.params;
+
+    const schedule = await scheduleService.getScheduleById(
+      mobile_number,
+      spaceId,
+      scheduleId
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: schedule,
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Update a schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateSchedule = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId, scheduleId } = req.params;
+
+    const schedule = await scheduleService.updateSchedule(
+      mobile_number,
+      spaceId,
+      scheduleId,
+      req.body
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: schedule,
+      message: "Schedule updated successfully",
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Pause or resume a schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateScheduleStatus = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId, scheduleId } = req.params;
+    const { active } = req.body;
+
+    if (typeof active !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "Active status must be a boolean",
+      });
+    }
+
+    const schedule = await scheduleService.updateScheduleStatus(
+      mobile_number,
+      spaceId,
+      scheduleId,
+      active
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: schedule,
+      message: `Schedule ${active ? "resumed" : "paused"} successfully`,
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Skip today's runs of a schedule (body: { skip: false } to undo)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const skipToday = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId, scheduleId } = req.params;
+    const skip = req.body?.skip !== false;
+
+    const schedule = await scheduleService.skipToday(
+      mobile_number,
+      spaceId,
+      scheduleId,
+      skip
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: schedule,
+      message: skip
+        ? "Schedule skipped for today"
+        : "Schedule will run today",
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteSchedule = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId, scheduleId } = req.params;
+
+    const result = await scheduleService.deleteSchedule(
+      mobile_number,
+      spaceId,
+      scheduleId
+    );
+
+    return res.status(200).json(result);
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
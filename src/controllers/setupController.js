@@ -1,6 +1,6 @@
 // src/controllers/setupController.js
 import * as setupService from "../services/setupService.js";
-import { User } from "../config/dbconfig.js";
+import { getUserSpaceById } from "../services/spaceService.js";
 
 /**
  * Create a new setup configuration
@@ -20,6 +20,42 @@ export const createSetup = async (req, res) => {
       });
     }
 
+    // Multi-condition setups: sub-conditions and actions are validated against the space in the service
+    if (setupData.conditions !== undefined) {
+      if (setupData.condition) {
+        return res.status(400).json({
+          success: false,
+          message: "Provide either condition or conditions, not both",
+        });
+      }
+
+      if (!Array.isArray(setupData.conditions) || setupData.conditions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "At least one condition is required",
+        });
+      }
+
+      if (!Array.isArray(setupData.actions) || setupData.actions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "At least one action is required",
+        });
+      }
+
+      const setup = await setupService.createSetup(
+        mobile_number,
+        spaceId,
+        setupData
+      );
+
+      return res.status(201).json({
+        success: true,
+        data: setup,
+        message: "Setup created successfully",
+      });
+    }
+
     // Validate required fields for single condition
     if (!setupData.condition) {
       return res.status(400).json({
@@ -271,6 +307,17 @@ if (setupData.condition.device_type === "tank") {
     ) {
       statusCode = 400;
     }
+    // Multi-condition setups naming devices the space doesn't have are rejected as invalid
+    if (
+      req.body?.conditions !== undefined &&
+      error.message.includes("not found in this space")
+    ) {
+      statusCode = 400;
+    }
+
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
 
     return res.status(statusCode).json({
       success: false,
@@ -312,6 +359,10 @@ export const getSetups = async (req, res) => {
       statusCode = 404;
     }
 
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
     return res.status(statusCode).json({
       success: false,
       message: error.message,
@@ -355,6 +406,10 @@ export const getSetupById = async (req, res) => {
       statusCode = 404;
     }
 
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
     return res.status(statusCode).json({
       success: false,
       message: error.message,
@@ -380,6 +435,22 @@ export const updateSetup = async (req, res) => {
       });
     }
 
+    if (setupData.conditions !== undefined) {
+      if (setupData.condition) {
+        return res.status(400).json({
+          success: false,
+          message: "Provide either condition or conditions, not both",
+        });
+      }
+
+      if (!Array.isArray(setupData.conditions) || setupData.conditions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "At least one condition is required",
+        });
+      }
+    }
+
     // Validate condition if being updated
     if (setupData.condition) {
       if (!setupData.condition.device_id) {
@@ -544,11 +615,16 @@ export const updateSetup = async (req, res) => {
       error.message.includes("type mismatch") ||
       error.message.includes("Status field") ||
       error.message.includes("Level field") ||
-      error.message.includes("Valid operator")
+      error.message.includes("Valid operator") ||
+      error.message.includes("not both")
     ) {
       statusCode = 400;
     }
 
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
     return res.status(statusCode).json({
       success: false,
       message: error.message,
@@ -610,6 +686,10 @@ export const updateSetupStatus = async (req, res) => {
       statusCode = 404;
     }
 
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
     return res.status(statusCode).json({
       success: false,
       message: error.message,
@@ -654,6 +734,10 @@ export const deleteSetup = async (req, res) => {
       statusCode = 404;
     }
 
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
     return res.status(statusCode).json({
       success: false,
       message: error.message,
@@ -678,22 +762,8 @@ export const getAvailableDevicesForActions = async (req, res) => {
       });
     }
 
-    // Get user and space
-    const user = await User.findOne({ mobile_number });
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
-    }
-
-    const space = user.spaces.find((space) => space._id.toString() === spaceId);
-    if (!space) {
-      return res.status(404).json({
-        success: false,
-        message: "Space not found",
-      });
-    }
+    // Owned or shared space the user may view
+    const space = await getUserSpaceById(mobile_number, spaceId);
 
     // Filter only base devices for actions
     const actionDevices = space.devices.filter(device => device.device_type === "base");
@@ -704,7 +774,11 @@ export const getAvailableDevicesForActions = async (req, res) => {
       message: `Found ${actionDevices.length} device(s) available for actions`,
     });
   } catch (error) {
-    return res.status(500).json({
+    let statusCode = 500;
+    if (error.message === "Space not found") statusCode = 404;
+    if (error.message === "Insufficient permissions for this space") statusCode = 403;
+
+    return res.status(statusCode).json({
       success: false,
       message: error.message,
     });
@@ -728,22 +802,8 @@ export const getAvailableDevicesForConditions = async (req, res) => {
       });
     }
 
-    // Get user and space
-    const user = await User.findOne({ mobile_number });
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
-    }
-
-    const space = user.spaces.find((space) => space._id.toString() === spaceId);
-    if (!space) {
-      return res.status(404).json({
-        success: false,
-        message: "Space not found",
-      });
-    }
+    // Owned or shared space the user may view
+    const space = await getUserSpaceById(mobile_number, spaceId);
 
     // All devices can be used for conditions
     return res.status(200).json({
@@ -752,7 +812,11 @@ export const getAvailableDevicesForConditions = async (req, res) => {
       message: `Found ${space.devices.length} device(s) available for conditions`,
     });
   } catch (error) {
-    return res.status(500).json({
+    let statusCode = 500;
+    if (error.message === "Space not found") statusCode = 404;
+    if (error.message === "Insufficient permissions for this space") statusCode = 403;
+
+    return res.status(statusCode).json({
       success: false,
       message: error.message,
     });
@@ -43,6 +43,7 @@ export const getSpaceById = async (req, res) => {
     let statusCode = 500;
     if (error.message === "User not found") statusCode = 404;
     if (error.message === "Space not found") statusCode = 404;
+    if (error.message === "Insufficient permissions for this space") statusCode = 403;
 
     return res.status(statusCode).json({
       success: false,
@@ -78,6 +79,7 @@ export const createSpace = async (req, res) => {
     let statusCode = 500;
     if (error.message === "User not found") statusCode = 404;
     if (error.message.includes("already exists")) statusCode = 409; // Conflict
+    if (error.message.startsWith("Invalid timezone")) statusCode = 400;
 
     return res.status(statusCode).json({
       success: false,
@@ -123,6 +125,13 @@ export const updateSpace = async (req, res) => {
     if (error.message.includes("already exists")) {
       statusCode = 409; // Conflict
     }
+    if (error.message.startsWith("Invalid timezone")) {
+      statusCode = 400;
+    }
+
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
 
     return res.status(statusCode).json({
       success: false,
@@ -163,6 +172,55 @@ export const deleteSpace = async (req, res) => {
       statusCode = 400; // Bad Request
     }
 
+    if (error.message === "Insufficient permissions for this space") {
+      statusCode = 403;
+    }
+
+    return res.status(statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Transfer ownership of a space to one of its members
+export const transferSpaceOwnership = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId } = req.params;
+    const { mobile_number: newOwnerMobileNumber } = req.body;
+
+    if (!newOwnerMobileNumber) {
+      return res.status(400).json({
+        success: false,
+        message: "New owner's mobile_number is required",
+      });
+    }
+
+    const space = await spaceService.transferSpaceOwnership(
+      mobile_number,
+      spaceId,
+      newOwnerMobileNumber
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: space,
+      message: "Space ownership transferred successfully",
+    });
+  } catch (error) {
+    let statusCode = 500;
+    if (error.message === "Space not found") statusCode = 404;
+    if (error.message === "Insufficient permissions for this space") statusCode = 403;
+    if (error.message.includes("already exists")) statusCode = 409;
+    if (
+      error.message.includes("Cannot transfer") ||
+      error.message.includes("must be an active member") ||
+      error.message === "You already own this space"
+    ) {
+      statusCode = 400;
+    }
+
     return res.status(statusCode).json({
       success: false,
       message: error.message,
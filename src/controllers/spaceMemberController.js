@@ -0,0 +1,232 @@
+// src/controllers/spaceMemberController.js
+import * as spaceAccessService from "../services/spaceAccessService.js";
+
+/**
+ * Map space access errors to HTTP status codes
+ */
+function getStatusCode(error) {
+  if (
+    error.message === "Space not found" ||
+    error.message === "Member not found" ||
+    error.message === "Invitation not found"
+  ) {
+    return 404;
+  }
+  if (error.message === "Insufficient permissions for this space") {
+    return 403;
+  }
+  if (error.message.includes("already has access")) {
+    return 409;
+  }
+  if (
+    error.message.includes("required") ||
+    error.message.includes("Invalid") ||
+    error.message.includes("cannot leave")
+  ) {
+    return 400;
+  }
+  return 500;
+}
+
+/**
+ * List the owner, members and pending invitations of a space
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSpaceMembers = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId } = req.params;
+
+    const members = await spaceAccessService.getSpaceMembers(mobile_number, spaceId);
+
+    return res.status(200).json({
+      success: true,
+      data: members,
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Invite someone to a space by mobile number
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const inviteMember = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId } = req.params;
+    const { mobile_number: inviteeMobileNumber, role } = req.body;
+
+    if (!inviteeMobileNumber || !role) {
+      return res.status(400).json({
+        success: false,
+        message: "mobile_number and role are required",
+      });
+    }
+
+    const invitation = await spaceAccessService.inviteMember(mobile_number, spaceId, {
+      mobile_number: inviteeMobileNumber,
+      role,
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: invitation,
+      message: "Invitation sent successfully",
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Change a member's role
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateMemberRole = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId, mobileNumber } = req.params;
+    const { role } = req.body;
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: "role is required",
+      });
+    }
+
+    const member = await spaceAccessService.updateMemberRole(
+      mobile_number,
+      spaceId,
+      mobileNumber,
+      role
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: member,
+      message: "Member role updated successfully",
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Revoke a member's access, withdraw an invitation or leave a space
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revokeMember = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { spaceId, mobileNumber } = req.params;
+
+    const result = await spaceAccessService.revokeMember(
+      mobile_number,
+      spaceId,
+      mobileNumber
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * List the authenticated user's pending invitations
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getInvitations = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+
+    const invitations = await spaceAccessService.getInvitations(mobile_number);
+
+    return res.status(200).json({
+      success: true,
+      data: invitations,
+      message: `Found ${invitations.length} pending invitation(s)`,
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Accept an invitation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const acceptInvitation = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { invitationId } = req.params;
+
+    const member = await spaceAccessService.respondToInvitation(
+      mobile_number,
+      invitationId,
+      true
+    );
+
+    return res.status(200).json({
+      success: true,
+      data: member,
+      message: "Invitation accepted",
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Decline an invitation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const declineInvitation = async (req, res) => {
+  try {
+    const { mobile_number } = req.user;
+    const { invitationId } = req.params;
+
+    await spaceAccessService.respondToInvitation(mobile_number, invitationId, false);
+
+    return res.status(200).json({
+      success: true,
+      message: "Invitation declined",
+    });
+  } catch (error) {
+    return res.status(getStatusCode(error)).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -4,8 +4,33 @@ import {
   getAllUsers,
   getUserById,
   deleteUser,
-  reactivateUser
+  reactivateUser,
+  updateUserRole
 } from "../services/userService.js";
+import { getRequestActor, recordAudit } from "../services/auditService.js";
+
+/**
+ * Record a staff action on another user's account in the audit trail
+ * Users acting on their own account are not audited here
+ * @param {Object} req - Express request object
+ * @param {String} action - e.g. "user.delete"
+ * @param {Object|null} target - { user_id, mobile_number } of the affected user
+ * @param {Object} details - Extra context (query, previous values)
+ */
+async function auditUserAction(req, action, target, details = {}) {
+  if (target && String(target.user_id) === String(req.user.user_id)) {
+    return;
+  }
+
+  await recordAudit({
+    action,
+    actor: getRequestActor(req),
+    entity: { type: "user", id: target?.user_id?.toString() },
+    target_user: target || undefined,
+    details,
+    ip: req.ip,
+  });
+}
 
 /**
  * Get all users with optional filtering and pagination
@@ -50,6 +75,7 @@ export async function getUsers(req, res) {
     };
 
     const result = await getAllUsers(filters, options);
+    await auditUserAction(req, "user.list", null, { query: req.query });
     
     return res.status(200).json(result);
   } catch (error) {
@@ -80,6 +106,11 @@ export async function getUser(req, res) {
     }
 
     const result = await getUserById(identifier, type);
+    const { user } = result.data;
+    await auditUserAction(req, "user.view", {
+      user_id: user._id,
+      mobile_number: user.mobile_number
+    });
     
     return res.status(200).json(result);
   } catch (error) {
@@ -128,6 +159,13 @@ export async function removeUser(req, res) {
 
     const hardDelete = hard === 'true';
     const result = await deleteUser(identifier, type, hardDelete);
+    const target = hardDelete ? result.data.deletedUser : result.data.deactivatedUser;
+    await auditUserAction(
+      req,
+      hardDelete ? "user.delete" : "user.deactivate",
+      { user_id: target.user_id, mobile_number: target.mobile_number },
+      { deletion_type: result.data.deletionType }
+    );
     
     return res.status(200).json(result);
   } catch (error) {
@@ -183,6 +221,11 @@ export async function reactivateUserController(req, res) {
     }
 
     const result = await reactivateUser(identifier, type);
+    const target = result.data.reactivatedUser;
+    await auditUserAction(req, "user.reactivate", {
+      user_id: target.user_id,
+      mobile_number: target.mobile_number
+    });
     
     return res.status(200).json(result);
   } catch (error) {
@@ -220,3 +263,65 @@ export async function reactivateUserController(req, res) {
   }
 }
 
+/**
+ * Change a user's platform role (customer, support or admin)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function updateUserRoleController(req, res) {
+  try {
+    const { identifier } = req.params;
+    const { type = 'mobile' } = req.query;
+    const { role } = req.body;
+
+    if (!identifier || !role) {
+      return res.status(400).json({
+        success: false,
+        message: "User identifier and role are required"
+      });
+    }
+
+    const result = await updateUserRole(identifier, type, role);
+    const target = result.data.user;
+    await auditUserAction(
+      req,
+      "user.role_change",
+      { user_id: target.user_id, mobile_number: target.mobile_number },
+      { previous_role: target.previous_role, role: target.role }
+    );
+
+    return res.status(200).json(result);
+  } catch (error) {
+    console.error("Update user role controller error:", error);
+
+    if (error.message === "User not found") {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+        code: "USER_NOT_FOUND"
+      });
+    }
+
+    if (error.message?.startsWith("Invalid role")) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: "INVALID_ROLE"
+      });
+    }
+
+    if (error.message?.includes("Invalid identifier type")) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid identifier type. Use 'mobile' or 'id'",
+        code: "INVALID_IDENTIFIER_TYPE"
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "An error occurred while updating the user's role",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined
+    });
+  }
+}
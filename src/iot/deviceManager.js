@@ -4,6 +4,12 @@ import { publish } from "../utils/mqttHelper.js";
 import { getTopic } from "../config/awsIotConfig.js";
 import { createNotification } from "../services/notificationService.js";
 import logger from "../utils/logger.js";
+import {
+  updateEmbeddedDevice,
+  updateEmbeddedSetup,
+} from "../services/deviceStateService.js";
+import { recordSpaceChange } from "../services/auditService.js";
+import { enqueueSetupAction } from "../services/setupService.js";
 
 /**
  * Main function to handle device status updates and trigger automation
@@ -60,17 +66,19 @@ async function updateDeviceStatus(mobileNumber, spaceId, deviceId, deviceData) {
     }
 
     // Update device properties based on device type
+    const fields = { last_updated: new Date() };
     if (deviceData.device_type === "tank") {
-      device.level = deviceData.level || device.level;
-      device.volume = deviceData.volume || device.volume;
-      device.temperature = deviceData.temperature || device.temperature;
+      fields.level = deviceData.level || device.level;
+      fields.volume = deviceData.volume || device.volume;
+      fields.temperature = deviceData.temperature || device.temperature;
     } else if (deviceData.device_type === "base") {
-      device.status = deviceData.status || device.status;
+      fields.status = deviceData.status || device.status;
     }
 
-    device.last_updated = new Date();
-    
-    await user.save();
+    await updateEmbeddedDevice(
+      { userId: user._id, spaceId, deviceId, switchNo: deviceData.switch_no },
+      fields
+    );
     logger.info(`Device ${deviceId} status updated successfully`);
     return true;
     
@@ -125,23 +133,57 @@ export async function checkSetupConditions(
         continue;
       }
 
+      // Multi-condition setups are re-evaluated when any referenced device updates
+      if (setup.conditions && setup.conditions.length > 0) {
+        if (!setup.conditions.some((c) => c.device_id === deviceId)) {
+          continue;
+        }
+
+        const wasMet = setup.last_evaluation?.met === true;
+        const evaluation = evaluateSetupConditions(setup, space);
+        const setupRef = { userId: user._id, spaceId, setupId: setup._id };
+
+        // Fire only when the rule becomes true, not on every update while it stays true
+        if (evaluation.met && !wasMet) {
+          // Claim the transition; a concurrent update may already have fired it
+          const claimed = await updateEmbeddedSetup(
+            { ...setupRef, where: { "last_evaluation.met": { $ne: true } } },
+            { last_evaluation: evaluation, last_triggered: new Date() }
+          );
+          if (!claimed) {
+            logger.info(`Setup ${setup.name} was already triggered by a concurrent update`);
+            continue;
+          }
+
+          logger.info(
+            `Conditions met for setup: ${setup.name}. Executing actions.`
+          );
+          await executeActions(mobileNumber, spaceId, setup.actions, setup);
+        } else {
+          await updateEmbeddedSetup(setupRef, { last_evaluation: evaluation });
+        }
+        continue;
+      }
+
       // Check if this device is the condition device for this setup
-      if (setup.condition.device_id === deviceId) {
+      if (setup.condition?.device_id === deviceId) {
         logger.info(`Setup ${setup.name} uses device ${deviceId} as condition`);
 
-        // Check if condition is met based on device type
-        const conditionMet = await evaluateCondition(setup.condition, deviceData, space);
+        // Work out which actions (if any) this update should fire
+        const result = await resolveSetupActions(setup, deviceData, space);
+
+        if (result) {
+          // Persist the new state before acting so repeated updates don't re-fire
+          const claimed = await claimSetupTransition(user._id, spaceId, setup, result);
+          if (!claimed) {
+            logger.info(`Setup ${setup.name} was already handled by a concurrent update`);
+            continue;
+          }
 
-        // If condition is met, execute actions
-        if (conditionMet) {
           logger.info(
             `Condition met for setup: ${setup.name}. Executing actions.`
           );
-          await executeActions(mobileNumber, spaceId, setup.condition.actions, setup.name);
-          
-          // Update setup last triggered time
-          setup.last_triggered = new Date();
-          await user.save();
+          await executeActions(mobileNumber, spaceId, result.actions, setup);
         } else {
           logger.info(`Condition not met for setup: ${setup.name}`);
         }
@@ -152,6 +194,219 @@ export async function checkSetupConditions(
   }
 }
 
+/**
+ * Atomically move a single-condition setup to its next automation state
+ * Only succeeds if the state is still the one the decision was based on, so two
+ * concurrent updates can't both fire the same transition
+ * @param {ObjectId} userId - Owner of the setup
+ * @param {String} spaceId - Space ID
+ * @param {Object} setup - The setup sub-document as it was read
+ * @param {Object} result - Result of resolveSetupActions
+ * @returns {Promise<Boolean>} - Whether this caller won the transition
+ */
+async function claimSetupTransition(userId, spaceId, setup, result) {
+  const currentState = setup.automation_state || "idle";
+  const fields = {
+    automation_state: result.nextState,
+    last_triggered: new Date(),
+  };
+  if (result.stateChanged) {
+    fields.state_changed_at = new Date();
+  }
+
+  return updateEmbeddedSetup(
+    {
+      userId,
+      spaceId,
+      setupId: setup._id,
+      where: {
+        automation_state: currentState === "idle" ? { $in: ["idle", null] } : currentState,
+      },
+    },
+    fields
+  );
+}
+
+/**
+ * Check whether a tank condition carries a usable trigger/stop band
+ * @param {Object} condition - The condition object
+ * @returns {Boolean} - True when trigger and stop are both set and trigger < stop
+ */
+function hasHysteresisBand(condition) {
+  return (
+    typeof condition.trigger === "number" &&
+    typeof condition.stop === "number" &&
+    condition.trigger < condition.stop
+  );
+}
+
+/**
+ * Apply the firmware's trigger/stop band to a tank level
+ * Pumps start when the level falls to `trigger` and keep running until it reaches `stop`
+ * @param {Object} condition - Tank condition with trigger and stop
+ * @param {Number} level - Current tank level (0-100)
+ * @param {String} state - Current setup state ("idle" or "filling")
+ * @returns {Object} - { transition: "start" | "stop" | null, nextState }
+ */
+export function evaluateTankBand(condition, level, state = "idle") {
+  if (state !== "filling" && level <= condition.trigger) {
+    return { transition: "start", nextState: "filling" };
+  }
+
+  if (state === "filling" && level >= condition.stop) {
+    return { transition: "stop", nextState: "idle" };
+  }
+
+  // Inside the band (or already on the correct side) - nothing to do
+  return { transition: null, nextState: state === "filling" ? "filling" : "idle" };
+}
+
+/**
+ * Build the actions that undo a setup's start actions (on -> off, off -> on)
+ * @param {Array} actions - The setup's configured actions
+ * @returns {Array} - Actions with inverted set_status and no delay
+ */
+function invertActions(actions) {
+  return (actions || []).map((action) => ({
+    device_id: action.device_id,
+    switch_no: action.switch_no,
+    set_status: action.set_status === "on" ? "off" : "on",
+    delay: 0,
+  }));
+}
+
+/**
+ * Decide which actions a device update fires for a setup
+ * Tank conditions with a trigger/stop band use the hysteresis state; everything else
+ * falls back to the single-threshold evaluation
+ * @param {Object} setup - The setup sub-document
+ * @param {Object} deviceData - Current device data
+ * @param {Object} space - Space object containing all devices
+ * @returns {Object|null} - { actions, nextState, stateChanged } or null when nothing fires
+ */
+async function resolveSetupActions(setup, deviceData, space) {
+  const condition = setup.condition;
+  const conditionDevice = space.devices.find(
+    (d) => d.device_id === condition.device_id
+  );
+
+  if (conditionDevice?.device_type === "tank" && hasHysteresisBand(condition)) {
+    const currentLevel =
+      deviceData.level !== undefined ? deviceData.level : conditionDevice.level;
+    const state = setup.automation_state || "idle";
+    const { transition, nextState } = evaluateTankBand(condition, currentLevel, state);
+
+    logger.info(
+      `Tank band condition: level ${currentLevel}% (trigger ${condition.trigger}%, stop ${condition.stop}%), state ${state} -> ${nextState}`
+    );
+
+    if (transition === "start") {
+      return { actions: condition.actions, nextState, stateChanged: true };
+    }
+    if (transition === "stop") {
+      return { actions: invertActions(condition.actions), nextState, stateChanged: true };
+    }
+    return null;
+  }
+
+  const conditionMet = await evaluateCondition(condition, deviceData, space);
+  if (!conditionMet) {
+    return null;
+  }
+
+  return {
+    actions: condition.actions,
+    nextState: setup.automation_state || "idle",
+    stateChanged: false,
+  };
+}
+
+/**
+ * Compare a tank level against a threshold
+ * @param {Number} currentLevel - Current tank level
+ * @param {String} operator - One of <, <=, >, >=, ==
+ * @param {Number} thresholdLevel - Threshold level
+ * @returns {Boolean} - Result of the comparison
+ */
+function compareLevel(currentLevel, operator, thresholdLevel) {
+  switch (operator) {
+    case "<":
+      return currentLevel < thresholdLevel;
+    case "<=":
+      return currentLevel <= thresholdLevel;
+    case ">":
+      return currentLevel > thresholdLevel;
+    case ">=":
+      return currentLevel >= thresholdLevel;
+    case "==":
+    case "===":
+      return currentLevel == thresholdLevel;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a multi-condition setup against the current device states of a space
+ * @param {Object} setup - Setup with `conditions` and `logic`
+ * @param {Object} space - Space object containing all devices
+ * @returns {Object} - { met, logic, evaluated_at, results } where each result explains one sub-condition
+ */
+export function evaluateSetupConditions(setup, space) {
+  const logic = setup.logic === "OR" ? "OR" : "AND";
+
+  const results = (setup.conditions || []).map((condition) => {
+    if (condition.device_type === "tank") {
+      const device = space.devices.find(
+        (d) => d.device_id === condition.device_id && d.device_type === "tank"
+      );
+      const operator = condition.operator || "<";
+      const actual = device ? device.level : null;
+
+      return {
+        device_id: condition.device_id,
+        device_name: device?.device_name || "Unknown Device",
+        device_type: "tank",
+        expected: `level ${operator} ${condition.level}`,
+        actual: actual !== null ? `level ${actual}` : "device not found",
+        passed: device ? compareLevel(actual, operator, condition.level) : false,
+      };
+    }
+
+    // Base devices hold one entry per switch, so match on switch_no too
+    const device = space.devices.find(
+      (d) =>
+        d.device_id === condition.device_id &&
+        d.device_type === "base" &&
+        d.switch_no === condition.switch_no
+    );
+
+    return {
+      device_id: condition.device_id,
+      device_name: device?.device_name || "Unknown Device",
+      device_type: "base",
+      switch_no: condition.switch_no,
+      expected: `${condition.switch_no} ${condition.status}`,
+      actual: device ? `${condition.switch_no} ${device.status}` : "device not found",
+      passed: device ? device.status === condition.status : false,
+    };
+  });
+
+  const met =
+    results.length > 0 &&
+    (logic === "OR"
+      ? results.some((result) => result.passed)
+      : results.every((result) => result.passed));
+
+  logger.info(
+    `Multi-condition setup ${setup.name}: ${results
+      .map((r) => `${r.device_id} ${r.expected} (${r.actual}) = ${r.passed}`)
+      .join(` ${logic} `)} => ${met}`
+  );
+
+  return { met, logic, evaluated_at: new Date(), results };
+}
+
 /**
  * Evaluate if a condition is met
  * @param {Object} condition - The condition object
@@ -176,26 +431,7 @@ async function evaluateCondition(condition, deviceData, space) {
       const thresholdLevel = condition.level;
       const operator = condition.operator || "<"; // Default to < if not specified
 
-      switch (operator) {
-        case "<":
-          conditionMet = currentLevel < thresholdLevel;
-          break;
-        case "<=":
-          conditionMet = currentLevel <= thresholdLevel;
-          break;
-        case ">":
-          conditionMet = currentLevel > thresholdLevel;
-          break;
-        case ">=":
-          conditionMet = currentLevel >= thresholdLevel;
-          break;
-        case "==":
-        case "===":
-          conditionMet = currentLevel == thresholdLevel;
-          break;
-        default:
-          conditionMet = false;
-      }
+      conditionMet = compareLevel(currentLevel, operator, thresholdLevel);
 
       logger.info(
         `Tank level condition: ${currentLevel}% ${operator} ${thresholdLevel}% = ${conditionMet}`
@@ -223,9 +459,10 @@ async function evaluateCondition(condition, deviceData, space) {
  * @param {String} mobileNumber - User's mobile number
  * @param {String} spaceId - Space ID
  * @param {Array} actions - Array of actions to execute
- * @param {String} setupName - Name of the setup for logging
+ * @param {Object} setup - The setup the actions belong to
  */
-async function executeActions(mobileNumber, spaceId, actions, setupName = "Unknown") {
+async function executeActions(mobileNumber, spaceId, actions, setup) {
+  const setupName = setup?.name || "Unknown";
   try {
     // Find the user and space
     const user = await User.findOne({ mobile_number: mobileNumber });
@@ -242,13 +479,11 @@ async function executeActions(mobileNumber, spaceId, actions, setupName = "Unkno
 
     logger.info(`Executing ${actions.length} actions for setup: ${setupName}`);
 
-    // Execute each action
+    // Execute each action; each one writes its own device status
     for (const action of actions) {
-      await executeIndividualAction(action, space, user, setupName);
+      await executeIndividualAction(action, space, user, setup);
     }
 
-    // Save user document with updated device statuses
-    await user.save();
     logger.info(`All actions executed for setup: ${setupName}`);
     
   } catch (error) {
@@ -261,13 +496,16 @@ async function executeActions(mobileNumber, spaceId, actions, setupName = "Unkno
  * @param {Object} action - Action to execute
  * @param {Object} space - Space object
  * @param {Object} user - User object
- * @param {String} setupName - Setup name for logging
+ * @param {Object} setup - The setup the action belongs to
  */
-async function executeIndividualAction(action, space, user, setupName) {
+async function executeIndividualAction(action, space, user, setup) {
+  const setupName = setup?.name || "Unknown";
   try {
-    // Find the device to control
+    // Find the device to control (base devices have one entry per switch)
     const actionDevice = space.devices.find(
-      (d) => d.device_id === action.device_id
+      (d) =>
+        d.device_id === action.device_id &&
+        (!action.switch_no || !d.switch_no || d.switch_no === action.switch_no)
     );
 
     if (!actionDevice) {
@@ -281,6 +519,27 @@ async function executeIndividualAction(action, space, user, setupName) {
       return;
     }
 
+    // Delayed actions are published by the job queue once the delay has passed
+    if (action.delay > 0 && actionDevice.thing_name) {
+      await enqueueSetupAction(
+        getTopic("control", actionDevice.thing_name, "control"),
+        {
+          deviceid: action.device_id,
+          switch_no: action.switch_no || "BM1",
+          status: action.set_status,
+          triggered_by: "automation",
+          setup_name: setupName,
+          delay: action.delay,
+        },
+        { user_id: user._id, space_id: space._id, setup_id: setup?._id },
+        action.delay
+      );
+      logger.info(
+        `Queued action for ${actionDevice.device_name} → ${action.set_status} in ${action.delay}s`
+      );
+      return;
+    }
+
     // Skip if device is already in the target state
     if (actionDevice.status === action.set_status) {
       logger.info(
@@ -293,10 +552,7 @@ async function executeIndividualAction(action, space, user, setupName) {
       `Changing device ${actionDevice.device_name} from ${actionDevice.status} to ${action.set_status}`
     );
 
-    // Update device status locally
     const previousStatus = actionDevice.status;
-    actionDevice.status = action.set_status;
-    actionDevice.last_updated = new Date();
 
     // Send MQTT command if device has thing_name
     if (actionDevice.thing_name) {
@@ -328,12 +584,38 @@ async function executeIndividualAction(action, space, user, setupName) {
         logger.error(
           `Error publishing MQTT control message: ${mqttError.message}`
         );
-        // Revert status change if MQTT fails
-        actionDevice.status = previousStatus;
+        // Leave the stored status alone if MQTT fails
         return;
       }
     }
 
+    actionDevice.status = action.set_status;
+    actionDevice.last_updated = new Date();
+    await updateEmbeddedDevice(
+      {
+        userId: user._id,
+        spaceId: space._id,
+        deviceId: action.device_id,
+        switchNo: actionDevice.switch_no,
+      },
+      { status: actionDevice.status, last_updated: actionDevice.last_updated }
+    );
+
+    await recordSpaceChange({
+      action: "device.status_change",
+      source: "setup",
+      spaceId: space._id,
+      ownerId: user._id,
+      entity: { type: "device", id: action.device_id },
+      before: { status: previousStatus },
+      after: { status: action.set_status },
+      details: {
+        switch_no: actionDevice.switch_no,
+        setup_id: setup?._id,
+        setup_name: setupName,
+      },
+    });
+
     // Create notification for the action
     await createNotification({
       type: "SETUP_ACTION",
@@ -417,6 +699,27 @@ export async function triggerSetupEvaluation(mobileNumber, spaceId, setupId) {
       return false;
     }
 
+    // Multi-condition setups are evaluated against the whole space
+    if (setup.conditions && setup.conditions.length > 0) {
+      const evaluation = evaluateSetupConditions(setup, space);
+      const setupRef = { userId: user._id, spaceId, setupId: setup._id };
+
+      if (!evaluation.met) {
+        await updateEmbeddedSetup(setupRef, { last_evaluation: evaluation });
+        logger.info(`Manual trigger: Conditions not met for setup ${setup.name}`);
+        return false;
+      }
+
+      logger.info(`Manual trigger: Conditions met for setup ${setup.name}`);
+      await updateEmbeddedSetup(setupRef, {
+        last_evaluation: evaluation,
+        last_triggered: new Date(),
+      });
+
+      await executeActions(mobileNumber, spaceId, setup.actions, setup);
+      return true;
+    }
+
     // Get the condition device current status
     const conditionDevice = space.devices.find(
       (d) => d.device_id === setup.condition.device_id
@@ -437,14 +740,18 @@ export async function triggerSetupEvaluation(mobileNumber, spaceId, setupId) {
     };
 
     // Evaluate condition
-    const conditionMet = await evaluateCondition(setup.condition, deviceData, space);
+    const result = await resolveSetupActions(setup, deviceData, space);
 
-    if (conditionMet) {
+    if (result) {
       logger.info(`Manual trigger: Condition met for setup ${setup.name}`);
-      await executeActions(mobileNumber, spaceId, setup.condition.actions, setup.name);
-      
-      setup.last_triggered = new Date();
-      await user.save();
+
+      const claimed = await claimSetupTransition(user._id, spaceId, setup, result);
+      if (!claimed) {
+        logger.info(`Manual trigger: Setup ${setup.name} changed concurrently, not firing`);
+        return false;
+      }
+
+      await executeActions(mobileNumber, spaceId, result.actions, setup);
       return true;
     } else {
       logger.info(`Manual trigger: Condition not met for setup ${setup.name}`);
@@ -1,5 +1,5 @@
 // src/iot/index.js
-import { getMqttClient, subscribe } from "../utils/mqttHelper.js";
+import { getMqttClient, subscribe, getTransportName } from "../utils/mqttHelper.js";
 import { getTopic, TOPIC_SUFFIXES } from "../config/awsIotConfig.js";
 import {
   handleUpdateMessage,
@@ -10,24 +10,113 @@ import {
 } from "./topicHandlers.js";
 import logger from "../utils/logger.js";
 import { User } from "../config/dbconfig.js";
+import { recordDeadLetter, isReplayingDeadLetter } from "../services/deadLetterService.js";
+import { recordPayloadViolation } from "../services/payloadViolationService.js";
+import { validateMessage, formatValidationErrors } from "./messageSchemas.js";
+import {
+  recordHeartbeat,
+  reconcileOnlineStatus,
+  startHeartbeatSweep,
+  stopHeartbeatSweep,
+} from "../services/heartbeatService.js";
+import { claimInboundMessage } from "../services/inboundMessageService.js";
+
+// Topic suffix -> payload schema and handler
+// ✅ FIXED: slave_response is now properly detected as $aws/things/{thingId}/slave_response
+const MESSAGE_ROUTES = [
+  { suffix: TOPIC_SUFFIXES.update, type: "update", handler: handleUpdateMessage },
+  { suffix: TOPIC_SUFFIXES.alive, type: "alive", handler: handleAliveMessage },
+  { suffix: TOPIC_SUFFIXES.health, type: "health", handler: handleHealthMessage },
+  { suffix: TOPIC_SUFFIXES.slaveResponse, type: "slaveResponse", handler: handleSlaveResponseMessage },
+];
+
+/**
+ * Parse an inbound message, validate it and route it to the handler for its topic.
+ * Messages that can't be parsed, fail validation or can't be routed are dead-lettered.
+ * Also used to replay dead letters through the normal path.
+ * @param {String} topic - MQTT topic
+ * @param {Buffer|String} payload - Raw message payload
+ */
+export async function dispatchMessage(topic, payload) {
+  const message = payload.toString();
+
+  let data;
+  try {
+    data = JSON.parse(message);
+  } catch (error) {
+    logger.error(`Invalid JSON on topic ${topic}: ${error.message}`);
+    await recordDeadLetter({ topic, payload: message, reason: "invalid_json", error: error.message });
+    return;
+  }
 
-// Keep track of active device heartbeats
-const deviceHeartbeats = new Map();
-const OFFLINE_TIMEOUT = 300000; // 5 minutes without heartbeat = offline
+  const route = MESSAGE_ROUTES.find(({ suffix }) => topic.endsWith(suffix));
+  if (!route) {
+    logger.info(`Received message on unhandled topic ${topic}`);
+    await recordDeadLetter({ topic, payload: data, reason: "unhandled_topic" });
+    return;
+  }
 
-// Check for offline devices periodically
-setInterval(() => {
-  const now = Date.now();
+  // Drop a second delivery of the same message (e.g. redelivery to another instance);
+  // a replay is a deliberate second run
+  if (!isReplayingDeadLetter()) {
+    const claimed = await claimInboundMessage(topic, message, data);
+    if (!claimed) {
+      logger.info(`Skipping duplicate ${route.type} message on ${topic}`);
+      return;
+    }
+  }
 
-  deviceHeartbeats.forEach((lastSeen, deviceId) => {
-    if (now - lastSeen > OFFLINE_TIMEOUT) {
-      // Mark device as offline
-      handleDeviceOffline(deviceId);
-      // Remove from tracking map
-      deviceHeartbeats.delete(deviceId);
+  // Reject payloads that don't match the schema before a handler sees them
+  const validation = validateMessage(route.type, data);
+  if (!validation.valid) {
+    const errorSummary = formatValidationErrors(validation.errors);
+    logger.warn(`Invalid ${route.type} payload on ${topic}: ${errorSummary}`);
+
+    // A replayed dead letter was already counted when it first arrived
+    if (typeof data?.deviceid === "string" && data.deviceid && !isReplayingDeadLetter()) {
+      await recordPayloadViolation({
+        device_id: data.deviceid,
+        message_type: route.type,
+        topic,
+        version: validation.version,
+        errors: validation.errors,
+        message: data,
+      });
     }
-  });
-}, 60000); // Check every minute
+    await recordDeadLetter({ topic, payload: data, reason: "schema_violation", error: errorSummary });
+    return;
+  }
+
+  // Update device heartbeat in the shared store (a replayed message says nothing about liveness)
+  if (!isReplayingDeadLetter()) {
+    recordHeartbeat(data.deviceid).catch((error) =>
+      logger.error(`Error recording heartbeat for ${data.deviceid}: ${error.message}`)
+    );
+  }
+
+  // Route message to appropriate handler based on topic
+  await route.handler(topic, data);
+}
+
+/**
+ * Reconcile stored online status with the heartbeat store, then keep
+ * marking devices offline once their per-type timeout passes
+ */
+export async function startDeviceLivenessMonitor() {
+  try {
+    await reconcileOnlineStatus(handleDeviceOffline);
+  } catch (error) {
+    logger.error(`Error reconciling device online status: ${error.message}`);
+  }
+  startHeartbeatSweep(handleDeviceOffline);
+}
+
+/**
+ * Stop marking devices offline (e.g. when another instance takes over)
+ */
+export function stopDeviceLivenessMonitor() {
+  stopHeartbeatSweep();
+}
 
 // Initialize IoT service and subscribe to relevant topics
 export async function initializeIotService() {
@@ -52,8 +141,12 @@ export async function initializeIotService() {
 
     logger.info(`Found ${thingNames.size} devices with thing_names`);
 
+    // A direct broker supports wildcards, which also covers devices added later
+    const subscribeTo =
+      getTransportName() === "broker" ? new Set(["+"]) : thingNames;
+
     // Subscribe to topics for each device
-    thingNames.forEach((thingName) => {
+    subscribeTo.forEach((thingName) => {
       // Subscribe to update topic
       const updateTopic = getTopic("update", thingName, "update");
       subscribe(updateTopic);
@@ -75,34 +168,9 @@ export async function initializeIotService() {
 
     // Set up message handler
     mqttClient.on("message", (topic, payload) => {
-      const message = payload.toString();
-
-      try {
-        const data = JSON.parse(message);
-
-        // Update device heartbeat if deviceid is present
-        if (data.deviceid) {
-          deviceHeartbeats.set(data.deviceid, Date.now());
-        }
-
-        // Route message to appropriate handler based on topic
-        if (topic.endsWith(TOPIC_SUFFIXES.update)) {
-          handleUpdateMessage(topic, data);
-        } else if (topic.endsWith(TOPIC_SUFFIXES.alive)) {
-          handleAliveMessage(topic, data);
-        } else if (topic.endsWith(TOPIC_SUFFIXES.health)) {
-          handleHealthMessage(topic, data);
-        } else if (topic.endsWith(TOPIC_SUFFIXES.slaveResponse)) {
-          // ✅ FIXED: Now properly detects $aws/things/{thingId}/slave_response
-          handleSlaveResponseMessage(topic, data);
-        } else {
-          logger.info(`Received message on unhandled topic ${topic}`);
-        }
-      } catch (error) {
-        logger.error(
-          `Error processing message on topic ${topic}: ${error.message}`
-        );
-      }
+      dispatchMessage(topic, payload).catch((error) =>
+        logger.error(`Error processing message on topic ${topic}: ${error.message}`)
+      );
     });
 
     logger.info("IoT service initialized successfully");
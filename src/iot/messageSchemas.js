@@ -0,0 +1,218 @@
+// src/iot/messageSchemas.js
+// Versioned JSON schemas for inbound device payloads, checked by the dispatcher
+// before a message reaches its handler. Devices may send `schema_version`;
+// payloads without it are validated against version 1.
+
+const DEVICE_ID = { type: "string", minLength: 1 };
+const SENSOR_NO = { type: "string", enum: ["TM1", "TM2", "TM3", "TM4"] };
+const SWITCH_NO = { type: "string", enum: ["BM1", "BM2"] };
+const LEVEL = { type: "number", minimum: 0, maximum: 100 };
+const TIMESTAMP = { type: ["string", "number"] };
+
+export const MESSAGE_SCHEMAS = {
+  update: {
+    1: {
+      type: "object",
+      required: ["deviceid"],
+      properties: {
+        deviceid: DEVICE_ID,
+        thingId: { type: "string" },
+        switch_no: SWITCH_NO,
+        status: { type: "string", enum: ["on", "off"] },
+        sensor_no: SENSOR_NO,
+        level: LEVEL,
+        value: LEVEL,
+        correlation_id: { type: "string" },
+        timestamp: TIMESTAMP,
+      },
+      // A switch report carries a status, a tank report a level or value
+      anyOf: [
+        { required: ["status"] },
+        { required: ["level"] },
+        { required: ["value"] },
+      ],
+    },
+  },
+
+  alive: {
+    1: {
+      type: "object",
+      required: ["deviceid"],
+      properties: {
+        deviceid: DEVICE_ID,
+        thingId: { type: "string" },
+        status: { type: "string" },
+        firmware: { type: "string" },
+        firmware_version: { type: "string" },
+        timestamp: TIMESTAMP,
+      },
+    },
+  },
+
+  health: {
+    1: {
+      type: "object",
+      required: ["deviceid"],
+      properties: {
+        deviceid: DEVICE_ID,
+        thingId: { type: "string" },
+        firmware_version: { type: "string" },
+        uptime: { type: "number", minimum: 0 },
+        rssi: { type: "number", minimum: -130, maximum: 0 },
+        free_heap: { type: "integer", minimum: 0 },
+        switches: {
+          type: "object",
+          properties: {
+            BM1: { type: "string", enum: ["on", "off"] },
+            BM2: { type: "string", enum: ["on", "off"] },
+          },
+        },
+        tanks: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["sensor_no"],
+            properties: {
+              sensor_no: SENSOR_NO,
+              level: LEVEL,
+            },
+          },
+        },
+        timestamp: TIMESTAMP,
+      },
+    },
+  },
+
+  slaveResponse: {
+    1: {
+      type: "object",
+      required: ["deviceid", "slaveid", "sensor_no"],
+      properties: {
+        deviceid: DEVICE_ID,
+        slaveid: DEVICE_ID,
+        sensor_no: SENSOR_NO,
+        thingId: { type: "string" },
+        channel: { type: ["string", "number"] },
+        addl: { type: ["string", "number"] },
+        addh: { type: ["string", "number"] },
+        timestamp: TIMESTAMP,
+      },
+    },
+  },
+};
+
+const DEFAULT_SCHEMA_VERSION = 1;
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Check a value against the subset of JSON Schema used above:
+ * type, enum, minimum, maximum, minLength, required, properties, items, anyOf
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {String} path - Field path for error messages
+ * @param {Array} errors - Collected { field, message } errors
+ */
+function checkSchema(value, schema, path, errors) {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ field: path, message: `must be ${types.join(" or ")}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field: path, message: `must be one of ${schema.enum.join(", ")}` });
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ field: path, message: `must be >= ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ field: path, message: `must be <= ${schema.maximum}` });
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ field: path, message: `must not be empty` });
+  }
+
+  if (typeOf(value) === "object") {
+    (schema.required || []).forEach((field) => {
+      if (value[field] === undefined || value[field] === null) {
+        errors.push({ field: path ? `${path}.${field}` : field, message: "is required" });
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([field, fieldSchema]) => {
+      if (value[field] !== undefined) {
+        checkSchema(value[field], fieldSchema, path ? `${path}.${field}` : field, errors);
+      }
+    });
+
+    if (schema.anyOf) {
+      const matched = schema.anyOf.some((option) => {
+        const optionErrors = [];
+        checkSchema(value, option, path, optionErrors);
+        return optionErrors.length === 0;
+      });
+      if (!matched) {
+        const alternatives = schema.anyOf
+          .map((option) => (option.required || []).join("+"))
+          .join(" or ");
+        errors.push({ field: path || "payload", message: `must contain ${alternatives}` });
+      }
+    }
+  }
+
+  if (typeOf(value) === "array" && schema.items) {
+    value.forEach((item, index) => {
+      checkSchema(item, schema.items, `${path}[${index}]`, errors);
+    });
+  }
+}
+
+/**
+ * Validate an inbound payload against the schema for its topic and version
+ * @param {String} messageType - update, alive, health or slaveResponse
+ * @param {*} message - Parsed payload
+ * @returns {Object} { valid, version, errors: [{ field, message }] }
+ */
+export function validateMessage(messageType, message) {
+  const versions = MESSAGE_SCHEMAS[messageType];
+  const version =
+    message && typeof message === "object" && message.schema_version !== undefined
+      ? message.schema_version
+      : DEFAULT_SCHEMA_VERSION;
+
+  const schema = versions?.[version];
+  if (!schema) {
+    return {
+      valid: false,
+      version,
+      errors: [{ field: "schema_version", message: `unsupported version ${version}` }],
+    };
+  }
+
+  const errors = [];
+  checkSchema(message, schema, "", errors);
+
+  return { valid: errors.length === 0, version, errors };
+}
+
+/**
+ * Turn validation errors into one readable line
+ * @param {Array} errors - Errors from validateMessage
+ * @returns {String}
+ */
+export function formatValidationErrors(errors) {
+  return errors.map((error) => `${error.field || "payload"} ${error.message}`).join("; ");
+}
@@ -1,11 +1,46 @@
 // src/iot/topicHandlers.js - FIXED VERSION
 import logger from "../utils/logger.js";
-import { User } from "../config/dbconfig.js";
 import { createNotification } from "../services/notificationService.js";
 import { publish } from "../utils/mqttHelper.js";
 import { getTopic } from "../config/awsIotConfig.js";
 import { checkSetupConditions } from "./deviceManager.js";
 import { saveDeviceResponse, saveMqttDataToMongo } from "../services/migratedDataService.js";
+import { publishToUser } from "../services/realtimeService.js";
+import { acknowledgeCommand } from "../services/commandService.js";
+import { recordDeadLetter } from "../services/deadLetterService.js";
+import { findDeviceOwner } from "../services/deviceRegistryService.js";
+import { updateEmbeddedDevice } from "../services/deviceStateService.js";
+import { recordSensorLevel } from "../services/telemetryService.js";
+import { analyzeTankLevel } from "../services/tankAnomalyService.js";
+
+// Tanks report every few seconds; live levels go out over SSE, and only a level
+// crossing one of these is stored as a notification
+const TANK_LOW_LEVEL_PERCENT = parseFloat(process.env.TANK_LOW_LEVEL_PERCENT) || 20;
+const TANK_FULL_LEVEL_PERCENT = parseFloat(process.env.TANK_FULL_LEVEL_PERCENT) || 95;
+
+/**
+ * Notification for a tank level that crossed the low or full mark, if it did
+ * @returns {Object|null} { title, message }
+ */
+function tankLevelNotification(device, previousLevel, level) {
+  const previous = Number(previousLevel);
+  const current = Number(level);
+  if (!Number.isFinite(previous) || !Number.isFinite(current)) return null;
+
+  if (previous > TANK_LOW_LEVEL_PERCENT && current <= TANK_LOW_LEVEL_PERCENT) {
+    return {
+      title: "Tank Level Low",
+      message: `Tank ${device.device_name} is down to ${current}%`,
+    };
+  }
+  if (previous < TANK_FULL_LEVEL_PERCENT && current >= TANK_FULL_LEVEL_PERCENT) {
+    return {
+      title: "Tank Full",
+      message: `Tank ${device.device_name} is at ${current}%`,
+    };
+  }
+  return null;
+}
 
 
 // Handle device update messages (water level changes, status changes)
@@ -16,6 +51,7 @@ export async function handleUpdateMessage(topic, message) {
 
     if (!deviceId) {
       logger.error("Update message missing deviceid:", message);
+      await recordDeadLetter({ topic, payload: message, reason: "missing_deviceid" });
       return;
     }
 
@@ -40,11 +76,36 @@ export async function handleUpdateMessage(topic, message) {
       logger.error(`❌ Error saving to tank_readings: ${saveError.message}`);
     }
 
+    // Tank levels also go into the time-series store behind the history charts,
+    // then get checked for leaks, dry-running pumps and sensor jumps
+    try {
+      const reading = {
+        deviceid: deviceId,
+        sensor_no: message.sensor_no,
+        level: message.level ?? message.value,
+        timestamp: message.timestamp,
+      };
+      const stored = await recordSensorLevel(reading);
+      if (stored) {
+        await analyzeTankLevel(stored);
+      }
+    } catch (telemetryError) {
+      logger.error(`❌ Error recording sensor level: ${telemetryError.message}`);
+    }
+
+    // Close the control/setting command this update confirms, if any
+    try {
+      await acknowledgeCommand(deviceId, message);
+    } catch (ackError) {
+      logger.error(`❌ Error acknowledging command: ${ackError.message}`);
+    }
+
     // Find the device in the database
-    const user = await User.findOne({ "spaces.devices.device_id": deviceId });
+    const user = await findDeviceOwner(deviceId);
 
     if (!user) {
       logger.error(`No user found with device ${deviceId}`);
+      await recordDeadLetter({ topic, payload: message, reason: "unknown_device" });
       return;
     }
 
@@ -54,8 +115,11 @@ export async function handleUpdateMessage(topic, message) {
     let spaceName = "";
 
     for (const space of user.spaces) {
+      // Base devices have one entry per switch; match the switch the update is about
       const deviceIndex = space.devices.findIndex(
-        (d) => d.device_id === deviceId
+        (d) =>
+          d.device_id === deviceId &&
+          (d.device_type !== "base" || !message.switch_no || d.switch_no === message.switch_no)
       );
 
       if (deviceIndex !== -1) {
@@ -69,6 +133,11 @@ export async function handleUpdateMessage(topic, message) {
           device.level = message.level;
           device.last_updated = new Date();
 
+          await updateEmbeddedDevice(
+            { userId: user._id, spaceId: space._id, deviceId },
+            { level: device.level, last_updated: device.last_updated }
+          );
+
           logger.info(
             `Updated tank device ${deviceId} level from ${previousLevel}% to ${message.level}%`
           );
@@ -93,6 +162,11 @@ export async function handleUpdateMessage(topic, message) {
           device.status = message.status;
           device.last_updated = new Date();
 
+          await updateEmbeddedDevice(
+            { userId: user._id, spaceId: space._id, deviceId, switchNo: device.switch_no },
+            { status: device.status, last_updated: device.last_updated }
+          );
+
           logger.info(
             `Updated base device ${deviceId} status from ${previousStatus} to ${message.status}`
           );
@@ -110,27 +184,37 @@ export async function handleUpdateMessage(topic, message) {
           deviceUpdated = true;
         }
 
-        // If device was updated, save changes and create notification
+        // If device was updated, notify
         if (deviceUpdated) {
-          await user.save();
+          // Push the change to the owner's connected clients
+          publishToUser(
+            user._id,
+            space._id,
+            device.device_type === "tank" ? "tank_level" : "switch_status",
+            { device: updatedDevice }
+          );
 
-          // Create notification for significant changes
-          await createNotification({
-            type:
-              device.device_type === "tank"
-                ? "TANK_LEVEL_CHANGE"
-                : "BASE_STATUS_CHANGE",
-            title:
-              device.device_type === "tank"
-                ? "Tank Level Changed"
-                : "Base Device Status Changed",
-            message:
-              device.device_type === "tank"
-                ? `Tank ${device.device_name} level changed to ${message.level}%`
-                : `Base device ${device.device_name} is now ${message.status}`,
-            user_id: user._id,
-            data: updatedDevice,
-          });
+          // Store a notification for significant changes only
+          let notification = {
+            type: "BASE_STATUS_CHANGE",
+            title: "Base Device Status Changed",
+            message: `Base device ${device.device_name} is now ${message.status}`,
+          };
+          if (device.device_type === "tank") {
+            const crossing = tankLevelNotification(
+              device,
+              updatedDevice.previous_level,
+              message.level
+            );
+            notification = crossing && { type: "TANK_LEVEL_CHANGE", ...crossing };
+          }
+          if (notification) {
+            await createNotification({
+              ...notification,
+              user_id: user._id,
+              data: updatedDevice,
+            });
+          }
 
           // Check if any setups should be triggered by this update
           await checkSetupConditions(
@@ -150,6 +234,7 @@ export async function handleUpdateMessage(topic, message) {
     }
   } catch (error) {
     logger.error("Error handling update message:", error);
+    await recordDeadLetter({ topic, payload: message, reason: "handler_error", error: error.message });
   }
 }
 
@@ -161,6 +246,7 @@ export async function handleAliveMessage(topic, message) {
 
     if (!deviceId) {
       logger.error("Alive message missing deviceid:", message);
+      await recordDeadLetter({ topic, payload: message, reason: "missing_deviceid" });
       return;
     }
 
@@ -181,10 +267,11 @@ export async function handleAliveMessage(topic, message) {
     }
 
     // Find the device in the database
-    const user = await User.findOne({ "spaces.devices.device_id": deviceId });
+    const user = await findDeviceOwner(deviceId);
 
     if (!user) {
       logger.error(`No user found with device ${deviceId}`);
+      await recordDeadLetter({ topic, payload: message, reason: "unknown_device" });
       return;
     }
 
@@ -201,18 +288,32 @@ export async function handleAliveMessage(topic, message) {
 
         // Update online status
         if (!device.online_status) {
-          device.online_status = true;
-          device.last_updated = new Date();
+          const fields = { online_status: true, last_updated: new Date() };
 
           // Extract firmware version if available
           if (message.firmware || message.firmware_version) {
-            device.firmware_version = message.firmware || message.firmware_version;
+            fields.firmware_version = message.firmware || message.firmware_version;
           }
 
-          deviceUpdated = true;
+          // Only the first of several concurrent alive messages flips the status and notifies
+          deviceUpdated = await updateEmbeddedDevice(
+            { userId: user._id, deviceId, where: { online_status: { $ne: true } } },
+            fields
+          );
+          if (!deviceUpdated) break;
 
           logger.info(`Device ${deviceId} is now online`);
 
+          publishToUser(user._id, space._id, "device_status", {
+            device: {
+              device_id: deviceId,
+              device_name: device.device_name,
+              device_type: device.device_type,
+              online_status: true,
+              space_id: space._id,
+            },
+          });
+
           // Create notification for device coming online
           await createNotification({
             type: "DEVICE_ONLINE",
@@ -229,16 +330,12 @@ export async function handleAliveMessage(topic, message) {
           });
         }
 
-        // Save if device was updated
-        if (deviceUpdated) {
-          await user.save();
-        }
-
         break;
       }
     }
   } catch (error) {
     logger.error("Error handling alive message:", error);
+    await recordDeadLetter({ topic, payload: message, reason: "handler_error", error: error.message });
   }
 }
 
@@ -251,17 +348,17 @@ export async function handleSlaveResponseMessage(topic, message) {
 
     if (!baseDeviceId || !slaveId || !sensorNo) {
       logger.error("Slave response missing required fields:", message);
+      await recordDeadLetter({ topic, payload: message, reason: "missing_fields" });
       return;
     }
 
     logger.info(`🔵 Received slave response for base ${baseDeviceId} and tank ${slaveId}`);
 
-    const user = await User.findOne({
-      "spaces.devices.device_id": baseDeviceId,
-    });
+    const user = await findDeviceOwner(baseDeviceId);
 
     if (!user) {
       logger.error(`No user found with base device ${baseDeviceId}`);
+      await recordDeadLetter({ topic, payload: message, reason: "unknown_device" });
       return;
     }
 
@@ -279,6 +376,12 @@ export async function handleSlaveResponseMessage(topic, message) {
 
     if (!thingId) {
       logger.error(`No thingId found for base device ${baseDeviceId}`);
+      await recordDeadLetter({
+        topic,
+        payload: message,
+        reason: "unknown_device",
+        error: "Base device has no thing name",
+      });
       return;
     }
 
@@ -313,12 +416,15 @@ export async function handleSlaveResponseMessage(topic, message) {
       const tankDevice = space.devices.find(d => d.device_id === slaveId);
       
       if (tankDevice) {
-        tankDevice.channel = message.channel || tankDevice.channel;
-        tankDevice.addl = message.addl || tankDevice.addl;
-        tankDevice.addh = message.addh || tankDevice.addh;
-        tankDevice.last_updated = new Date();
-        
-        await user.save();
+        await updateEmbeddedDevice(
+          { userId: user._id, spaceId: space._id, deviceId: slaveId },
+          {
+            channel: message.channel || tankDevice.channel,
+            addl: message.addl || tankDevice.addl,
+            addh: message.addh || tankDevice.addh,
+            last_updated: new Date(),
+          }
+        );
         logger.info(`✅ Tank device ${slaveId} connection info updated`);
         
         await createNotification({
@@ -362,6 +468,7 @@ export async function handleSlaveResponseMessage(topic, message) {
 
   } catch (error) {
     logger.error("Error handling slave response message:", error);
+    await recordDeadLetter({ topic, payload: message, reason: "handler_error", error: error.message });
   }
 }
 // ```
@@ -390,6 +497,7 @@ export async function handleHealthMessage(topic, message) {
 
     if (!deviceId) {
       logger.error("Health message missing deviceid:", message);
+      await recordDeadLetter({ topic, payload: message, reason: "missing_deviceid" });
       return;
     }
 
@@ -412,6 +520,7 @@ export async function handleHealthMessage(topic, message) {
 
   } catch (error) {
     logger.error("Error handling health message:", error);
+    await recordDeadLetter({ topic, payload: message, reason: "handler_error", error: error.message });
   }
 }
 
@@ -419,7 +528,7 @@ export async function handleHealthMessage(topic, message) {
 export async function handleDeviceOffline(deviceId) {
   try {
     // Find the device in the database
-    const user = await User.findOne({ "spaces.devices.device_id": deviceId });
+    const user = await findDeviceOwner(deviceId);
 
     if (!user) {
       logger.error(`No user found with device ${deviceId}`);
@@ -439,12 +548,25 @@ export async function handleDeviceOffline(deviceId) {
 
         // Update online status
         if (device.online_status) {
-          device.online_status = false;
-          device.last_updated = new Date();
-          deviceUpdated = true;
+          // Only one concurrent caller flips the status and notifies
+          deviceUpdated = await updateEmbeddedDevice(
+            { userId: user._id, deviceId, where: { online_status: true } },
+            { online_status: false, last_updated: new Date() }
+          );
+          if (!deviceUpdated) break;
 
           logger.info(`Device ${deviceId} is now offline`);
 
+          publishToUser(user._id, space._id, "device_status", {
+            device: {
+              device_id: deviceId,
+              device_name: device.device_name,
+              device_type: device.device_type,
+              online_status: false,
+              space_id: space._id,
+            },
+          });
+
           // Create notification for device going offline
           await createNotification({
             type: "DEVICE_OFFLINE",
@@ -461,11 +583,6 @@ export async function handleDeviceOffline(deviceId) {
           });
         }
 
-        // Save if device was updated
-        if (deviceUpdated) {
-          await user.save();
-        }
-
         break;
       }
     }
@@ -5,6 +5,39 @@ import {
   refreshAccessToken,
 } from "../services/authService.js";
 import { User } from "../config/dbconfig.js";
+import { isSessionActive } from "../services/sessionService.js";
+
+// What each platform role may do on the user management and /admin routes
+export const USER_PERMISSIONS = {
+  customer: [],
+  support: ["users:read", "users:reactivate", "diagnostics:read"],
+  admin: [
+    "users:read",
+    "users:deactivate",
+    "users:delete",
+    "users:reactivate",
+    "users:roles",
+    "diagnostics:read",
+    "diagnostics:write",
+    "audit:read",
+  ],
+};
+
+/**
+ * Platform role of a user. Numbers in ADMIN_MOBILE_NUMBERS are always admins,
+ * so the first admin can be bootstrapped without touching the database.
+ * @param {Object} user - User document
+ * @returns {String} customer, support or admin
+ */
+export function resolveUserRole(user) {
+  const adminNumbers = (process.env.ADMIN_MOBILE_NUMBERS || "")
+    .split(",")
+    .map((number) => number.trim())
+    .filter(Boolean);
+
+  if (adminNumbers.includes(user.mobile_number)) return "admin";
+  return user.role || "customer";
+}
 
 /**
  * Middleware to authenticate users via JWT access token
@@ -57,11 +90,22 @@ export function authenticateToken(req, res, next) {
           });
         }
 
+        // The session may have been logged out or revoked from another device
+        if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+          return res.status(401).json({
+            success: false,
+            message: "This session has been logged out. Please login again.",
+            code: "SESSION_REVOKED",
+          });
+        }
+
         // Set user info in request object
         req.user = {
           mobile_number: decoded.mobile,
           user_id: decoded.user_id,
           user_name: user.user_name,
+          role: resolveUserRole(user),
+          session_id: decoded.sid,
         };
         next();
       })
@@ -124,6 +168,7 @@ export function refreshTokenMiddleware(req, res, next) {
           mobile_number: decoded.mobile,
           user_id: decoded.user_id,
           user_name: user.user_name,
+          role: resolveUserRole(user),
         };
 
         // Attach the verified refresh token to the request for the controller
@@ -192,11 +237,17 @@ export function autoRefreshMiddleware(req, res, next) {
           return next(); // Let the route handler decide what to do
         }
 
+        if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+          return next();
+        }
+
         // Access token is valid and user is active, set user and continue
         req.user = {
           mobile_number: decoded.mobile,
           user_id: decoded.user_id,
           user_name: user.user_name,
+          role: resolveUserRole(user),
+          session_id: decoded.sid,
         };
         next();
       })
@@ -214,9 +265,17 @@ export function autoRefreshMiddleware(req, res, next) {
               return next(); // Let the route handler decide what to do
             }
 
-            // If valid and user is active, get a new access token from the service
-            const { accessToken: newAccessToken, accessTokenExpiry } =
-              await refreshAccessToken(refreshToken);
+            // If valid and user is active, get new tokens from the service
+            // (this rotates the refresh token, so the cookie has to be replaced too)
+            const {
+              accessToken: newAccessToken,
+              accessTokenExpiry,
+              refreshToken: newRefreshToken,
+              refreshTokenExpiry,
+            } = await refreshAccessToken(refreshToken, {
+              user_agent: req.headers["user-agent"],
+              ip: req.ip,
+            });
 
             // Set the new token in response headers and cookies
             res.setHeader("X-New-Access-Token", newAccessToken);
@@ -226,12 +285,20 @@ export function autoRefreshMiddleware(req, res, next) {
               sameSite: "strict",
               expires: accessTokenExpiry,
             });
+            res.cookie("refreshToken", newRefreshToken, {
+              httpOnly: true,
+              secure: process.env.NODE_ENV === "production",
+              sameSite: "strict",
+              expires: refreshTokenExpiry,
+            });
 
             // Set user in request and continue
             req.user = {
               mobile_number: decoded.mobile,
               user_id: decoded.user_id,
               user_name: user.user_name,
+              role: resolveUserRole(user),
+              session_id: decoded.sid,
             };
             next();
           } catch (refreshError) {
@@ -249,3 +316,44 @@ export function autoRefreshMiddleware(req, res, next) {
     next(error);
   }
 }
+
+/**
+ * Middleware factory restricting a route to roles with a permission
+ * Must run after authenticateToken
+ * @param {String|Function} permission - Permission name, or (req) => name when it
+ *   depends on the request (e.g. hard vs soft delete)
+ * @param {Object} options - allowSelf: also let users act on their own account,
+ *   identified by req.params.identifier (mobile number or user ID)
+ * @returns {Function} Express middleware
+ */
+export function requirePermission(permission, { allowSelf = false } = {}) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+        code: "AUTH_REQUIRED",
+      });
+    }
+
+    const identifier = req.params.identifier;
+    if (
+      allowSelf &&
+      identifier &&
+      (identifier === req.user.mobile_number || identifier === String(req.user.user_id))
+    ) {
+      return next();
+    }
+
+    const required = typeof permission === "function" ? permission(req) : permission;
+    if (!(USER_PERMISSIONS[req.user.role] || []).includes(required)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action",
+        code: "PERMISSION_DENIED",
+      });
+    }
+
+    next();
+  };
+}
@@ -0,0 +1,73 @@
+// src/middlewares/rateLimitMiddleware.js
+import rateLimit from "express-rate-limit";
+import { createRateLimitStore } from "../services/rateLimitService.js";
+import logger from "../utils/logger.js";
+
+const WINDOW_MS = parseInt(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+
+// Requests per window. Sending an OTP costs a message, so it is limited
+// harder than verifying one.
+const OTP_SEND_PER_IP = parseInt(process.env.OTP_SEND_LIMIT_PER_IP) || 20;
+const OTP_SEND_PER_MOBILE = parseInt(process.env.OTP_SEND_LIMIT_PER_MOBILE) || 5;
+const OTP_VERIFY_PER_IP = parseInt(process.env.OTP_VERIFY_LIMIT_PER_IP) || 30;
+const OTP_VERIFY_PER_MOBILE = parseInt(process.env.OTP_VERIFY_LIMIT_PER_MOBILE) || 10;
+
+function mobileKey(req) {
+  return String(req.body?.mobile_number).trim();
+}
+
+/**
+ * Build a limiter for the auth endpoints
+ * @param {String} name - Limiter name, also the prefix of its counters
+ * @param {Number} limit - Requests per window
+ * @param {Boolean} perMobile - Count per mobile number in the body instead of per IP
+ */
+function createAuthLimiter(name, limit, perMobile = false) {
+  return rateLimit({
+    windowMs: WINDOW_MS,
+    limit,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    store: createRateLimitStore(name),
+    // Requests without a mobile number are rejected by the controller anyway
+    ...(perMobile && {
+      keyGenerator: mobileKey,
+      skip: (req) => !req.body?.mobile_number,
+    }),
+    // Signing in keeps working if the counters can't be reached
+    passOnStoreError: true,
+    handler: (req, res) => {
+      const retryAfter = Math.max(
+        Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000),
+        1
+      );
+
+      logger.warn(`⚠️ Rate limit ${name} exceeded`, {
+        ip: req.ip,
+        mobileNumber: req.body?.mobile_number,
+        path: req.path,
+      });
+
+      return res.status(429).json({
+        success: false,
+        message: perMobile
+          ? "Too many requests for this mobile number. Please try again later."
+          : "Too many requests. Please try again later.",
+        code: perMobile ? "MOBILE_RATE_LIMITED" : "IP_RATE_LIMITED",
+        retry_after: retryAfter,
+      });
+    },
+  });
+}
+
+// Sign in, sign up and the resend endpoints
+export const otpSendLimiter = [
+  createAuthLimiter("otp_send_ip", OTP_SEND_PER_IP),
+  createAuthLimiter("otp_send_mobile", OTP_SEND_PER_MOBILE, true),
+];
+
+// The OTP verification endpoints
+export const otpVerifyLimiter = [
+  createAuthLimiter("otp_verify_ip", OTP_VERIFY_PER_IP),
+  createAuthLimiter("otp_verify_mobile", OTP_VERIFY_PER_MOBILE, true),
+];
@@ -0,0 +1,101 @@
+// src/routes/adminRoutes.js
+
+import express from "express";
+import {
+  getDeadLetters,
+  getDeadLetter,
+  replayDeadLetter,
+  purgeDeadLetters,
+  deleteDeadLetter,
+} from "../controllers/deadLetterController.js";
+import {
+  getPayloadViolations,
+  getViolationsByFirmware,
+} from "../controllers/payloadViolationController.js";
+import { getAuditLog } from "../controllers/auditController.js";
+import { authenticateToken, requirePermission } from "../middlewares/authMiddleware.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /admin/dead-letters
+ * @desc Browse MQTT messages that were malformed or could not be routed
+ * @access Support, Admin
+ * @query {number} limit - Items per page (default: 50, max: 200)
+ * @query {number} offset - Items to skip (default: 0)
+ * @query {string} reason - invalid_json, unhandled_topic, missing_deviceid, missing_fields, schema_violation, unknown_device, handler_error
+ * @query {string} topic - Topic substring
+ * @query {string} device_id - Device ID from the payload
+ * @query {string} status - new, replayed or replay_failed
+ * @query {string} from - Received at or after (ISO date)
+ * @query {string} to - Received at or before (ISO date)
+ */
+router.get("/admin/dead-letters", authenticateToken, requirePermission("diagnostics:read"), getDeadLetters);
+
+/**
+ * @route GET /admin/dead-letters/:deadLetterId
+ * @desc Get a single dead letter with its raw payload
+ * @access Support, Admin
+ */
+router.get("/admin/dead-letters/:deadLetterId", authenticateToken, requirePermission("diagnostics:read"), getDeadLetter);
+
+/**
+ * @route POST /admin/dead-letters/:deadLetterId/replay
+ * @desc Run the stored payload through the normal message handlers again
+ * @access Admin
+ */
+router.post("/admin/dead-letters/:deadLetterId/replay", authenticateToken, requirePermission("diagnostics:write"), replayDeadLetter);
+
+/**
+ * @route DELETE /admin/dead-letters/:deadLetterId
+ * @desc Delete a single dead letter
+ * @access Admin
+ */
+router.delete("/admin/dead-letters/:deadLetterId", authenticateToken, requirePermission("diagnostics:write"), deleteDeadLetter);
+
+/**
+ * @route POST /admin/dead-letters/purge
+ * @desc Delete dead letters by IDs or by filter
+ * @access Admin
+ * @body {string[]} ids - Dead letter IDs
+ * @body {string} reason - Only this reason
+ * @body {string} status - Only this status
+ * @body {string} before - Only received before this date (ISO date)
+ */
+router.post("/admin/dead-letters/purge", authenticateToken, requirePermission("diagnostics:write"), purgeDeadLetters);
+
+/**
+ * @route GET /admin/payload-violations
+ * @desc Per-device counters of payloads that failed schema validation
+ * @access Support, Admin
+ * @query {string} device_id - Only this device
+ * @query {string} firmware_version - Only this firmware build
+ * @query {number} limit - Items per page (default: 50, max: 200)
+ * @query {number} offset - Items to skip (default: 0)
+ */
+router.get("/admin/payload-violations", authenticateToken, requirePermission("diagnostics:read"), getPayloadViolations);
+
+/**
+ * @route GET /admin/payload-violations/firmware
+ * @desc Violation totals grouped by firmware build
+ * @access Support, Admin
+ */
+router.get("/admin/payload-violations/firmware", authenticateToken, requirePermission("diagnostics:read"), getViolationsByFirmware);
+
+/**
+ * @route GET /admin/audit-log
+ * @desc Actions staff took on other users' accounts and changes to spaces
+ * @access Admin
+ * @query {string} action - e.g. user.delete, user.role_change, device.control
+ * @query {string} actor - Acting user's ID or mobile number
+ * @query {string} target - Affected user's ID or mobile number
+ * @query {string} space - Space ID
+ * @query {string} source - app, setup or schedule
+ * @query {string} from - At or after (ISO date)
+ * @query {string} to - At or before (ISO date)
+ * @query {number} limit - Items per page (default: 50, max: 200)
+ * @query {number} offset - Items to skip (default: 0)
+ */
+router.get("/admin/audit-log", authenticateToken, requirePermission("audit:read"), getAuditLog);
+
+export default router;
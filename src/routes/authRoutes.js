@@ -10,20 +10,23 @@ import {
   signinResendOTP,
   signupResendOTP,
   getUser,
+  getSessions,
+  revokeSession,
 } from "../controllers/authController.js";
 import { refreshTokenMiddleware, authenticateToken } from "../middlewares/authMiddleware.js";
+import { otpSendLimiter, otpVerifyLimiter } from "../middlewares/rateLimitMiddleware.js";
 
 const router = express.Router();
 
-// Authentication endpoints - Sign In
-router.post("/signin", signinInitiate);
-router.post("/signin/otp", signinVerifyOTP);
-router.post("/signin/resend-otp", signinResendOTP);
+// Authentication endpoints - Sign In (throttled per IP and per mobile number)
+router.post("/signin", otpSendLimiter, signinInitiate);
+router.post("/signin/otp", otpVerifyLimiter, signinVerifyOTP);
+router.post("/signin/resend-otp", otpSendLimiter, signinResendOTP);
 
 // Authentication endpoints - Sign Up
-router.post("/signup", signupInitiate);
-router.post("/signup/otp", signupVerifyOTP);
-router.post("/signup/resend-otp", signupResendOTP);
+router.post("/signup", otpSendLimiter, signupInitiate);
+router.post("/signup/otp", otpVerifyLimiter, signupVerifyOTP);
+router.post("/signup/resend-otp", otpSendLimiter, signupResendOTP);
 
 // Token refresh endpoint
 router.post("/refresh-token", refreshTokenMiddleware, refreshToken);
@@ -34,4 +37,8 @@ router.post("/logout", logout);
 // Get authenticated user details
 router.get("/user", authenticateToken, getUser);
 
+// Signed-in devices of the authenticated user
+router.get("/sessions", authenticateToken, getSessions);
+router.delete("/sessions/:sessionId", authenticateToken, revokeSession);
+
 export default router;
@@ -4,7 +4,8 @@ import {
   control, 
   slaveRequest, 
   isBaseResponded, 
-  isTankResponded 
+  isTankResponded,
+  commandStatus
 } from "../services/controlService.js";
 
 const router = express.Router();
@@ -16,4 +17,7 @@ router.post('/slave-request', authenticateToken, slaveRequest);
 router.get('/base-responded/:deviceid', authenticateToken, isBaseResponded);
 router.get('/tank-responded/:deviceid/:sensorNumber', authenticateToken, isTankResponded);
 
+// Command acknowledgement status (pending/applied/failed) by correlation ID
+router.get('/commands/:correlationId', authenticateToken, commandStatus);
+
 export default router;
\ No newline at end of file
@@ -4,7 +4,14 @@ import { authenticateToken as universalAuth } from "../middlewares/authMiddlewar
 import * as spaceController from "../controllers/spaceController.js";
 import * as deviceController from "../controllers/deviceController.js";
 import * as setupController from "../controllers/setupController.js";
+import * as scheduleController from "../controllers/scheduleController.js";
+import * as jobController from "../controllers/jobController.js";
 import * as notificationController from "../controllers/notificationController.js";
+import * as realtimeController from "../controllers/realtimeController.js";
+import * as spaceMemberController from "../controllers/spaceMemberController.js";
+import * as auditController from "../controllers/auditController.js";
+import * as reportController from "../controllers/reportController.js";
+import * as incidentController from "../controllers/incidentController.js";
 
 const router = express.Router();
 
@@ -15,6 +22,78 @@ router.get("/spaces/:spaceId", universalAuth, spaceController.getSpaceById);
 router.post("/spaces", universalAuth, spaceController.createSpace);
 router.put("/spaces/:spaceId", universalAuth, spaceController.updateSpace);
 router.delete("/spaces/:spaceId", universalAuth, spaceController.deleteSpace);
+router.post(
+  "/spaces/:spaceId/transfer",
+  universalAuth,
+  spaceController.transferSpaceOwnership
+);
+
+// Shared access routes
+// -------------
+router.get(
+  "/spaces/:spaceId/members",
+  universalAuth,
+  spaceMemberController.getSpaceMembers
+);
+router.post(
+  "/spaces/:spaceId/members",
+  universalAuth,
+  spaceMemberController.inviteMember
+);
+router.put(
+  "/spaces/:spaceId/members/:mobileNumber",
+  universalAuth,
+  spaceMemberController.updateMemberRole
+);
+router.delete(
+  "/spaces/:spaceId/members/:mobileNumber",
+  universalAuth,
+  spaceMemberController.revokeMember
+);
+router.get("/invitations", universalAuth, spaceMemberController.getInvitations);
+router.post(
+  "/invitations/:invitationId/accept",
+  universalAuth,
+  spaceMemberController.acceptInvitation
+);
+router.post(
+  "/invitations/:invitationId/decline",
+  universalAuth,
+  spaceMemberController.declineInvitation
+);
+
+// Who changed what in a space (filters: action, actor, source, from, to)
+router.get(
+  "/spaces/:spaceId/audit-log",
+  universalAuth,
+  auditController.getSpaceAuditLog
+);
+
+// Water used, refills and pump run-time (query: period=day|week|month, date)
+router.get(
+  "/spaces/:spaceId/reports/water",
+  universalAuth,
+  reportController.getWaterReport
+);
+
+// Leak, dry run and sensor jump incidents (filters: status, type, device_id)
+router.get(
+  "/spaces/:spaceId/incidents",
+  universalAuth,
+  incidentController.getIncidents
+);
+router.post(
+  "/spaces/:spaceId/incidents/:incidentId/resolve",
+  universalAuth,
+  incidentController.resolveIncident
+);
+
+// Realtime event stream (Server-Sent Events) for a space
+router.get(
+  "/spaces/:spaceId/events",
+  universalAuth,
+  realtimeController.streamSpaceEvents
+);
 
 // Device routes
 // -------------
@@ -28,6 +107,21 @@ router.get(
   universalAuth,
   deviceController.getDeviceById
 );
+router.get(
+  "/spaces/:spaceId/devices/:deviceId/availability",
+  universalAuth,
+  deviceController.getDeviceAvailability
+);
+router.get(
+  "/spaces/:spaceId/devices/:deviceId/anomaly-settings",
+  universalAuth,
+  incidentController.getAnomalySettings
+);
+router.put(
+  "/spaces/:spaceId/devices/:deviceId/anomaly-settings",
+  universalAuth,
+  incidentController.updateAnomalySettings
+);
 router.get(
   "/users/:userId/devices",
   universalAuth, 
@@ -93,6 +187,51 @@ router.delete(
   setupController.deleteSetup
 );
 
+// Schedule routes
+// -------------
+router.get(
+  "/spaces/:spaceId/schedules",
+  universalAuth,
+  scheduleController.getSchedules
+);
+router.get(
+  "/spaces/:spaceId/schedules/:scheduleId",
+  universalAuth,
+  scheduleController.getScheduleById
+);
+router.post(
+  "/spaces/:spaceId/schedules",
+  universalAuth,
+  scheduleController.createSchedule
+);
+router.put(
+  "/spaces/:spaceId/schedules/:scheduleId",
+  universalAuth,
+  scheduleController.updateSchedule
+);
+router.put(
+  "/spaces/:spaceId/schedules/:scheduleId/status",
+  universalAuth,
+  scheduleController.updateScheduleStatus
+);
+router.put(
+  "/spaces/:spaceId/schedules/:scheduleId/skip-today",
+  universalAuth,
+  scheduleController.skipToday
+);
+router.delete(
+  "/spaces/:spaceId/schedules/:scheduleId",
+  universalAuth,
+  scheduleController.deleteSchedule
+);
+
+// Pending delayed/scheduled device commands
+router.get(
+  "/spaces/:spaceId/jobs",
+  universalAuth,
+  jobController.getSpacePendingJobs
+);
+
 // Notification routes
 // -------------
 router.get(
@@ -100,6 +239,11 @@ router.get(
   universalAuth,
   notificationController.getUserNotifications
 );
+router.put(
+  "/notifications/read-all",
+  universalAuth,
+  notificationController.markAllNotificationsAsRead
+);
 router.put(
   "/notifications/:notificationId/read",
   universalAuth,
@@ -28,7 +28,8 @@ router.patch('/spaces/:spaceId/setups/:setupId/status', authenticateToken, async
     });
   } catch (error) {
     logger.error('Setup status update error:', error);
-    res.status(400).json({
+    const status = error.message === 'Insufficient permissions for this space' ? 403 : 400;
+    res.status(status).json({
       success: false,
       message: error.message
     });
@@ -51,7 +52,8 @@ router.delete('/spaces/:spaceId/setups/:setupId', authenticateToken, async (req,
     });
   } catch (error) {
     logger.error('Delete setup error:', error);
-    res.status(400).json({
+    const status = error.message === 'Insufficient permissions for this space' ? 403 : 400;
+    res.status(status).json({
       success: false,
       message: error.message
     });
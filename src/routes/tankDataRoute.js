@@ -1,12 +1,14 @@
 import express from "express";
 import { authenticateToken } from "../middlewares/authMiddleware.js";
-import { sensorData, switchStatus } from "../services/tankDataService.js";
+import { sensorData, switchStatus, getHistoricalData } from "../services/tankDataService.js";
 import { isBaseResponded, isTankResponded } from "../services/controlService.js";
 
 const router = express.Router();
 
 router.get("/tank-data/latest/:deviceid/:sensorNumber",authenticateToken,sensorData);
 router.get("/status/:deviceid/:switchNumber",authenticateToken,switchStatus)
+// Level history of a tank (query: from, to, bucket, aggregates, limit)
+router.get("/tank-data/history/:deviceid", authenticateToken, getHistoricalData);
 router.get("/:deviceid/isResponded",isBaseResponded)
 router.get("/:deviceid/:sensorNumber/isResponded",isTankResponded)
 
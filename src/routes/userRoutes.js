@@ -6,15 +6,16 @@ import {
   getUser,
   removeUser,
   reactivateUserController,
+  updateUserRoleController,
 } from "../controllers/userController.js";
-import { authenticateToken } from "../middlewares/authMiddleware.js"; // Assuming you have auth middleware
+import { authenticateToken, requirePermission } from "../middlewares/authMiddleware.js";
 
 const router = express.Router();
 
 /**
  * @route GET /api/users
  * @desc Get all users with optional filtering and pagination
- * @access Protected (requires authentication)
+ * @access Support, Admin
  * @query {number} page - Page number (default: 1)
  * @query {number} limit - Items per page (default: 10)
  * @query {string} sortBy - Sort field (default: 'created_at')
@@ -23,36 +24,67 @@ const router = express.Router();
  * @query {string} search - Search in user_name or mobile_number
  * @query {string} isActive - Filter by active status 'true' or 'false'
  */
-router.get("/users", authenticateToken, getUsers);
+router.get("/users", authenticateToken, requirePermission("users:read"), getUsers);
 
 /**
  * @route GET /api/user/:identifier
  * @desc Get a single user by mobile number or ID
- * @access Protected (requires authentication)
+ * @access Own account, Support, Admin
  * @param {string} identifier - Mobile number or user ID
  * @query {string} type - Identifier type 'mobile' or 'id' (default: 'mobile')
  */
-router.get("/user/:identifier", authenticateToken, getUser);
+router.get(
+  "/user/:identifier",
+  authenticateToken,
+  requirePermission("users:read", { allowSelf: true }),
+  getUser
+);
 
 /**
  * @route DELETE /api/user/:identifier
  * @desc Delete a user (soft delete by default)
- * @access Protected (requires authentication)
+ * @access Own account, Admin
  * @param {string} identifier - Mobile number or user ID
  * @query {string} type - Identifier type 'mobile' or 'id' (default: 'mobile')
  * @query {string} hard - Hard delete 'true' or 'false' (default: 'false')
  */
-router.delete("/user/:identifier", authenticateToken, removeUser);
+router.delete(
+  "/user/:identifier",
+  authenticateToken,
+  requirePermission(
+    (req) => (req.query.hard === "true" ? "users:delete" : "users:deactivate"),
+    { allowSelf: true }
+  ),
+  removeUser
+);
 
 /**
  * @route PATCH /api/user/:identifier/reactivate
  * @desc Reactivate a soft-deleted user
- * @access Protected (requires authentication)
+ * @access Support, Admin
  * @param {string} identifier - Mobile number or user ID
  * @query {string} type - Identifier type 'mobile' or 'id' (default: 'mobile')
  */
-router.patch("/user/:identifier/reactivate", authenticateToken, reactivateUserController);
-
+router.patch(
+  "/user/:identifier/reactivate",
+  authenticateToken,
+  requirePermission("users:reactivate"),
+  reactivateUserController
+);
 
+/**
+ * @route PATCH /api/user/:identifier/role
+ * @desc Change a user's platform role
+ * @access Admin
+ * @param {string} identifier - Mobile number or user ID
+ * @query {string} type - Identifier type 'mobile' or 'id' (default: 'mobile')
+ * @body {string} role - customer, support or admin
+ */
+router.patch(
+  "/user/:identifier/role",
+  authenticateToken,
+  requirePermission("users:roles"),
+  updateUserRoleController
+);
 
 export default router;
\ No newline at end of file
@@ -2,6 +2,16 @@ import app from './app.js';
 import logger from './utils/logger.js';
 import dotenv from "dotenv";
 import { connectDB } from "./config/dbconfig.js";
+import { startScheduler, stopScheduler } from "./services/scheduleService.js";
+import { startJobWorker } from "./services/jobQueueService.js";
+import { startCommandTimeoutSweep, stopCommandTimeoutSweep } from "./services/commandService.js";
+import { startLeaderElection } from "./services/leaderService.js";
+import { getTransportName } from "./utils/mqttHelper.js";
+import {
+  initializeIotService,
+  startDeviceLivenessMonitor,
+  stopDeviceLivenessMonitor,
+} from "./iot/index.js";
 import { connectPostDB, client } from "./config/postgres.js";
 
 
@@ -9,9 +19,34 @@ dotenv.config();
 
 // Optional MongoDB
 connectDB()
-  .then(
-    () => console.log("MongoDB connection established successfully")
-  )
+  .then(async () => {
+    console.log("MongoDB connection established successfully");
+
+    // Device messages only reach this process over a direct broker connection
+    const receivesDeviceMessages = getTransportName() === "broker";
+    if (receivesDeviceMessages) {
+      await initializeIotService();
+    }
+
+    // Periodic sweeps run on exactly one instance
+    startLeaderElection("periodic-jobs", {
+      onElected: async () => {
+        startScheduler();
+        startCommandTimeoutSweep();
+        if (receivesDeviceMessages) {
+          await startDeviceLivenessMonitor();
+        }
+      },
+      onDemoted: () => {
+        stopScheduler();
+        stopCommandTimeoutSweep();
+        stopDeviceLivenessMonitor();
+      },
+    });
+
+    // Jobs are claimed atomically, so every instance can work the queue
+    return startJobWorker();
+  })
   .catch((err) => {
     console.error("MongoDB connection error:", err);
     process.exit(1);
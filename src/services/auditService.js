@@ -0,0 +1,255 @@
+// src/services/auditService.js
+import mongoose from "mongoose";
+import { trace, context } from "@opentelemetry/api";
+import logger from "../utils/logger.js";
+import { SPACE_PERMISSIONS, resolveSpaceAccess } from "./spaceAccessService.js";
+
+// What started a change to a space: a user in the app, a setup's automation or a schedule
+export const AUDIT_SOURCES = ["app", "setup", "schedule"];
+
+// Audit Entry Schema - one action someone took, kept for accountability
+const auditEntrySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+    },
+    actor: {
+      _id: false,
+      user_id: mongoose.Schema.Types.ObjectId,
+      mobile_number: String,
+      role: String,
+      // Role in the space, for changes to a space
+      space_role: String,
+    },
+    // What was acted on, e.g. { type: "user", id: "..." }
+    entity: {
+      _id: false,
+      type: { type: String },
+      id: String,
+    },
+    // The user the action was about, for actions on other users' accounts
+    target_user: {
+      _id: false,
+      user_id: mongoose.Schema.Types.ObjectId,
+      mobile_number: String,
+    },
+    // The space a device or setup change was made in
+    space: {
+      _id: false,
+      space_id: mongoose.Schema.Types.ObjectId,
+      owner_id: mongoose.Schema.Types.ObjectId,
+    },
+    // Values of the fields the action changed
+    changes: {
+      _id: false,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    },
+    source: {
+      type: String,
+      enum: AUDIT_SOURCES,
+    },
+    details: mongoose.Schema.Types.Mixed,
+    ip: String,
+    trace_id: String,
+    created_at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { versionKey: false }
+);
+
+auditEntrySchema.index({ created_at: -1 });
+auditEntrySchema.index({ "actor.user_id": 1, created_at: -1 });
+auditEntrySchema.index({ "target_user.user_id": 1, created_at: -1 });
+auditEntrySchema.index({ action: 1, created_at: -1 });
+auditEntrySchema.index({ "space.space_id": 1, created_at: -1 });
+
+// The log is append-only: entries are never changed or removed
+function rejectAuditChange() {
+  throw new Error("Audit entries cannot be changed");
+}
+
+auditEntrySchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectAuditChange
+);
+auditEntrySchema.pre("save", function () {
+  if (!this.isNew) rejectAuditChange();
+});
+
+export const AuditEntry = mongoose.model("AuditEntry", auditEntrySchema, "audit_log");
+
+/**
+ * The authenticated user of a request, as recorded in audit entries
+ * @param {Object} req - Express request object
+ */
+export function getRequestActor(req) {
+  return {
+    user_id: req.user?.user_id,
+    mobile_number: req.user?.mobile_number,
+    role: req.user?.role,
+  };
+}
+
+/**
+ * A user acting on a space, as recorded in audit entries
+ * @param {String} mobileNumber - Acting user
+ * @param {Object} access - { role, actorId } from resolveSpaceAccess
+ */
+export function getSpaceActor(mobileNumber, { role, actorId }) {
+  return {
+    user_id: actorId,
+    mobile_number: mobileNumber,
+    space_role: role,
+  };
+}
+
+/**
+ * The fields that differ between two versions of a record
+ * @param {Object} before - Previous values (null when created)
+ * @param {Object} after - New values (null when removed)
+ * @returns {Object} { before, after } with only the changed fields
+ */
+export function diffChanges(before, after) {
+  const changes = { before: {}, after: {} };
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const key of keys) {
+    if (JSON.stringify(before?.[key]) === JSON.stringify(after?.[key])) continue;
+    if (before?.[key] !== undefined) changes.before[key] = before[key];
+    if (after?.[key] !== undefined) changes.after[key] = after[key];
+  }
+
+  return changes;
+}
+
+/**
+ * Record a change to a device or setup in a space
+ * @param {Object} change - action, actor, spaceId, ownerId, entity, before, after,
+ *   source (default "app"), details, ip
+ */
+export async function recordSpaceChange({
+  spaceId,
+  ownerId,
+  before,
+  after,
+  source = "app",
+  ...entry
+}) {
+  await recordAudit({
+    ...entry,
+    space: { space_id: spaceId, owner_id: ownerId },
+    changes: diffChanges(before, after),
+    source,
+  });
+}
+
+/**
+ * Record an audit entry. Failures are logged, never thrown, so auditing can't
+ * break the action being audited.
+ * @param {Object} entry - action, actor, entity, target_user, details, ip
+ */
+export async function recordAudit(entry) {
+  try {
+    const span = trace.getSpan(context.active());
+
+    await AuditEntry.create({
+      ...entry,
+      trace_id: entry.trace_id || span?.spanContext().traceId,
+    });
+  } catch (error) {
+    logger.error(`Error recording audit entry ${entry.action}: ${error.message}`);
+  }
+}
+
+/**
+ * List audit entries, newest first
+ * @param {Object} options - action, actor, target (user ID or mobile number), space,
+ *   source, from, to, limit, offset
+ * @returns {Promise<Object>} { entries, pagination }
+ */
+export async function getAuditEntries(options = {}) {
+  const {
+    action,
+    actor,
+    target,
+    space,
+    source,
+    from,
+    to,
+    limit = 50,
+    offset = 0,
+  } = options;
+
+  const query = {};
+  if (action) query.action = action;
+  if (actor) {
+    query.$or = mongoose.isValidObjectId(actor)
+      ? [{ "actor.user_id": actor }, { "actor.mobile_number": actor }]
+      : [{ "actor.mobile_number": actor }];
+  }
+  if (target) {
+    const targetQuery = mongoose.isValidObjectId(target)
+      ? [{ "target_user.user_id": target }, { "target_user.mobile_number": target }]
+      : [{ "target_user.mobile_number": target }];
+    query.$and = [...(query.$and || []), { $or: targetQuery }];
+  }
+  if (space) {
+    // Device transfers are listed in both the source and the destination space
+    const spaceId = new mongoose.Types.ObjectId(space);
+    query.$and = [
+      ...(query.$and || []),
+      { $or: [{ "space.space_id": spaceId }, { "details.to_space_id": spaceId }] },
+    ];
+  }
+  if (source) query.source = source;
+  if (from || to) {
+    query.created_at = {};
+    if (from) query.created_at.$gte = new Date(from);
+    if (to) query.created_at.$lte = new Date(to);
+  }
+
+  const [entries, total] = await Promise.all([
+    AuditEntry.find(query).sort({ created_at: -1 }).skip(offset).limit(limit).lean(),
+    AuditEntry.countDocuments(query),
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + entries.length < total,
+    },
+  };
+}
+
+/**
+ * List the audit entries of a space, newest first
+ * @param {String} mobileNumber - Acting user
+ * @param {String} spaceId - Space ID
+ * @param {Object} options - action, actor, source, from, to, limit, offset
+ * @returns {Promise<Object>} { entries, pagination }
+ */
+export async function getSpaceAuditEntries(mobileNumber, spaceId, options = {}) {
+  const { space } = await resolveSpaceAccess(
+    mobileNumber,
+    spaceId,
+    SPACE_PERMISSIONS.MANAGE
+  );
+
+  return getAuditEntries({ ...options, target: undefined, space: space._id });
+}
@@ -1,11 +1,19 @@
 // src/services/authService.js - Complete file with optimized OTP handling
 
 import { User } from "../config/dbconfig.js";
+import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
-import axios from "axios";
+import crypto from "crypto";
 import dotenv from "dotenv";
 import { v4 as uuidv4 } from "uuid";
 import logger from '../utils/logger.js';
+import { sendOTP } from "./otpDeliveryService.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} from "./sessionService.js";
 dotenv.config();
 
 // JWT configuration
@@ -18,21 +26,33 @@ const REFRESH_TOKEN_SECRET =
   process.env.REFRESH_TOKEN_SECRET || "your-refresh-secret-key";
 const REFRESH_TOKEN_EXPIRY = process.env.REFRESH_TOKEN_EXPIRY || "7d";
 
-// WhatsApp API credentials
-const PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID || "";
-const ACCESS_TOKEN = process.env.WHATSAPP_TOKEN || "";
+// OTP protection
+const OTP_SECRET = process.env.OTP_SECRET || ACCESS_TOKEN_SECRET;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_LOCKOUT_MS = parseInt(process.env.OTP_LOCKOUT_MS) || 15 * 60 * 1000;
+const OTP_RESEND_COOLDOWN_MS = parseInt(process.env.OTP_RESEND_COOLDOWN_MS) || 60 * 1000;
+
+// How the OTP reached the user, for response messages
+const OTP_CHANNEL_LABELS = {
+  whatsapp: "WhatsApp",
+  sms: "SMS",
+  email: "email",
+  outbox: "the local OTP outbox",
+};
 
 /**
  * Generate access token
  * @param {Object} user - User object
+ * @param {String} sessionId - Session the token belongs to
  * @returns {String} JWT token
  */
-export function generateAccessToken(user) {
+export function generateAccessToken(user, sessionId) {
   return jwt.sign(
     {
       mobile: user.mobile_number,
       user_id: user.id || user._id || user.mobile_number,
       jti: uuidv4(), // Add unique token ID
+      ...(sessionId && { sid: sessionId.toString() }),
     },
     ACCESS_TOKEN_SECRET,
     {
@@ -44,14 +64,17 @@ export function generateAccessToken(user) {
 /**
  * Generate refresh token
  * @param {Object} user - User object
+ * @param {String} sessionId - Session the token belongs to
+ * @param {String} jti - Token ID, stored on the session to detect reuse
  * @returns {String} JWT refresh token
  */
-export function generateRefreshToken(user) {
+export function generateRefreshToken(user, sessionId, jti = uuidv4()) {
   return jwt.sign(
     {
       mobile: user.mobile_number,
       user_id: user.id || user._id || user.mobile_number,
-      jti: uuidv4(), // Add unique token ID
+      jti,
+      ...(sessionId && { sid: sessionId.toString() }),
     },
     REFRESH_TOKEN_SECRET,
     {
@@ -63,11 +86,12 @@ export function generateRefreshToken(user) {
 /**
  * Generate both access and refresh tokens
  * @param {Object} user - User object
+ * @param {Object} session - sessionId and refresh token jti
  * @returns {Object} Object containing both tokens and their expiry times
  */
-export function generateTokens(user) {
-  const accessToken = generateAccessToken(user);
-  const refreshToken = generateRefreshToken(user);
+export function generateTokens(user, { sessionId, jti } = {}) {
+  const accessToken = generateAccessToken(user, sessionId);
+  const refreshToken = generateRefreshToken(user, sessionId, jti);
 
   // Calculate expiry timestamps
   const accessTokenExpiry = new Date();
@@ -159,12 +183,34 @@ export function verifyRefreshToken(token) {
   });
 }
 
+/**
+ * Start a session and generate its first tokens
+ * @param {Object} user - User document
+ * @param {Object} client - device_name, user_agent, ip
+ * @returns {Promise<Object>} Tokens and their expiry times
+ */
+async function issueSessionTokens(user, client = {}) {
+  const sessionId = new mongoose.Types.ObjectId();
+  const jti = uuidv4();
+  const tokens = generateTokens(user, { sessionId, jti });
+
+  await createSession(
+    user,
+    { sessionId, jti, expiresAt: tokens.refreshTokenExpiry },
+    client
+  );
+
+  return tokens;
+}
+
 /**
  * Refresh an access token using a valid refresh token
+ * The refresh token is single-use: it is rotated and the new one returned
  * @param {String} refreshToken - Valid refresh token
- * @returns {Promise} Promise resolving to new access token data
+ * @param {Object} client - user_agent, ip
+ * @returns {Promise} Promise resolving to new access and refresh token data
  */
-export async function refreshAccessToken(refreshToken) {
+export async function refreshAccessToken(refreshToken, client = {}) {
   try {
     // Verify the refresh token
     const decoded = await verifyRefreshToken(refreshToken);
@@ -183,35 +229,30 @@ export async function refreshAccessToken(refreshToken) {
       );
     }
 
-    // Generate new access token
-    const accessToken = generateAccessToken(user);
-
-    // Calculate expiry timestamp
-    const accessTokenExpiry = new Date();
-    const accessTokenDuration = ACCESS_TOKEN_EXPIRY.match(/(\d+)([smhd])/);
-    if (accessTokenDuration) {
-      const [, value, unit] = accessTokenDuration;
-      const multiplier =
-        unit === "s"
-          ? 1
-          : unit === "m"
-          ? 60
-          : unit === "h"
-          ? 3600
-          : unit === "d"
-          ? 86400
-          : 0;
-      accessTokenExpiry.setSeconds(
-        accessTokenExpiry.getSeconds() + parseInt(value) * multiplier
+    // Tokens issued before sessions existed can't be tracked as used, so they
+    // would stay valid forever; their devices have to sign in again
+    if (!decoded.sid) {
+      throw new Error(
+        "User session has expired or logged out. Please sign in again."
       );
-    } else {
-      accessTokenExpiry.setMinutes(accessTokenExpiry.getMinutes() + 15); // Default
     }
 
-    return {
-      accessToken,
-      accessTokenExpiry,
-    };
+    const jti = uuidv4();
+    const tokens = generateTokens(user, { sessionId: decoded.sid, jti });
+    const session = await rotateSession(
+      decoded.sid,
+      decoded.jti,
+      { jti, expiresAt: tokens.refreshTokenExpiry },
+      client
+    );
+
+    // A concurrent refresh already rotated this token: hand out the session's
+    // current refresh token instead
+    if (session.current_jti !== jti) {
+      return generateTokens(user, { sessionId: decoded.sid, jti: session.current_jti });
+    }
+
+    return tokens;
   } catch (error) {
     throw error;
   }
@@ -219,102 +260,139 @@ export async function refreshAccessToken(refreshToken) {
 
 // Generate a 6-digit OTP
 function generateOTP() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 }
 
-// Send OTP via WhatsApp
-async function sendWhatsAppOTP(phoneNumber, otp) {
-  try {
-    // Check if environment variables are defined
-    if (!PHONE_NUMBER_ID || !ACCESS_TOKEN) {
-      console.error("Missing environment variables:", {
-        hasPhoneNumberId: !!PHONE_NUMBER_ID,
-        hasAccessToken: !!ACCESS_TOKEN,
-      });
-      throw new Error("WhatsApp API credentials are missing");
-    }
+// OTPs are stored as an HMAC so a database read doesn't reveal live codes
+function hashOTP(otp) {
+  return crypto.createHmac("sha256", OTP_SECRET).update(String(otp)).digest("hex");
+}
 
-    console.log("Making API request to WhatsApp");
+function otpMatches(otp, storedHash) {
+  const candidate = Buffer.from(hashOTP(otp), "hex");
+  const stored = Buffer.from(storedHash || "", "hex");
+  return stored.length === candidate.length && crypto.timingSafeEqual(candidate, stored);
+}
 
-    // Add timeout to prevent infinite waiting
-    const response = await axios({
-      method: "POST",
-      url: `https://graph.facebook.com/v19.0/${PHONE_NUMBER_ID}/messages`,
-      headers: {
-        Authorization: `Bearer ${ACCESS_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      data: {
-        messaging_product: "whatsapp",
-        recipient_type: "individual",
-        to: phoneNumber, // Use the parameter instead of hardcoded number
-        type: "template",
-        template: {
-          name: "sending_otp",
-          language: {
-            code: "en_US",
-          },
-          components: [
-            {
-              type: "body",
-              parameters: [
-                {
-                  type: "text",
-                  text: otp,
-                },
-              ],
-            },
-            {
-              type: "button",
-              sub_type: "url",
-              index: "0",
-              parameters: [
-                {
-                  type: "text",
-                  text: otp,
-                },
-              ],
-            },
-          ],
-        },
+function lockedError(lockedUntil) {
+  const minutes = Math.max(Math.ceil((new Date(lockedUntil) - Date.now()) / 60000), 1);
+  return new Error(`Too many failed attempts. Try again in ${minutes} minute(s).`);
+}
+
+// Lockout and cooldown errors are passed to the controller as they are
+function isOTPThrottleError(error) {
+  return (
+    error.message?.startsWith("Too many failed attempts") ||
+    error.message?.includes("before requesting a new OTP")
+  );
+}
+
+/**
+ * Throw if OTP verification is locked for this record
+ * @param {Object} otpRecord - The user's otp_record
+ */
+function assertOTPNotLocked(otpRecord) {
+  if (otpRecord?.locked_until && otpRecord.locked_until > new Date()) {
+    throw lockedError(otpRecord.locked_until);
+  }
+}
+
+/**
+ * Throw if a new OTP may not be sent yet: verification is locked or the last
+ * one was sent moments ago
+ * @param {Object} otpRecord - The user's otp_record
+ */
+function assertCanSendOTP(otpRecord) {
+  assertOTPNotLocked(otpRecord);
+
+  const sinceLastOTP = Date.now() - new Date(otpRecord?.created_at || 0);
+  if (sinceLastOTP < OTP_RESEND_COOLDOWN_MS) {
+    const seconds = Math.ceil((OTP_RESEND_COOLDOWN_MS - sinceLastOTP) / 1000);
+    throw new Error(`Please wait ${seconds} seconds before requesting a new OTP`);
+  }
+}
+
+/**
+ * Store a new OTP for a user, resetting the attempt counter
+ * @param {String} mobileNumber - User's mobile number
+ * @param {String} otp - The plain code being sent
+ * @param {Object} extra - Other fields to set
+ */
+async function storeOTP(mobileNumber, otp, extra = {}) {
+  await User.updateOne(
+    { mobile_number: mobileNumber },
+    {
+      $set: {
+        "otp_record.otp": hashOTP(otp),
+        "otp_record.created_at": new Date(),
+        "otp_record.is_verified": false,
+        "otp_record.attempts": 0,
+        ...extra,
       },
-      timeout: 15000, // 15 seconds
-    });
+    }
+  );
+}
 
-    return response.data;
-  } catch (error) {
-    console.log("Caught error in WhatsApp API call");
-
-    // Check for timeout specifically
-    if (error.code === "ECONNABORTED") {
-      console.error("WhatsApp API request timed out after 15 seconds");
-    } else {
-      console.error("WhatsApp API error:");
-      console.error("Error code:", error.code);
-      console.error("Error message:", error.message);
-
-      // Safely log response data if it exists
-      if (error.response) {
-        console.error("Status:", error.response.status);
-        console.error(
-          "Error data:",
-          JSON.stringify(error.response.data, null, 2)
-        );
-      } else {
-        console.error("No response received from API");
-      }
+/**
+ * Check an OTP and mark it used, activating the user
+ * Every attempt is counted before the code is compared, so parallel guesses can't
+ * get past the limit. Too many wrong codes lock verification for a while.
+ * @param {String} mobileNumber - User's mobile number
+ * @param {String} otpToVerify - Code entered by the user
+ */
+async function consumeOTP(mobileNumber, otpToVerify) {
+  const user = await User.findOneAndUpdate(
+    {
+      mobile_number: mobileNumber,
+      "otp_record.is_verified": false,
+      "otp_record.attempts": { $not: { $gte: OTP_MAX_ATTEMPTS } },
+    },
+    { $inc: { "otp_record.attempts": 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    const current = await User.findOne({ mobile_number: mobileNumber }).select("otp_record");
+    assertOTPNotLocked(current?.otp_record);
+    throw new Error("OTP already used. Please request a new OTP.");
+  }
 
-      console.error("Request details:", {
-        url: `https://graph.facebook.com/v19.0/${PHONE_NUMBER_ID}/messages`,
-        phoneNumber,
-        templateName: "sending_otp",
+  if (!otpMatches(otpToVerify, user.otp_record.otp)) {
+    if (user.otp_record.attempts >= OTP_MAX_ATTEMPTS) {
+      // Lock, and burn the code so it can't be guessed after the lockout either
+      const lockedUntil = new Date(Date.now() + OTP_LOCKOUT_MS);
+      await User.updateOne(
+        { mobile_number: mobileNumber },
+        {
+          $set: {
+            "otp_record.locked_until": lockedUntil,
+            "otp_record.is_verified": true,
+          },
+        }
+      );
+      logger.warn("🔒 OTP verification locked after too many failed attempts", {
+        mobileNumber,
       });
+      throw lockedError(lockedUntil);
     }
 
-    return {
-      success: false,
-      error: error.message || "Failed to send OTP via WhatsApp",
-    };
+    throw new Error("Incorrect OTP");
+  }
+
+  // Mark OTP as verified and user as active using direct update
+  // This avoids triggering validation on the entire user document
+  const result = await User.updateOne(
+    { mobile_number: mobileNumber, "otp_record.is_verified": false },
+    {
+      $set: {
+        "otp_record.is_verified": true,
+        "otp_record.attempts": 0,
+        isActive: true,
+      },
+    }
+  );
+  if (result.modifiedCount === 0) {
+    throw new Error("OTP already used. Please request a new OTP.");
   }
 }
 
@@ -328,54 +406,46 @@ export async function initiateSignIn(mobileNumber, countryCode = "+91") {
     throw new Error("User not found");
   }
 
+  assertCanSendOTP(user.otp_record);
+
   try {
     // Generate OTP
     const otp = generateOTP();
 
     // Store OTP directly without triggering validation on the entire user document
-    await User.updateOne(
-      { mobile_number: mobileNumber },
-      {
-        $set: {
-          "otp_record.otp": otp,
-          "otp_record.created_at": new Date(),
-          "otp_record.is_verified": false,
-          isActive: false, // Keep isActive as false until OTP is verified
-        },
-      }
-    );
+    await storeOTP(mobileNumber, otp, {
+      isActive: false, // Keep isActive as false until OTP is verified
+    });
 
     // Format phone number with country code if not already included
     const fullPhoneNumber = mobileNumber.startsWith("+")
       ? mobileNumber
       : `${countryCode}${mobileNumber}`;
 
-    // Send OTP via WhatsApp
-    await sendWhatsAppOTP(fullPhoneNumber, otp);
+    // Send OTP over the first channel that works
+    const channel = await sendOTP({ phoneNumber: fullPhoneNumber, email: user.email }, otp);
 
     // Log successful OTP send
-    logger.info('✅ OTP sent for sign-in', { mobileNumber });
+    logger.info('✅ OTP sent for sign-in', { mobileNumber, channel });
 
     return {
       success: true,
-      message: "OTP sent to your WhatsApp number",
+      message: `OTP sent via ${OTP_CHANNEL_LABELS[channel]}`,
       mobile_number: mobileNumber,
+      channel,
     };
   } catch (error) {
-    // Only catch WhatsApp/OTP related errors, not user validation errors
-    console.error("WhatsApp OTP sending failed:", error);
-
-    // Log the error details
+    // Only catch OTP delivery errors, not user validation errors
     logger.error('❌ Failed to send OTP for sign-in', {
       mobileNumber,
       error: error.message
     });
 
-    throw new Error("Failed to send OTP via WhatsApp");
+    throw new Error("Failed to send OTP");
   }
 }
 
-export async function verifyOTP(mobileNumber, otpToVerify) {
+export async function verifyOTP(mobileNumber, otpToVerify, client = {}) {
   try {
     // Find the user
     const user = await User.findOne({ mobile_number: mobileNumber });
@@ -391,6 +461,8 @@ export async function verifyOTP(mobileNumber, otpToVerify) {
       throw new Error("No OTP found for this user");
     }
 
+    assertOTPNotLocked(user.otp_record);
+
     // Check if OTP is already verified
     if (user.otp_record.is_verified) {
       throw new Error("OTP already used. Please request a new OTP.");
@@ -414,31 +486,20 @@ export async function verifyOTP(mobileNumber, otpToVerify) {
       throw new Error("OTP expired. Please request a new OTP.");
     }
 
-    // Verify OTP
-    // If OTP incorrect
-    if (user.otp_record.otp !== otpToVerify) {
-      logger.warn('⚠️ Incorrect OTP', { mobileNumber });
-      throw new Error("Incorrect OTP");
+    // Verify OTP, counting the attempt
+    try {
+      await consumeOTP(mobileNumber, otpToVerify);
+    } catch (error) {
+      logger.warn(`⚠️ ${error.message}`, { mobileNumber });
+      throw error;
     }
 
-    // Mark OTP as verified and user as active using direct update
-    // This avoids triggering validation on the entire user document
-    await User.updateOne(
-      { mobile_number: mobileNumber },
-      {
-        $set: {
-          "otp_record.is_verified": true,
-          isActive: true,
-        },
-      }
-    );
-
     // Fetch the user again to get the latest data
     const updatedUser = await User.findOne({ mobile_number: mobileNumber });
 
-    // Generate tokens (both access and refresh tokens)
+    // Start a session with both access and refresh tokens
     const { accessToken, refreshToken, accessTokenExpiry, refreshTokenExpiry } =
-      generateTokens(updatedUser);
+      await issueSessionTokens(updatedUser, client);
 
     // Return user and tokens
     logger.info('✅ OTP verified, user signed in', { mobileNumber });
@@ -471,12 +532,14 @@ export async function verifyOTP(mobileNumber, otpToVerify) {
  * @param {String} mobileNumber - User's mobile number
  * @param {String} userName - User's name
  * @param {String} countryCode - Country code for phone number
+ * @param {String} email - Optional email address, also used to deliver OTPs
  * @returns {Promise<Object>} Response object
  */
 export async function initiateSignUp(
   mobileNumber,
   userName,
-  countryCode = "+91"
+  countryCode = "+91",
+  email
 ) {
   try {
     // Check if user already exists
@@ -497,8 +560,9 @@ export async function initiateSignUp(
     const newUser = new User({
       user_name: userName,
       mobile_number: mobileNumber,
+      ...(email && { email }),
       otp_record: {
-        otp,
+        otp: hashOTP(otp),
         created_at: new Date(),
         is_verified: false,
       },
@@ -532,13 +596,13 @@ export async function initiateSignUp(
       ? mobileNumber
       : `${countryCode}${mobileNumber}`;
 
-    // Send OTP via WhatsApp
-    await sendWhatsAppOTP(fullPhoneNumber, otp);
+    const channel = await sendOTP({ phoneNumber: fullPhoneNumber, email }, otp);
 
     return {
       success: true,
-      message: "OTP sent to your WhatsApp number for signup verification",
+      message: `OTP sent via ${OTP_CHANNEL_LABELS[channel]} for signup verification`,
       mobile_number: mobileNumber,
+      channel,
     };
   } catch (error) {
     console.error("Signup OTP sending failed:", error);
@@ -554,9 +618,10 @@ export async function initiateSignUp(
  * Verify signup OTP and complete registration
  * @param {String} mobileNumber - User's mobile number
  * @param {String} otpToVerify - OTP to verify
+ * @param {Object} client - device_name, user_agent, ip of the signing-in device
  * @returns {Promise<Object>} Response with user and token data
  */
-export async function verifySignUpOTP(mobileNumber, otpToVerify) {
+export async function verifySignUpOTP(mobileNumber, otpToVerify, client = {}) {
   try {
     // Find the user with pending verification
     const user = await User.findOne({ mobile_number: mobileNumber });
@@ -573,6 +638,8 @@ export async function verifySignUpOTP(mobileNumber, otpToVerify) {
       );
     }
 
+    assertOTPNotLocked(user.otp_record);
+
     // Check if OTP is already verified
     if (user.otp_record.is_verified) {
       throw new Error("OTP already used. Please request a new OTP.");
@@ -595,28 +662,15 @@ export async function verifySignUpOTP(mobileNumber, otpToVerify) {
       throw new Error("OTP expired. Please request a new OTP.");
     }
 
-    // Verify OTP
-    if (user.otp_record.otp !== otpToVerify) {
-      throw new Error("Incorrect OTP. Please try again.");
-    }
-
-    // Mark OTP as verified and user as active using direct update
-    await User.updateOne(
-      { mobile_number: mobileNumber },
-      {
-        $set: {
-          "otp_record.is_verified": true,
-          isActive: true,
-        },
-      }
-    );
+    // Verify OTP, counting the attempt
+    await consumeOTP(mobileNumber, otpToVerify);
 
     // Fetch the user again to get the latest data
     const updatedUser = await User.findOne({ mobile_number: mobileNumber });
 
-    // Generate tokens
+    // Start a session with both access and refresh tokens
     const { accessToken, refreshToken, accessTokenExpiry, refreshTokenExpiry } =
-      generateTokens(updatedUser);
+      await issueSessionTokens(updatedUser, client);
 
     // Return user and tokens
     return {
@@ -656,39 +710,34 @@ export async function resendSignInOTP(mobileNumber, countryCode = "+91") {
       throw new Error("User not found");
     }
 
+    assertCanSendOTP(user.otp_record);
+
     // Generate new OTP
     const otp = generateOTP();
 
     // Store new OTP directly without triggering validation
-    await User.updateOne(
-      { mobile_number: mobileNumber },
-      {
-        $set: {
-          "otp_record.otp": otp,
-          "otp_record.created_at": new Date(),
-          "otp_record.is_verified": false,
-        },
-      }
-    );
+    await storeOTP(mobileNumber, otp);
 
     // Format phone number with country code if not already included
     const fullPhoneNumber = mobileNumber.startsWith("+")
       ? mobileNumber
       : `${countryCode}${mobileNumber}`;
 
-    // Send OTP via WhatsApp
-    await sendWhatsAppOTP(fullPhoneNumber, otp);
+    const channel = await sendOTP({ phoneNumber: fullPhoneNumber, email: user.email }, otp);
 
     return {
       success: true,
-      message: "New OTP sent to your WhatsApp number",
+      message: `New OTP sent via ${OTP_CHANNEL_LABELS[channel]}`,
       mobile_number: mobileNumber,
+      channel,
     };
   } catch (error) {
-    console.error("Resend WhatsApp OTP failed:", error);
+    if (isOTPThrottleError(error)) throw error;
+
+    console.error("Resend sign-in OTP failed:", error);
     return {
       success: false,
-      message: "Failed to send OTP to your WhatsApp. Please try again later.",
+      message: "Failed to send OTP. Please try again later.",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     };
   }
@@ -710,35 +759,30 @@ export async function resendSignUpOTP(mobileNumber, countryCode = "+91") {
       throw new Error("User not found. Please initiate signup again.");
     }
 
+    assertCanSendOTP(user.otp_record);
+
     // Generate new OTP
     const otp = generateOTP();
 
     // Store new OTP directly without triggering validation
-    await User.updateOne(
-      { mobile_number: mobileNumber },
-      {
-        $set: {
-          "otp_record.otp": otp,
-          "otp_record.created_at": new Date(),
-          "otp_record.is_verified": false,
-        },
-      }
-    );
+    await storeOTP(mobileNumber, otp);
 
     // Format phone number with country code if not already included
     const fullPhoneNumber = mobileNumber.startsWith("+")
       ? mobileNumber
       : `${countryCode}${mobileNumber}`;
 
-    // Send OTP via WhatsApp
-    await sendWhatsAppOTP(fullPhoneNumber, otp);
+    const channel = await sendOTP({ phoneNumber: fullPhoneNumber, email: user.email }, otp);
 
     return {
       success: true,
-      message: "New OTP sent to your WhatsApp number for signup verification",
+      message: `New OTP sent via ${OTP_CHANNEL_LABELS[channel]} for signup verification`,
       mobile_number: mobileNumber,
+      channel,
     };
   } catch (error) {
+    if (isOTPThrottleError(error)) throw error;
+
     console.error("Resend Signup OTP failed:", error);
     return {
       success: false,
@@ -749,22 +793,24 @@ export async function resendSignUpOTP(mobileNumber, countryCode = "+91") {
 }
 
 /**
- * Logout user by setting isActive to false
+ * Logout user everywhere by setting isActive to false and revoking all sessions
  * @param {String} mobileNumber - User's mobile number
  * @returns {Promise<Boolean>} Success status
  */
 export async function logoutUser(mobileNumber) {
   try {
     // Direct update of isActive status without triggering document validation
-    const result = await User.updateOne(
+    const user = await User.findOneAndUpdate(
       { mobile_number: mobileNumber },
       { $set: { isActive: false } }
     );
 
-    if (result.matchedCount === 0) {
+    if (!user) {
       throw new Error("User not found");
     }
 
+    await revokeUserSessions(user._id, "logout_all");
+
     return {
       success: true,
       message: "User logged out successfully",
@@ -778,3 +824,43 @@ export async function logoutUser(mobileNumber) {
     };
   }
 }
+
+/**
+ * Logout the session a refresh token belongs to, leaving other devices signed in
+ * @param {String} refreshToken - The session's refresh token
+ * @returns {Promise<Object>} Success status
+ */
+export async function logoutSession(refreshToken) {
+  try {
+    const decoded = await verifyRefreshToken(refreshToken);
+
+    // Tokens from before sessions existed can only be logged out everywhere
+    if (!decoded.sid) {
+      return logoutUser(decoded.mobile);
+    }
+
+    const user = await User.findOne({ mobile_number: decoded.mobile });
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    try {
+      await revokeSession(user._id, decoded.sid, "logout");
+    } catch (error) {
+      // Already revoked: the session is logged out either way
+      if (error.message !== "Session not found") throw error;
+    }
+
+    return {
+      success: true,
+      message: "Session logged out successfully",
+    };
+  } catch (error) {
+    console.error("Session logout failed:", error);
+    return {
+      success: false,
+      message: "Failed to logout session",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    };
+  }
+}
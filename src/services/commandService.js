@@ -0,0 +1,236 @@
+// src/services/commandService.js
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import logger from "../utils/logger.js";
+import { SPACE_PERMISSIONS, resolveDeviceAccess } from "./spaceAccessService.js";
+
+// How long a device has to report the change before the command is failed
+const COMMAND_TIMEOUT = parseInt(process.env.COMMAND_TIMEOUT_MS) || 60 * 1000;
+const COMMAND_TTL_DAYS = parseInt(process.env.COMMAND_TTL_DAYS) || 30;
+const SWEEP_INTERVAL = 15 * 1000;
+
+// Command Schema - ledger entry for one outbound control/setting publish
+const commandSchema = new mongoose.Schema(
+  {
+    correlation_id: {
+      type: String,
+      required: [true, "Correlation ID is required"],
+      unique: true,
+    },
+    kind: {
+      type: String,
+      enum: ["control", "setting"],
+      required: [true, "Command kind is required"],
+    },
+    deviceid: {
+      type: String,
+      required: [true, "Device ID is required"],
+    },
+    thingid: String,
+    topic: String,
+    payload: mongoose.Schema.Types.Mixed,
+    // Fields an /update must carry to count as the device applying this command
+    expected: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    requested_by: String,
+    status: {
+      type: String,
+      enum: ["pending", "applied", "failed"],
+      default: "pending",
+    },
+    failure_reason: {
+      type: String,
+      enum: ["publish_error", "timeout"],
+    },
+    error: String,
+    timeout_at: Date,
+    acked_at: Date,
+    ack_message: mongoose.Schema.Types.Mixed,
+    expires_at: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + COMMAND_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+  },
+  { timestamps: true }
+);
+
+commandSchema.index({ deviceid: 1, status: 1, createdAt: 1 });
+commandSchema.index({ status: 1, timeout_at: 1 });
+commandSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export const Command = mongoose.model("Command", commandSchema, "commands");
+
+/**
+ * Open a ledger entry for a command that is about to be published
+ * The returned correlation_id should be added to the MQTT payload
+ * @param {Object} commandData - kind, deviceid, thingid, topic, payload, expected, user_id, requested_by
+ * @returns {Promise<Object>} Created command
+ */
+export async function recordCommand(commandData) {
+  const command = await Command.create({
+    ...commandData,
+    correlation_id: uuidv4(),
+    timeout_at: new Date(Date.now() + COMMAND_TIMEOUT),
+  });
+
+  logger.info(`📝 Command ${command.correlation_id} recorded (${command.kind} → ${command.deviceid})`);
+  return command;
+}
+
+/**
+ * Mark a command as failed because it could not be published
+ * @param {String} correlationId - Command correlation ID
+ * @param {String} errorMessage - Publish error
+ */
+export async function markCommandFailed(correlationId, errorMessage) {
+  await Command.updateOne(
+    { correlation_id: correlationId, status: "pending" },
+    { $set: { status: "failed", failure_reason: "publish_error", error: errorMessage } }
+  );
+}
+
+/**
+ * Close the pending command an /update message acknowledges
+ * Matches the echoed correlation_id if the firmware sends one, otherwise the
+ * oldest pending command of the device whose expected fields the update carries.
+ * Commands without expected fields (settings) are only closed by their
+ * correlation_id, since any routine update would otherwise match them.
+ * @param {String} deviceId - Device that sent the update
+ * @param {Object} message - Parsed /update payload
+ * @returns {Promise<Object|null>} Acknowledged command or null
+ */
+export async function acknowledgeCommand(deviceId, message) {
+  const now = new Date();
+  let command = null;
+
+  if (message.correlation_id) {
+    command = await Command.findOne({
+      correlation_id: message.correlation_id,
+      deviceid: deviceId,
+      status: "pending",
+    });
+  } else {
+    const candidates = await Command.find({
+      deviceid: deviceId,
+      status: "pending",
+      timeout_at: { $gt: now },
+    }).sort({ createdAt: 1 });
+
+    command = candidates.find((candidate) => {
+      const expected = Object.entries(candidate.expected || {});
+      return (
+        expected.length > 0 && expected.every(([field, value]) => message[field] === value)
+      );
+    });
+  }
+
+  if (!command) return null;
+
+  // Only close it if no other update got there first
+  const result = await Command.updateOne(
+    { _id: command._id, status: "pending" },
+    { $set: { status: "applied", acked_at: now, ack_message: message } }
+  );
+  if (result.modifiedCount === 0) return null;
+
+  logger.info(`✅ Command ${command.correlation_id} acknowledged by ${deviceId}`);
+  return command;
+}
+
+/**
+ * Fail every pending command whose device did not answer in time
+ * @returns {Promise<Number>} Number of commands timed out
+ */
+export async function expireTimedOutCommands() {
+  const result = await Command.updateMany(
+    { status: "pending", timeout_at: { $lte: new Date() } },
+    { $set: { status: "failed", failure_reason: "timeout" } }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.warn(`⌛ ${result.modifiedCount} command(s) timed out without acknowledgement`);
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Get a command by correlation ID
+ * Visible to whoever issued it and to anyone who can view the device's space
+ * @param {String} correlationId - Command correlation ID
+ * @param {String} mobileNumber - Acting user
+ * @param {String} userId - Acting user's ID
+ * @returns {Promise<Object>} Command status
+ */
+export async function getCommandStatus(correlationId, mobileNumber, userId) {
+  const command = await Command.findOne({ correlation_id: correlationId }).lean();
+
+  if (!command) {
+    throw new Error("Command not found");
+  }
+
+  if (!userId || command.user_id?.toString() !== userId.toString()) {
+    try {
+      await resolveDeviceAccess(mobileNumber, command.deviceid, SPACE_PERMISSIONS.VIEW);
+    } catch (error) {
+      // Don't reveal commands of devices the user can't see
+      if (
+        error.message === "Device not found" ||
+        error.message === "Insufficient permissions for this space"
+      ) {
+        throw new Error("Command not found");
+      }
+      throw error;
+    }
+  }
+
+  // The sweep runs periodically; don't report pending past the deadline
+  if (command.status === "pending" && command.timeout_at <= new Date()) {
+    command.status = "failed";
+    command.failure_reason = "timeout";
+  }
+
+  return {
+    correlation_id: command.correlation_id,
+    kind: command.kind,
+    deviceid: command.deviceid,
+    status: command.status,
+    failure_reason: command.failure_reason,
+    error: command.error,
+    payload: command.payload,
+    created_at: command.createdAt,
+    timeout_at: command.timeout_at,
+    acked_at: command.acked_at,
+  };
+}
+
+let sweepInterval = null;
+
+/**
+ * Start periodically timing out unacknowledged commands
+ */
+export function startCommandTimeoutSweep() {
+  if (sweepInterval) return;
+
+  sweepInterval = setInterval(() => {
+    expireTimedOutCommands().catch((error) =>
+      logger.error(`Command timeout sweep failed: ${error.message}`)
+    );
+  }, SWEEP_INTERVAL);
+}
+
+/**
+ * Stop the command timeout sweep
+ */
+export function stopCommandTimeoutSweep() {
+  if (sweepInterval) {
+    clearInterval(sweepInterval);
+    sweepInterval = null;
+  }
+}
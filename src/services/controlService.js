@@ -1,14 +1,76 @@
 // src/services/controlService.js - FIXED VERSION WITH DEBUGGING
 import { publishToIoT, subscribe } from "../utils/mqttHelper.js";
 import {
-  getThingIdByDeviceId,
   waitForSlaveResponseFromMongoDB,
   checkBaseRespondedInMongo,
   checkTankRespondedInMongo,
   debugSlaveRequests, // NEW
 } from "../services/migratedControlService.js";
+import { getThingIdByDeviceId } from "./deviceRegistryService.js";
 import logger from "../utils/logger.js";
 import { getTopic } from "../config/awsIotConfig.js";
+import {
+  recordCommand,
+  markCommandFailed,
+  getCommandStatus,
+} from "./commandService.js";
+import { SPACE_PERMISSIONS, resolveDeviceAccess } from "./spaceAccessService.js";
+import { getSpaceActor, recordSpaceChange } from "./auditService.js";
+
+/**
+ * Publish a control command for a device
+ * Shared by the /publish endpoint and server-side dispatchers (e.g. schedules)
+ * Every publish is recorded in the command ledger under a correlation ID
+ * @param {Object} command - Control payload, must include deviceid
+ * @param {String} requestedBy - Who asked for it (mobile number or "schedule:<id>")
+ * @param {String} userId - User who asked for it, recorded in the command ledger
+ * @returns {Promise<Object>} { topic, thingid, correlation_id }
+ */
+export async function sendControlCommand(command, requestedBy, userId) {
+  const thingid = await getThingIdByDeviceId(command.deviceid);
+  if (!thingid) {
+    throw new Error("DeviceId not found or no associated thing ID");
+  }
+
+  const topic = getTopic("control", thingid, "control");
+
+  // The device has applied the command once it reports the requested switch state
+  const expected = {};
+  if (command.switch_no) expected.switch_no = command.switch_no;
+  if (command.status) expected.status = command.status;
+
+  const ledgerEntry = await recordCommand({
+    kind: "control",
+    deviceid: command.deviceid,
+    thingid,
+    topic,
+    payload: command,
+    expected,
+    user_id: userId,
+    requested_by: requestedBy,
+  });
+
+  const payload = {
+    ...command,
+    correlation_id: ledgerEntry.correlation_id,
+    requestedBy,
+    timestamp: new Date().toISOString(),
+  };
+
+  try {
+    await publishToIoT(topic, payload);
+  } catch (error) {
+    await markCommandFailed(ledgerEntry.correlation_id, error.message);
+    throw error;
+  }
+
+  logger.info("✅ Control command published via Lambda", {
+    deviceid: command.deviceid,
+    thingid,
+    correlation_id: ledgerEntry.correlation_id,
+  });
+  return { topic, thingid, correlation_id: ledgerEntry.correlation_id };
+}
 
 /**
  * Control device via AWS Lambda (IAM-secured)
@@ -25,27 +87,52 @@ export async function control(req, res) {
       return res.status(400).json({ success: false, error: "Missing deviceid in request" });
     }
 
-    const thingid = await getThingIdByDeviceId(deviceid);
-    if (!thingid) {
-      return res.status(404).json({ success: false, error: "DeviceId not found or no associated thing ID" });
-    }
+    // Operators and up may switch devices in a space
+    const access = await resolveDeviceAccess(
+      req.user?.mobile_number,
+      deviceid,
+      SPACE_PERMISSIONS.CONTROL
+    );
 
-    const topic = getTopic("control", thingid, "control");
-    const payload = {
-      ...req.body,
-      requestedBy: req.user?.mobile_number,
-      timestamp: new Date().toISOString(),
-    };
+    const { topic, correlation_id } = await sendControlCommand(
+      req.body,
+      req.user?.mobile_number,
+      req.user?.user_id
+    );
 
-    await publishToIoT(topic, payload);
+    const { switch_no, status } = req.body;
+    const device = access.space.devices.find(
+      (d) => d.device_id === deviceid && (!switch_no || !d.switch_no || d.switch_no === switch_no)
+    );
+    await recordSpaceChange({
+      action: "device.control",
+      actor: { ...getSpaceActor(req.user?.mobile_number, access), role: req.user?.role },
+      spaceId: access.space._id,
+      ownerId: access.user._id,
+      entity: { type: "device", id: deviceid },
+      before: { status: device?.status },
+      after: { status },
+      details: { switch_no, correlation_id },
+      ip: req.ip,
+    });
 
-    logger.info("✅ Control command published via Lambda", { deviceid, thingid });
     res.status(200).json({
       success: true,
       message: "Control command published successfully",
       topic,
+      correlation_id,
+      status: "pending",
     });
   } catch (error) {
+    if (
+      error.message === "DeviceId not found or no associated thing ID" ||
+      error.message === "Device not found"
+    ) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error.message === "Insufficient permissions for this space") {
+      return res.status(403).json({ success: false, error: error.message });
+    }
     logger.error("❌ Control publish error:", error);
     res.status(500).json({ success: false, error: error.message });
   }
@@ -53,17 +140,33 @@ export async function control(req, res) {
 
 /**
  * Send device settings via AWS Lambda
+ * Settings carry no switch state, so only an /update echoing the correlation_id acknowledges them
  */
-export async function setting(deviceid, payload) {
+export async function setting(deviceid, payload, userId) {
   try {
     const thingid = await getThingIdByDeviceId(deviceid);
     if (!thingid) throw new Error(`No thingid found for deviceid: ${deviceid}`);
 
     const topic = getTopic("setting", thingid, "setting");
-    await publishToIoT(topic, payload);
+
+    const ledgerEntry = await recordCommand({
+      kind: "setting",
+      deviceid,
+      thingid,
+      topic,
+      payload,
+      user_id: userId,
+    });
+
+    try {
+      await publishToIoT(topic, { ...payload, correlation_id: ledgerEntry.correlation_id });
+    } catch (publishError) {
+      await markCommandFailed(ledgerEntry.correlation_id, publishError.message);
+      throw publishError;
+    }
 
     logger.info(`✅ Settings published via Lambda for thing: ${thingid}`);
-    return { success: true, topic };
+    return { success: true, topic, correlation_id: ledgerEntry.correlation_id };
   } catch (error) {
     logger.error("❌ Settings publish error:", error);
     throw new Error(`MQTT Publish Failed: ${error.message}`);
@@ -92,6 +195,19 @@ export async function slaveRequest(req, res) {
       });
     }
 
+    // Pairing tanks changes the space's devices
+    try {
+      await resolveDeviceAccess(req.user?.mobile_number, deviceid, SPACE_PERMISSIONS.MANAGE);
+    } catch (accessError) {
+      if (accessError.message === "Device not found") {
+        return res.status(404).json({ success: false, error: accessError.message });
+      }
+      if (accessError.message === "Insufficient permissions for this space") {
+        return res.status(403).json({ success: false, error: accessError.message });
+      }
+      throw accessError;
+    }
+
     // Get thingid
     const thingid = await getThingIdByDeviceId(deviceid);
     if (!thingid) {
@@ -264,10 +380,33 @@ export async function isTankResponded(req, res) {
   }
 }
 
+/**
+ * Get the acknowledgement status of a control/setting command
+ */
+export async function commandStatus(req, res) {
+  try {
+    const { correlationId } = req.params;
+    const command = await getCommandStatus(
+      correlationId,
+      req.user?.mobile_number,
+      req.user?.user_id
+    );
+
+    res.status(200).json({ success: true, data: command });
+  } catch (error) {
+    if (error.message === "Command not found") {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    logger.error("❌ Command status error:", error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
 export default {
   control,
   setting,
   slaveRequest,
   isBaseResponded,
   isTankResponded,
-};
\ No newline at end of file
+  commandStatus,
+};
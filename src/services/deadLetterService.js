@@ -0,0 +1,231 @@
+// src/services/deadLetterService.js
+import mongoose from "mongoose";
+import { AsyncLocalStorage } from "async_hooks";
+import logger from "../utils/logger.js";
+
+const DEAD_LETTER_TTL_DAYS = parseInt(process.env.DEAD_LETTER_TTL_DAYS) || 90;
+
+export const DEAD_LETTER_REASONS = [
+  "invalid_json",
+  "unhandled_topic",
+  "missing_deviceid",
+  "missing_fields",
+  "schema_violation",
+  "unknown_device",
+  "handler_error",
+];
+
+// Dead Letter Schema - an inbound MQTT message that could not be processed
+const deadLetterSchema = new mongoose.Schema(
+  {
+    topic: {
+      type: String,
+      required: [true, "Topic is required"],
+    },
+    // Exactly what arrived on the wire, so it can be replayed unchanged
+    raw_payload: {
+      type: String,
+      required: [true, "Raw payload is required"],
+    },
+    reason: {
+      type: String,
+      enum: DEAD_LETTER_REASONS,
+      required: [true, "Reason is required"],
+    },
+    error: String,
+    device_id: String,
+    received_at: {
+      type: Date,
+      default: Date.now,
+    },
+    status: {
+      type: String,
+      enum: ["new", "replayed", "replay_failed"],
+      default: "new",
+    },
+    replay_count: {
+      type: Number,
+      default: 0,
+    },
+    last_replayed_at: Date,
+    expires_at: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + DEAD_LETTER_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+  },
+  { timestamps: true }
+);
+
+deadLetterSchema.index({ received_at: -1 });
+deadLetterSchema.index({ reason: 1, received_at: -1 });
+deadLetterSchema.index({ device_id: 1, received_at: -1 });
+deadLetterSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export const DeadLetter = mongoose.model(
+  "DeadLetter",
+  deadLetterSchema,
+  "mqtt_dead_letters"
+);
+
+// Set while a dead letter is replayed so a repeated rejection updates it instead of adding a copy
+const replayContext = new AsyncLocalStorage();
+
+/**
+ * Store a rejected or unroutable inbound message
+ * @param {Object} entry - topic, payload (raw string or parsed object), reason, error
+ */
+export async function recordDeadLetter({ topic, payload, reason, error }) {
+  try {
+    const rawPayload =
+      typeof payload === "string" || Buffer.isBuffer(payload)
+        ? payload.toString()
+        : JSON.stringify(payload);
+    const deviceId =
+      payload && typeof payload === "object" && !Buffer.isBuffer(payload)
+        ? payload.deviceid
+        : undefined;
+
+    const replay = replayContext.getStore();
+    if (replay) {
+      replay.rejected = true;
+      replay.reason = reason;
+      replay.error = error;
+      return;
+    }
+
+    await DeadLetter.create({
+      topic,
+      raw_payload: rawPayload,
+      reason,
+      error,
+      device_id: deviceId,
+    });
+
+    logger.warn(`📭 Dead-lettered message on ${topic}: ${reason}`, {
+      device_id: deviceId,
+      error,
+    });
+  } catch (storeError) {
+    // Never let dead-lettering break message handling
+    logger.error(`Error storing dead letter: ${storeError.message}`);
+  }
+}
+
+/**
+ * Whether the current message is a dead letter being replayed
+ * @returns {Boolean}
+ */
+export function isReplayingDeadLetter() {
+  return Boolean(replayContext.getStore());
+}
+
+/**
+ * Browse dead letters, newest first
+ * @param {Object} options - limit, offset, reason, topic (substring), device_id, status, from, to
+ * @returns {Promise<Object>} { dead_letters, pagination }
+ */
+export async function getDeadLetters(options = {}) {
+  const { limit = 50, offset = 0, reason, topic, device_id, status, from, to } = options;
+
+  const query = {};
+  if (reason) query.reason = reason;
+  if (status) query.status = status;
+  if (device_id) query.device_id = device_id;
+  if (topic) query.topic = { $regex: topic.replace(/[.*+?^${}()|[\]\\]/g, "\\$&") };
+  if (from || to) {
+    query.received_at = {};
+    if (from) query.received_at.$gte = new Date(from);
+    if (to) query.received_at.$lte = new Date(to);
+  }
+
+  const [deadLetters, total] = await Promise.all([
+    DeadLetter.find(query).sort({ received_at: -1 }).skip(offset).limit(limit).lean(),
+    DeadLetter.countDocuments(query),
+  ]);
+
+  return {
+    dead_letters: deadLetters,
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + deadLetters.length < total,
+    },
+  };
+}
+
+/**
+ * Get a single dead letter
+ * @param {String} id - Dead letter ID
+ */
+export async function getDeadLetterById(id) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new Error("Dead letter not found");
+  }
+
+  const deadLetter = await DeadLetter.findById(id).lean();
+  if (!deadLetter) {
+    throw new Error("Dead letter not found");
+  }
+  return deadLetter;
+}
+
+/**
+ * Run a dead letter through the normal message dispatcher again
+ * @param {String} id - Dead letter ID
+ * @param {Function} dispatch - async (topic, rawPayload) => void, the IoT message dispatcher
+ * @returns {Promise<Object>} Updated dead letter
+ */
+export async function replayDeadLetter(id, dispatch) {
+  const deadLetter = await getDeadLetterById(id);
+
+  const outcome = { rejected: false };
+  await replayContext.run(outcome, () =>
+    dispatch(deadLetter.topic, deadLetter.raw_payload)
+  );
+
+  const update = {
+    status: outcome.rejected ? "replay_failed" : "replayed",
+    last_replayed_at: new Date(),
+  };
+  if (outcome.rejected) {
+    update.reason = outcome.reason;
+    update.error = outcome.error;
+  }
+
+  const updated = await DeadLetter.findByIdAndUpdate(
+    id,
+    { $set: update, $inc: { replay_count: 1 } },
+    { new: true }
+  ).lean();
+
+  logger.info(
+    `🔁 Replayed dead letter ${id} on ${deadLetter.topic}: ${update.status}`
+  );
+  return updated;
+}
+
+/**
+ * Delete dead letters by IDs or by filter
+ * @param {Object} options - ids (Array), reason, status, before (date)
+ * @returns {Promise<Number>} Number of dead letters deleted
+ */
+export async function purgeDeadLetters(options = {}) {
+  const { ids, reason, status, before } = options;
+
+  const query = {};
+  if (Array.isArray(ids) && ids.length > 0) {
+    query._id = { $in: ids.filter((id) => mongoose.Types.ObjectId.isValid(id)) };
+  }
+  if (reason) query.reason = reason;
+  if (status) query.status = status;
+  if (before) query.received_at = { $lt: new Date(before) };
+
+  const result = await DeadLetter.deleteMany(query);
+
+  logger.info(`🗑️ Purged ${result.deletedCount} dead letter(s)`, {
+    filter: JSON.stringify(query),
+  });
+  return result.deletedCount;
+}
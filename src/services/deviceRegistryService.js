@@ -0,0 +1,214 @@
+// src/services/deviceRegistryService.js
+import mongoose from "mongoose";
+import { User } from "../config/dbconfig.js";
+import logger from "../utils/logger.js";
+
+// Device Registry Schema - one entry per physical device, pointing at its owner and space.
+// Device state (status, level, settings) still lives in User.spaces[].devices[];
+// the registry answers "who owns this device and where is it" without scanning users.
+const deviceRegistrySchema = new mongoose.Schema(
+  {
+    device_id: {
+      type: String,
+      required: [true, "Device ID is required"],
+      unique: true,
+    },
+    thing_name: String,
+    device_type: {
+      type: String,
+      enum: ["base", "tank"],
+      required: [true, "Device type is required"],
+    },
+    device_name: String,
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner is required"],
+    },
+    space_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Space is required"],
+    },
+    // Base: switches the device occupies in its space
+    switch_nos: [String],
+    // Tank: base it reports through
+    parent_device_id: String,
+    parent_switch_no: String,
+    slave_name: String,
+  },
+  { timestamps: true }
+);
+
+deviceRegistrySchema.index({ thing_name: 1 }, { sparse: true });
+deviceRegistrySchema.index({ user_id: 1, space_id: 1 });
+deviceRegistrySchema.index({ parent_device_id: 1 }, { sparse: true });
+
+export const RegisteredDevice = mongoose.model(
+  "RegisteredDevice",
+  deviceRegistrySchema,
+  "device_registry"
+);
+
+/**
+ * Build registry entries from a user's embedded devices.
+ * A base device is embedded once per switch, so entries are merged by device_id.
+ */
+function buildRegistryEntries(user) {
+  const entries = new Map();
+
+  (user.spaces || []).forEach((space) => {
+    (space.devices || []).forEach((device) => {
+      const existing = entries.get(device.device_id);
+      if (existing) {
+        if (device.switch_no && !existing.switch_nos.includes(device.switch_no)) {
+          existing.switch_nos.push(device.switch_no);
+        }
+        return;
+      }
+
+      entries.set(device.device_id, {
+        device_id: device.device_id,
+        thing_name:
+          device.thing_name || device.thingid || device.thingId || device.thing_id || undefined,
+        device_type: device.device_type,
+        device_name: device.device_name,
+        user_id: user._id,
+        space_id: space._id,
+        switch_nos: device.switch_no ? [device.switch_no] : [],
+        parent_device_id: device.parent_device_id || undefined,
+        parent_switch_no: device.parent_switch_no || undefined,
+        slave_name: device.slave_name || undefined,
+      });
+    });
+  });
+
+  return [...entries.values()];
+}
+
+/**
+ * Make the registry match a user's embedded devices: register new and moved
+ * devices and drop entries for devices the user no longer has.
+ * Call after saving any change that adds, moves or removes devices.
+ * @param {Object} user - User document (hydrated or lean)
+ * @returns {Promise<Number>} Number of devices registered to the user
+ */
+export async function syncUserDevices(user) {
+  const entries = buildRegistryEntries(user);
+
+  if (entries.length > 0) {
+    await RegisteredDevice.bulkWrite(
+      entries.map((entry) => ({
+        updateOne: {
+          filter: { device_id: entry.device_id },
+          update: { $set: entry },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  await RegisteredDevice.deleteMany({
+    user_id: user._id,
+    device_id: { $nin: entries.map((entry) => entry.device_id) },
+  });
+
+  return entries.length;
+}
+
+/**
+ * Drop every registry entry of a user (e.g. when the account is deleted)
+ * @param {String} userId - User ID
+ */
+export async function unregisterUserDevices(userId) {
+  await RegisteredDevice.deleteMany({ user_id: userId });
+}
+
+/**
+ * Get the registry entry of a device
+ * @param {String} deviceId - Device ID
+ * @returns {Promise<Object|null>} Registry entry
+ */
+export async function findRegisteredDevice(deviceId) {
+  if (!deviceId) return null;
+  return RegisteredDevice.findOne({ device_id: deviceId }).lean();
+}
+
+/**
+ * Find a registered device by device ID or thing name
+ * @param {String} deviceId - Device ID
+ * @param {String} thingName - Optional thing name
+ * @returns {Promise<Object|null>} Registry entry
+ */
+export async function findDeviceByIdOrThingName(deviceId, thingName = null) {
+  const query = { $or: [{ device_id: deviceId }] };
+  if (thingName) {
+    query.$or.push({ thing_name: thingName });
+  }
+  return RegisteredDevice.findOne(query).lean();
+}
+
+/**
+ * Load the user that owns a device
+ * Falls back to scanning embedded devices for anything not yet registered,
+ * and registers what it finds.
+ * @param {String} deviceId - Device ID
+ * @returns {Promise<Object|null>} User document
+ */
+export async function findDeviceOwner(deviceId) {
+  if (!deviceId) return null;
+
+  const entry = await findRegisteredDevice(deviceId);
+  if (entry) {
+    const owner = await User.findById(entry.user_id);
+    if (owner) return owner;
+  }
+
+  const user = await User.findOne({ "spaces.devices.device_id": deviceId });
+  if (user) {
+    logger.warn(`Device ${deviceId} was missing from the registry, re-syncing its owner`);
+    await syncUserDevices(user);
+  }
+  return user;
+}
+
+/**
+ * Resolve the AWS IoT thing a device is reached through.
+ * The legacy sensor_metadata collection wins, as it always has; otherwise base
+ * devices use their own thing name and tanks the one of their parent base.
+ * Devices not yet in the registry are found through their owner, which
+ * registers them.
+ * @param {String} deviceId - Device ID
+ * @returns {Promise<String|null>} Thing name
+ */
+export async function getThingIdByDeviceId(deviceId) {
+  if (!deviceId) {
+    logger.warn("getThingIdByDeviceId called without deviceid");
+    return null;
+  }
+
+  try {
+    const row = await mongoose.connection.db
+      .collection("sensor_metadata")
+      .findOne({ deviceid: deviceId });
+    const legacyThingId = row && (row.thingid || row.thingId || row.thing_id);
+    if (legacyThingId) return legacyThingId;
+
+    let entry = await findRegisteredDevice(deviceId);
+    if (!entry && (await findDeviceOwner(deviceId))) {
+      entry = await findRegisteredDevice(deviceId);
+    }
+
+    if (entry?.device_type === "tank" && entry.parent_device_id) {
+      const parent = await findRegisteredDevice(entry.parent_device_id);
+      if (parent?.thing_name) return parent.thing_name;
+      logger.warn(`Parent base device ${entry.parent_device_id} of tank ${deviceId} has no thing name`);
+    }
+    if (entry?.thing_name) return entry.thing_name;
+
+    logger.warn(`No thingid found for deviceid: ${deviceId}`);
+    return null;
+  } catch (error) {
+    logger.error(`Error getting thingId for ${deviceId}: ${error.message}`);
+    return null;
+  }
+}
@@ -2,7 +2,15 @@ import { User } from "../config/dbconfig.js";
 import { publishToIoT } from "../utils/mqttHelper.js";
 import { getTopic, AWS_IOT_CONFIG } from "../config/awsIotConfig.js";
 import logger from "../utils/logger.js";
+import { Schedule } from "./scheduleService.js";
+import {
+  findDeviceByIdOrThingName,
+  syncUserDevices,
+  unregisterUserDevices,
+} from "./deviceRegistryService.js";
 import { trace, context } from "@opentelemetry/api";
+import { SPACE_PERMISSIONS, resolveSpaceAccess } from "./spaceAccessService.js";
+import { getSpaceActor, recordSpaceChange } from "./auditService.js";
 
 // ✅ FIXED: Use publishToIoT instead of undefined publish
 async function safePublish(topic, message) {
@@ -16,43 +24,36 @@ async function safePublish(topic, message) {
 
 // Helper function to check if device exists globally
 async function checkDeviceExistsGlobally(deviceId, thingName = null) {
-  const query = {
-    $or: [
-      { "spaces.devices.device_id": deviceId }
-    ]
-  };
-
-  if (thingName) {
-    query.$or.push({ "spaces.devices.thing_name": thingName });
+  const entry = await findDeviceByIdOrThingName(deviceId, thingName);
+  if (!entry) {
+    return { exists: false };
   }
 
-  const existingUser = await User.findOne(query);
-  
-  if (existingUser) {
-    for (const space of existingUser.spaces) {
-      const device = space.devices.find(d => 
-        d.device_id === deviceId || (thingName && d.thing_name === thingName)
-      );
-      if (device) {
-        return {
-          exists: true,
-          user: existingUser,
-          space: space,
-          device: device
-        };
-      }
+  const existingUser = await User.findById(entry.user_id);
+  const space = existingUser?.spaces.id(entry.space_id);
+  const device = space?.devices.find(d => d.device_id === entry.device_id);
+
+  if (!device) {
+    // Stale entry: the owner no longer has the device, so re-sync and look again
+    if (existingUser) {
+      await syncUserDevices(existingUser);
+    } else {
+      await unregisterUserDevices(entry.user_id);
     }
+    return checkDeviceExistsGlobally(deviceId, thingName);
   }
-  
-  return { exists: false };
+
+  return {
+    exists: true,
+    user: existingUser,
+    space: space,
+    device: device
+  };
 }
 
 // ✅ UPDATED: Publish update messages when getting devices
 export async function getSpaceDevices(mobileNumber, spaceId) {
-  const user = await User.findOne({ mobile_number: mobileNumber });
-  if (!user) {
-    throw new Error("User not found");
-  }
+  const { user } = await resolveSpaceAccess(mobileNumber, spaceId, SPACE_PERMISSIONS.VIEW);
 
   const space = user.spaces.find((space) => space._id.toString() === spaceId);
   if (!space) {
@@ -149,10 +150,7 @@ export async function getAllUserDevices(mobileNumber, userId) {
 }
 
 export async function getDeviceById(mobileNumber, spaceId, deviceId) {
-  const user = await User.findOne({ mobile_number: mobileNumber });
-  if (!user) {
-    throw new Error("User not found");
-  }
+  const { user } = await resolveSpaceAccess(mobileNumber, spaceId, SPACE_PERMISSIONS.VIEW);
 
   const space = user.spaces.find((space) => space._id.toString() === spaceId);
   if (!space) {
@@ -198,11 +196,7 @@ export async function addDevice(mobileNumber, spaceId, deviceData) {
   const traceInfo = span ? span.spanContext() : {};
 
   try {
-    const user = await User.findOne({ mobile_number: mobileNumber });
-    if (!user) {
-      logger.error("User not found", { mobileNumber, traceId: traceInfo.traceId });
-      throw new Error("User not found");
-    }
+    const { user } = await resolveSpaceAccess(mobileNumber, spaceId, SPACE_PERMISSIONS.MANAGE);
 
     const spaceIndex = user.spaces.findIndex(space => space._id.toString() === spaceId);
     if (spaceIndex === -1) {
@@ -218,7 +212,7 @@ export async function addDevice(mobileNumber, spaceId, deviceData) {
         traceId: traceInfo.traceId
       });
 
-      if (globalCheck.user.mobile_number === mobileNumber) {
+      if (globalCheck.user._id.equals(user._id)) {
         throw new Error(`Device '${deviceData.device_id}' already in your space '${globalCheck.space.space_name}'`);
       } else {
         throw new Error(`Device '${deviceData.device_id}' is registered to another account`);
@@ -259,6 +253,7 @@ export async function addDevice(mobileNumber, spaceId, deviceData) {
 
     user.spaces[spaceIndex].devices.push(bm1Device, bm2Device);
     await user.save();
+    await syncUserDevices(user);
 
     if (deviceData.connection_type === "wifi" && deviceData.thing_name) {
       try {
@@ -339,10 +334,11 @@ export async function addTankDevice(
   tankData
 ) {
   try {
-    const user = await User.findOne({ mobile_number: mobileNumber });
-    if (!user) {
-      throw new Error("User not found");
-    }
+    const { user } = await resolveSpaceAccess(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.MANAGE
+    );
 
     const spaceIndex = user.spaces.findIndex(
       (space) => space._id.toString() === spaceId
@@ -410,7 +406,7 @@ export async function addTankDevice(
     // Global device check
     const globalCheck = await checkDeviceExistsGlobally(tankData.device_id);
     if (globalCheck.exists) {
-      if (globalCheck.user.mobile_number === mobileNumber) {
+      if (globalCheck.user._id.equals(user._id)) {
         throw new Error(
           `Tank device '${tankData.device_id}' already exists in your space '${globalCheck.space.space_name}'.`
         );
@@ -444,6 +440,7 @@ export async function addTankDevice(
     // Save to DB
     user.spaces[spaceIndex].devices.push(tankData);
     await user.save();
+    await syncUserDevices(user);
 
     const newTankDevice =
       user.spaces[spaceIndex].devices[
@@ -520,8 +517,7 @@ export async function addTankDevice(
 
 
 export async function debugTankDevice(mobileNumber, spaceId, deviceId) {
-  const user = await User.findOne({ mobile_number: mobileNumber });
-  if (!user) return null;
+  const { user } = await resolveSpaceAccess(mobileNumber, spaceId, SPACE_PERMISSIONS.VIEW);
   
   const space = user.spaces.find(s => s._id.toString() === spaceId);
   if (!space) return null;
@@ -541,9 +537,20 @@ export async function debugTankDevice(mobileNumber, spaceId, deviceId) {
 }
 
 export async function transferDevice(mobileNumber, fromSpaceId, toSpaceId, deviceId) {
-  const user = await User.findOne({ mobile_number: mobileNumber });
-  if (!user) {
-    throw new Error("User not found");
+  const access = await resolveSpaceAccess(
+    mobileNumber,
+    fromSpaceId,
+    SPACE_PERMISSIONS.MANAGE
+  );
+  const { user } = access;
+  // Devices can only move between spaces of the same owner
+  const destination = await resolveSpaceAccess(
+    mobileNumber,
+    toSpaceId,
+    SPACE_PERMISSIONS.MANAGE
+  );
+  if (!destination.user._id.equals(user._id)) {
+    throw new Error("Source or destination space not found");
   }
 
   const fromSpaceIndex = user.spaces.findIndex(
@@ -586,20 +593,24 @@ export async function transferDevice(mobileNumber, fromSpaceId, toSpaceId, devic
     for (let i = 0; i < user.spaces[fromSpaceIndex].setups.length; i++) {
       const setup = user.spaces[fromSpaceIndex].setups[i];
 
-      if (setup.condition.device_id === deviceId) {
+      if (
+        setup.condition?.device_id === deviceId ||
+        setup.conditions?.some((condition) => condition.device_id === deviceId)
+      ) {
         user.spaces[fromSpaceIndex].setups.splice(i, 1);
         i--;
         continue;
       }
 
-      if (setup.condition.actions) {
-        const actionIndex = setup.condition.actions.findIndex(
+      const actions = setup.conditions?.length > 0 ? setup.actions : setup.condition?.actions;
+      if (actions) {
+        const actionIndex = actions.findIndex(
           (action) => action.device_id === deviceId
         );
 
         if (actionIndex !== -1) {
-          setup.condition.actions.splice(actionIndex, 1);
-          if (setup.condition.actions.length === 0) {
+          actions.splice(actionIndex, 1);
+          if (actions.length === 0) {
             user.spaces[fromSpaceIndex].setups.splice(i, 1);
             i--;
           }
@@ -609,6 +620,25 @@ export async function transferDevice(mobileNumber, fromSpaceId, toSpaceId, devic
   }
 
   await user.save();
+  await syncUserDevices(user);
+
+  // Schedules are tied to the source space
+  await Schedule.deleteMany({
+    user_id: user._id,
+    space_id: user.spaces[fromSpaceIndex]._id,
+    device_id: deviceId,
+  });
+
+  await recordSpaceChange({
+    action: "device.transfer",
+    actor: getSpaceActor(mobileNumber, access),
+    spaceId: user.spaces[fromSpaceIndex]._id,
+    ownerId: user._id,
+    entity: { type: "device", id: deviceId },
+    before: { space_id: fromSpaceId },
+    after: { space_id: toSpaceId },
+    details: { to_space_id: user.spaces[toSpaceIndex]._id },
+  });
 
   return {
     success: true,
@@ -619,10 +649,11 @@ export async function transferDevice(mobileNumber, fromSpaceId, toSpaceId, devic
 
 export async function deleteDevice(mobileNumber, spaceId, deviceId) {
   try {
-    const user = await User.findOne({ mobile_number: mobileNumber });
-    if (!user) {
-      throw new Error("User not found");
-    }
+    const { user } = await resolveSpaceAccess(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.MANAGE
+    );
 
     const spaceIndex = user.spaces.findIndex(
       (space) => space._id.toString() === spaceId
@@ -715,21 +746,25 @@ export async function deleteDevice(mobileNumber, spaceId, deviceId) {
       for (let i = 0; i < space.setups.length; i++) {
         const setup = space.setups[i];
 
-        // Condition match
-        if (setup.condition?.device_id === deviceId) {
+        // Condition match (single condition or any sub-condition)
+        if (
+          setup.condition?.device_id === deviceId ||
+          setup.conditions?.some((c) => c.device_id === deviceId)
+        ) {
           space.setups.splice(i, 1);
           i--;
           continue;
         }
 
         // Action match
-        if (setup.condition?.actions) {
-          const actionIndex = setup.condition.actions.findIndex(
+        const actions = setup.conditions?.length > 0 ? setup.actions : setup.condition?.actions;
+        if (actions) {
+          const actionIndex = actions.findIndex(
             (a) => a.device_id === deviceId
           );
           if (actionIndex !== -1) {
-            setup.condition.actions.splice(actionIndex, 1);
-            if (setup.condition.actions.length === 0) {
+            actions.splice(actionIndex, 1);
+            if (actions.length === 0) {
               space.setups.splice(i, 1);
               i--;
             }
@@ -741,6 +776,13 @@ export async function deleteDevice(mobileNumber, spaceId, deviceId) {
     // --- 🗑️ Finally remove from DB ---
     space.devices.splice(deviceIndex, 1);
     await user.save();
+    await syncUserDevices(user);
+
+    await Schedule.deleteMany({
+      user_id: user._id,
+      space_id: space._id,
+      device_id: deviceId,
+    });
 
     logger.info(
       `✅ Deleted device: ${device.device_id} (${device.device_type}) from space ${space.space_name}`
@@ -768,10 +810,12 @@ export async function updateDeviceStatus(
   status
 ) {
   try {
-    const user = await User.findOne({ mobile_number: mobileNumber });
-    if (!user) {
-      throw new Error("User not found");
-    }
+    const access = await resolveSpaceAccess(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.CONTROL
+    );
+    const { user } = access;
 
     const spaceIndex = user.spaces.findIndex(
       (space) => space._id.toString() === spaceId
@@ -797,10 +841,22 @@ export async function updateDeviceStatus(
       throw new Error("Status must be 'on' or 'off'");
     }
 
+    const previousStatus = device.status;
     user.spaces[spaceIndex].devices[deviceIndex].status = status;
     user.spaces[spaceIndex].devices[deviceIndex].last_updated = new Date();
     await user.save();
 
+    await recordSpaceChange({
+      action: "device.status_change",
+      actor: getSpaceActor(mobileNumber, access),
+      spaceId: user.spaces[spaceIndex]._id,
+      ownerId: user._id,
+      entity: { type: "device", id: deviceId },
+      before: { status: previousStatus },
+      after: { status },
+      details: { switch_no: device.switch_no },
+    });
+
     if (device.thing_name) {
       try {
         const controlTopic = getTopic("control", device.thing_name, "control");
@@ -852,10 +908,12 @@ export async function updateDeviceStatus(
 
 export async function resetDevice(mobileNumber, spaceId, deviceId, slaveNo, slaveId = "") {
   try {
-    const user = await User.findOne({ mobile_number: mobileNumber });
-    if (!user) {
-      throw new Error("User not found");
-    }
+    const access = await resolveSpaceAccess(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.MANAGE
+    );
+    const { user } = access;
 
     const spaceIndex = user.spaces.findIndex(
       (space) => space._id.toString() === spaceId
@@ -890,10 +948,22 @@ export async function resetDevice(mobileNumber, spaceId, deviceId, slaveNo, slav
       message: resetMessage,
     });
 
+    const previouslyRequested = device.reset_requested;
     device.reset_requested = true;
     device.last_updated = new Date();
     await user.save();
 
+    await recordSpaceChange({
+      action: "device.reset",
+      actor: getSpaceActor(mobileNumber, access),
+      spaceId: user.spaces[spaceIndex]._id,
+      ownerId: user._id,
+      entity: { type: "device", id: deviceId },
+      before: { reset_requested: previouslyRequested },
+      after: { reset_requested: true },
+      details: { slave_no: slaveNo, slaveid: slaveId },
+    });
+
     return {
       success: true,
       message: `Reset command sent to device ${deviceId} (${slaveNo})`,
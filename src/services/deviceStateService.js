@@ -0,0 +1,77 @@
+// src/services/deviceStateService.js
+// Targeted atomic writes to devices and setups embedded in a user document.
+//
+// Loading a user, changing one device and calling user.save() rewrites every
+// modified path from a stale copy: two messages handled at the same time
+// overwrite each other. These helpers $set only the fields that change on the
+// matching array elements, and can make the write conditional on the element's
+// current values (compare-and-set) so only one concurrent caller wins.
+import mongoose from "mongoose";
+import { User } from "../config/dbconfig.js";
+
+function toObjectId(id) {
+  return id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(id);
+}
+
+// Prefix every key of an object, e.g. { status: "on" } -> { "device.status": "on" }
+function prefixKeys(prefix, fields = {}) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [`${prefix}.${key}`, value])
+  );
+}
+
+/**
+ * Atomically set fields on an embedded device
+ * @param {Object} target - userId, deviceId, and optionally spaceId (all spaces
+ *   when omitted), switchNo (base switch entry) and where (extra conditions on the
+ *   device's current values, e.g. { online_status: { $ne: true } })
+ * @param {Object} fields - Device fields to set, e.g. { level: 40, last_updated: now }
+ * @returns {Promise<Boolean>} Whether a device was changed
+ */
+export async function updateEmbeddedDevice(
+  { userId, spaceId, deviceId, switchNo, where },
+  fields
+) {
+  const spacePath = spaceId ? "spaces.$[space]" : "spaces.$[]";
+  const arrayFilters = [
+    {
+      "device.device_id": deviceId,
+      ...(switchNo && { "device.switch_no": switchNo }),
+      ...prefixKeys("device", where),
+    },
+  ];
+  if (spaceId) {
+    arrayFilters.push({ "space._id": toObjectId(spaceId) });
+  }
+
+  const result = await User.updateOne(
+    { _id: toObjectId(userId) },
+    { $set: prefixKeys(`${spacePath}.devices.$[device]`, fields) },
+    { arrayFilters }
+  );
+
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Atomically set fields on an embedded setup
+ * @param {Object} target - userId, spaceId, setupId, and optionally where
+ *   (conditions on the setup's current values, e.g. { automation_state: "idle" })
+ * @param {Object} fields - Setup fields to set
+ * @returns {Promise<Boolean>} Whether the setup was changed; false when `where` no
+ *   longer holds because a concurrent caller got there first
+ */
+export async function updateEmbeddedSetup({ userId, spaceId, setupId, where }, fields) {
+  const result = await User.updateOne(
+    { _id: toObjectId(userId) },
+    { $set: prefixKeys("spaces.$[space].setups.$[setup]", fields) },
+    {
+      arrayFilters: [
+        { "space._id": toObjectId(spaceId) },
+        { "setup._id": toObjectId(setupId), ...prefixKeys("setup", where) },
+      ],
+    }
+  );
+
+  return result.modifiedCount > 0;
+}
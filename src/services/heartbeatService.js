@@ -0,0 +1,342 @@
+// src/services/heartbeatService.js
+import mongoose from "mongoose";
+import { User } from "../config/dbconfig.js";
+import logger from "../utils/logger.js";
+import { findRegisteredDevice } from "./deviceRegistryService.js";
+
+const DEFAULT_OFFLINE_TIMEOUT =
+  parseInt(process.env.HEARTBEAT_TIMEOUT_MS) || 5 * 60 * 1000;
+
+// How long each kind of device may stay silent before it is considered offline
+export const OFFLINE_TIMEOUTS = {
+  base: parseInt(process.env.HEARTBEAT_TIMEOUT_BASE_MS) || DEFAULT_OFFLINE_TIMEOUT,
+  tank: parseInt(process.env.HEARTBEAT_TIMEOUT_TANK_MS) || DEFAULT_OFFLINE_TIMEOUT,
+};
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Device Heartbeat Schema - last time each device was heard from
+const deviceHeartbeatSchema = new mongoose.Schema(
+  {
+    device_id: {
+      type: String,
+      required: [true, "Device ID is required"],
+      unique: true,
+    },
+    device_type: String,
+    timeout_ms: {
+      type: Number,
+      default: DEFAULT_OFFLINE_TIMEOUT,
+    },
+    last_seen: Date,
+    // last_seen + timeout_ms, so the sweep is a single indexed query
+    offline_after: Date,
+    online: {
+      type: Boolean,
+      default: false,
+    },
+    online_since: Date,
+    offline_since: Date,
+  },
+  { timestamps: true }
+);
+
+deviceHeartbeatSchema.index({ online: 1, offline_after: 1 });
+
+export const DeviceHeartbeat = mongoose.model(
+  "DeviceHeartbeat",
+  deviceHeartbeatSchema,
+  "device_heartbeats"
+);
+
+// Device Session Schema - one continuous online or offline period of a device
+const deviceSessionSchema = new mongoose.Schema(
+  {
+    device_id: {
+      type: String,
+      required: [true, "Device ID is required"],
+    },
+    status: {
+      type: String,
+      enum: ["online", "offline"],
+      required: [true, "Session status is required"],
+    },
+    started_at: {
+      type: Date,
+      required: [true, "Session start is required"],
+    },
+    // Unset while the session is still open
+    ended_at: Date,
+    duration_ms: Number,
+  },
+  { timestamps: true }
+);
+
+deviceSessionSchema.index({ device_id: 1, started_at: -1 });
+deviceSessionSchema.index({ device_id: 1, ended_at: 1 });
+
+export const DeviceSession = mongoose.model(
+  "DeviceSession",
+  deviceSessionSchema,
+  "device_sessions"
+);
+
+/**
+ * Find the registered type of a device ("base", "tank") to pick its timeout
+ */
+async function resolveDeviceType(deviceId) {
+  const entry = await findRegisteredDevice(deviceId);
+  return entry?.device_type || null;
+}
+
+/**
+ * Close the open session of a device and open one with the new status
+ */
+async function switchSession(deviceId, status, at) {
+  const open = await DeviceSession.findOne({
+    device_id: deviceId,
+    ended_at: { $exists: false },
+  });
+
+  if (open) {
+    open.ended_at = at;
+    open.duration_ms = Math.max(0, at - open.started_at);
+    await open.save();
+  }
+
+  await DeviceSession.create({ device_id: deviceId, status, started_at: at });
+}
+
+/**
+ * Set online_status on every stored copy of a device without notifying anyone
+ */
+async function setStoredOnlineStatus(deviceId, online) {
+  await User.updateMany(
+    { "spaces.devices.device_id": deviceId },
+    { $set: { "spaces.$[].devices.$[device].online_status": online } },
+    { arrayFilters: [{ "device.device_id": deviceId }] }
+  );
+}
+
+/**
+ * Record that a device was heard from
+ * @param {String} deviceId - Device that sent a message
+ * @returns {Promise<Boolean>} True if the device just came (back) online
+ */
+export async function recordHeartbeat(deviceId) {
+  const now = new Date();
+
+  const previous = await DeviceHeartbeat.findOneAndUpdate(
+    { device_id: deviceId },
+    [
+      {
+        $set: {
+          last_seen: now,
+          offline_after: {
+            $add: [now, { $ifNull: ["$timeout_ms", DEFAULT_OFFLINE_TIMEOUT] }],
+          },
+        },
+      },
+    ],
+    { upsert: true, new: false }
+  ).lean();
+
+  if (previous?.online) return false;
+
+  const deviceType = previous?.device_type || (await resolveDeviceType(deviceId));
+  const timeout = OFFLINE_TIMEOUTS[deviceType] || DEFAULT_OFFLINE_TIMEOUT;
+
+  // Only one instance wins the offline -> online transition
+  const result = await DeviceHeartbeat.updateOne(
+    { device_id: deviceId, online: { $ne: true } },
+    {
+      $set: {
+        online: true,
+        online_since: now,
+        device_type: deviceType,
+        timeout_ms: timeout,
+        offline_after: new Date(now.getTime() + timeout),
+      },
+    }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  await switchSession(deviceId, "online", now);
+  logger.info(`💓 Device ${deviceId} is online (timeout ${timeout}ms)`);
+  return true;
+}
+
+/**
+ * Mark every device whose timeout has passed as offline
+ * @param {Function} onOffline - async (deviceId) => void, called once per device going offline
+ * @returns {Promise<Number>} Number of devices marked offline
+ */
+export async function expireHeartbeats(onOffline) {
+  const now = new Date();
+  const expired = await DeviceHeartbeat.find({
+    online: true,
+    offline_after: { $lte: now },
+  }).lean();
+
+  let count = 0;
+  for (const heartbeat of expired) {
+    // The device went quiet after its last message, not when we noticed
+    const wentOfflineAt = heartbeat.last_seen || now;
+
+    const result = await DeviceHeartbeat.updateOne(
+      { _id: heartbeat._id, online: true, offline_after: { $lte: now } },
+      { $set: { online: false, offline_since: wentOfflineAt } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    count++;
+    try {
+      await switchSession(heartbeat.device_id, "offline", wentOfflineAt);
+      if (onOffline) await onOffline(heartbeat.device_id);
+    } catch (error) {
+      logger.error(`Error marking device ${heartbeat.device_id} offline: ${error.message}`);
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Bring stored online_status in line with the heartbeat store after a restart.
+ * Devices stored as online that have never been tracked get one timeout from
+ * now to report in.
+ * @param {Function} onOffline - Passed to expireHeartbeats
+ */
+export async function reconcileOnlineStatus(onOffline) {
+  // Devices that timed out while no instance was running
+  const expiredCount = await expireHeartbeats(onOffline);
+
+  const heartbeats = await DeviceHeartbeat.find({}).select("device_id online").lean();
+  const tracked = new Map(heartbeats.map((h) => [h.device_id, h.online]));
+
+  const users = await User.find({})
+    .select("spaces.devices.device_id spaces.devices.online_status")
+    .lean();
+
+  const stored = new Map();
+  users.forEach((user) =>
+    user.spaces.forEach((space) =>
+      space.devices.forEach((device) => {
+        stored.set(
+          device.device_id,
+          Boolean(stored.get(device.device_id) || device.online_status)
+        );
+      })
+    )
+  );
+
+  let corrected = 0;
+  let started = 0;
+  for (const [deviceId, storedOnline] of stored) {
+    if (tracked.has(deviceId)) {
+      if (tracked.get(deviceId) !== storedOnline) {
+        await setStoredOnlineStatus(deviceId, tracked.get(deviceId));
+        corrected++;
+      }
+    } else if (storedOnline) {
+      await recordHeartbeat(deviceId);
+      started++;
+    }
+  }
+
+  logger.info(
+    `💓 Online status reconciled: ${expiredCount} timed out, ${corrected} corrected, ${started} now tracked`
+  );
+}
+
+/**
+ * Online/offline sessions of a device and its availability over a period
+ * @param {String} deviceId - Device ID
+ * @param {Object} options - from, to (default: last 7 days)
+ * @returns {Promise<Object>} Current state, availability and sessions
+ */
+export async function getDeviceAvailability(deviceId, options = {}) {
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from
+    ? new Date(options.from)
+    : new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    throw new Error("Invalid date range");
+  }
+
+  const [heartbeat, sessions] = await Promise.all([
+    DeviceHeartbeat.findOne({ device_id: deviceId }).lean(),
+    DeviceSession.find({
+      device_id: deviceId,
+      started_at: { $lt: to },
+      $or: [{ ended_at: { $exists: false } }, { ended_at: { $gt: from } }],
+    })
+      .sort({ started_at: 1 })
+      .lean(),
+  ]);
+
+  const now = new Date();
+  let onlineMs = 0;
+  let offlineMs = 0;
+
+  const history = sessions.map((session) => {
+    const end = session.ended_at || now;
+    // Only the part of the session inside the requested window counts
+    const clipped = Math.max(
+      0,
+      Math.min(end, to) - Math.max(session.started_at, from)
+    );
+    if (session.status === "online") onlineMs += clipped;
+    else offlineMs += clipped;
+
+    return {
+      status: session.status,
+      started_at: session.started_at,
+      ended_at: session.ended_at || null,
+      duration_ms: session.ended_at ? session.duration_ms : now - session.started_at,
+    };
+  });
+
+  const trackedMs = onlineMs + offlineMs;
+
+  return {
+    device_id: deviceId,
+    online: Boolean(heartbeat?.online),
+    last_seen: heartbeat?.last_seen || null,
+    timeout_ms: heartbeat?.timeout_ms || null,
+    from,
+    to,
+    online_ms: onlineMs,
+    offline_ms: offlineMs,
+    availability_percent:
+      trackedMs > 0 ? Math.round((onlineMs / trackedMs) * 10000) / 100 : null,
+    sessions: history,
+  };
+}
+
+let sweepInterval = null;
+
+/**
+ * Start periodically marking silent devices offline
+ * @param {Function} onOffline - async (deviceId) => void
+ */
+export function startHeartbeatSweep(onOffline) {
+  if (sweepInterval) return;
+
+  sweepInterval = setInterval(() => {
+    expireHeartbeats(onOffline).catch((error) =>
+      logger.error(`Heartbeat sweep failed: ${error.message}`)
+    );
+  }, SWEEP_INTERVAL);
+}
+
+/**
+ * Stop the heartbeat sweep
+ */
+export function stopHeartbeatSweep() {
+  if (sweepInterval) {
+    clearInterval(sweepInterval);
+    sweepInterval = null;
+  }
+}
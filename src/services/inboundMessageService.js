@@ -0,0 +1,75 @@
+// src/services/inboundMessageService.js
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// How long a processed message is remembered for duplicate detection
+const DEDUPE_TTL_SECONDS = parseInt(process.env.INBOUND_DEDUPE_TTL_SECONDS) || 10 * 60;
+// Payloads without a message_id or timestamp can legitimately repeat, so they
+// are only treated as duplicates inside this window
+const DEDUPE_WINDOW = parseInt(process.env.INBOUND_DEDUPE_WINDOW_MS) || 5 * 1000;
+
+// Inbound Message Schema - idempotency key of a message that has been claimed for processing
+const inboundMessageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, "Idempotency key is required"],
+    unique: true,
+  },
+  topic: String,
+  device_id: String,
+  claimed_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+inboundMessageSchema.index({ claimed_at: 1 }, { expireAfterSeconds: DEDUPE_TTL_SECONDS });
+
+export const InboundMessage = mongoose.model(
+  "InboundMessage",
+  inboundMessageSchema,
+  "inbound_messages"
+);
+
+/**
+ * Derive the idempotency key of an inbound message
+ * Uses the device's message_id when it sends one, otherwise a hash of the
+ * topic and raw payload
+ * @param {String} topic - MQTT topic
+ * @param {String} rawPayload - Payload as received
+ * @param {Object} data - Parsed payload
+ * @returns {String} Idempotency key
+ */
+export function getIdempotencyKey(topic, rawPayload, data) {
+  if (data?.message_id) {
+    return `${data.deviceid}:${data.message_id}`;
+  }
+
+  const hash = crypto.createHash("sha256").update(topic).update("\n").update(rawPayload);
+  if (data?.timestamp === undefined) {
+    hash.update(`\n${Math.floor(Date.now() / DEDUPE_WINDOW)}`);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Claim a message for processing. Only the first delivery succeeds, whichever
+ * instance it reaches.
+ * @param {String} topic - MQTT topic
+ * @param {String} rawPayload - Payload as received
+ * @param {Object} data - Parsed payload
+ * @returns {Promise<Boolean>} False if the message was already processed
+ */
+export async function claimInboundMessage(topic, rawPayload, data) {
+  try {
+    await InboundMessage.create({
+      key: getIdempotencyKey(topic, rawPayload, data),
+      topic,
+      device_id: data?.deviceid,
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
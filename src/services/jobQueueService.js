@@ -0,0 +1,273 @@
+// src/services/jobQueueService.js
+import mongoose from "mongoose";
+import os from "os";
+import logger from "../utils/logger.js";
+
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL) || 5000;
+// A running job whose worker has not finished within this window is picked up again
+const LOCK_TIMEOUT = parseInt(process.env.JOB_LOCK_TIMEOUT) || 2 * 60 * 1000;
+const RETRY_DELAY = 30 * 1000;
+
+// Identifies this process in locked_by so stuck jobs can be traced to an instance
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Job Schema - a device command to run at (or after) run_at
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: [true, "Job type is required"],
+    },
+    payload: mongoose.Schema.Types.Mixed,
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    space_id: mongoose.Schema.Types.ObjectId,
+    setup_id: mongoose.Schema.Types.ObjectId,
+    schedule_id: mongoose.Schema.Types.ObjectId,
+    run_at: {
+      type: Date,
+      default: Date.now,
+    },
+    // Device commands are not sent if the queue only gets to them after this
+    expires_at: Date,
+    status: {
+      type: String,
+      enum: ["pending", "running", "completed", "failed", "cancelled", "expired"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    max_attempts: {
+      type: Number,
+      default: 5,
+    },
+    locked_at: Date,
+    locked_by: String,
+    last_error: String,
+    completed_at: Date,
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ status: 1, run_at: 1 });
+jobSchema.index({ space_id: 1, status: 1, run_at: 1 });
+jobSchema.index({ setup_id: 1, status: 1 });
+jobSchema.index({ schedule_id: 1, status: 1 });
+
+export const Job = mongoose.model("Job", jobSchema, "jobs");
+
+// Job type -> async handler(job); a handler throws to have the job retried
+const handlers = new Map();
+
+/**
+ * Register the function that executes jobs of a type
+ * @param {String} type - Job type (e.g. "setup_action")
+ * @param {Function} handler - async (job) => void
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Persist a job for later execution
+ * @param {Object} jobData - type, payload, run_at, expires_at and owning user/space/setup/schedule IDs
+ * @returns {Promise<Object>} Created job
+ */
+export async function enqueueJob(jobData) {
+  const job = await Job.create(jobData);
+
+  logger.info(`📥 Job queued: ${job.type} (${job._id}) to run at ${job.run_at.toISOString()}`);
+  return job;
+}
+
+/**
+ * Cancel all pending jobs matching a filter (e.g. { setup_id })
+ * @param {Object} filter - Mongo filter on the job fields
+ * @returns {Promise<Number>} Number of jobs cancelled
+ */
+export async function cancelJobs(filter) {
+  const result = await Job.updateMany(
+    { ...filter, status: "pending" },
+    { $set: { status: "cancelled", completed_at: new Date() } }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info(`🚫 Cancelled ${result.modifiedCount} pending job(s)`, {
+      filter: JSON.stringify(filter),
+    });
+  }
+  return result.modifiedCount;
+}
+
+/**
+ * Pending and in-flight jobs of a space, soonest first
+ * @param {String} spaceId - Space ID
+ * @returns {Promise<Array>} Jobs
+ */
+export async function getPendingJobs(spaceId) {
+  return Job.find({
+    space_id: spaceId,
+    status: { $in: ["pending", "running"] },
+  })
+    .sort({ run_at: 1 })
+    .lean();
+}
+
+/**
+ * Atomically take the next due job, including jobs whose worker died mid-run
+ */
+async function claimNextJob() {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", run_at: { $lte: now } },
+        { status: "running", locked_at: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) } },
+      ],
+    },
+    {
+      $set: { status: "running", locked_at: now, locked_by: WORKER_ID },
+      $inc: { attempts: 1 },
+    },
+    { sort: { run_at: 1 }, new: true }
+  );
+}
+
+/**
+ * Run one claimed job and record the outcome
+ */
+async function runJob(job) {
+  if (job.expires_at && job.expires_at < new Date()) {
+    logger.warn(`⌛ Job ${job._id} (${job.type}) expired before it could run`);
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { status: "expired", completed_at: new Date() } }
+    );
+    return;
+  }
+
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type '${job.type}'`);
+    }
+
+    await handler(job);
+
+    await Job.updateOne(
+      { _id: job._id },
+      { $set: { status: "completed", completed_at: new Date(), last_error: null } }
+    );
+    logger.info(`✅ Job completed: ${job.type} (${job._id})`);
+  } catch (error) {
+    const exhausted = job.attempts >= job.max_attempts;
+
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: exhausted
+          ? { status: "failed", completed_at: new Date(), last_error: error.message }
+          : {
+              status: "pending",
+              run_at: new Date(Date.now() + RETRY_DELAY * job.attempts),
+              last_error: error.message,
+            },
+      }
+    );
+
+    logger.error(
+      `❌ Job ${job.type} (${job._id}) failed on attempt ${job.attempts}/${job.max_attempts}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Execute every job that is due right now
+ * @returns {Promise<Number>} Number of jobs processed
+ */
+export async function processDueJobs() {
+  let processed = 0;
+
+  let job = await claimNextJob();
+  while (job) {
+    await runJob(job);
+    processed++;
+    job = await claimNextJob();
+  }
+
+  return processed;
+}
+
+/**
+ * Put jobs that were running when this worker stopped back in the queue
+ * Other instances may be working the queue right now, so only jobs locked by this
+ * worker or whose lock has expired are recovered; jobs still held by a live
+ * instance are left to it. Jobs are executed at least once, so an interrupted job
+ * runs again.
+ * @returns {Promise<Number>} Number of jobs recovered
+ */
+export async function recoverJobs() {
+  const result = await Job.updateMany(
+    {
+      status: "running",
+      $or: [
+        { locked_by: WORKER_ID },
+        { locked_at: { $lt: new Date(Date.now() - LOCK_TIMEOUT) } },
+      ],
+    },
+    { $set: { status: "pending" }, $unset: { locked_at: 1, locked_by: 1 } }
+  );
+
+  const overdue = await Job.countDocuments({
+    status: "pending",
+    run_at: { $lte: new Date() },
+  });
+
+  logger.info(
+    `♻️ Job queue recovered: ${result.modifiedCount} interrupted, ${overdue} due now`
+  );
+  return result.modifiedCount;
+}
+
+let workerInterval = null;
+let polling = false;
+
+/**
+ * Recover interrupted jobs and start polling for due jobs
+ */
+export async function startJobWorker() {
+  if (workerInterval) return;
+
+  await recoverJobs();
+
+  workerInterval = setInterval(async () => {
+    // Skip the tick if the previous one is still draining the queue
+    if (polling) return;
+    polling = true;
+    try {
+      await processDueJobs();
+    } catch (error) {
+      logger.error(`Job worker tick failed: ${error.message}`);
+    } finally {
+      polling = false;
+    }
+  }, POLL_INTERVAL);
+
+  logger.info(`⚙️ Job worker started (${WORKER_ID})`);
+}
+
+/**
+ * Stop polling for jobs
+ */
+export function stopJobWorker() {
+  if (workerInterval) {
+    clearInterval(workerInterval);
+    workerInterval = null;
+  }
+}
@@ -0,0 +1,161 @@
+// src/services/leaderService.js
+import mongoose from "mongoose";
+import os from "os";
+import crypto from "crypto";
+import logger from "../utils/logger.js";
+
+// Identifies this process in lease documents
+export const INSTANCE_ID =
+  process.env.INSTANCE_ID ||
+  `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString("hex")}`;
+
+const LEASE_TTL = parseInt(process.env.LEADER_LEASE_TTL_MS) || 30 * 1000;
+// Renew well before the lease runs out
+const RENEW_INTERVAL = Math.floor(LEASE_TTL / 3);
+
+// Lease Schema - a named lock held by one instance until it expires
+const leaseSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Lease name is required"],
+      unique: true,
+    },
+    holder: {
+      type: String,
+      required: [true, "Lease holder is required"],
+    },
+    acquired_at: Date,
+    expires_at: {
+      type: Date,
+      required: [true, "Lease expiry is required"],
+    },
+  },
+  { timestamps: true }
+);
+
+export const Lease = mongoose.model("Lease", leaseSchema, "leases");
+
+/**
+ * Take or renew a lease. Succeeds if this instance already holds it or the
+ * previous holder let it expire.
+ * @param {String} name - Lease name
+ * @param {Number} ttl - Lease duration in ms
+ * @returns {Promise<Boolean>} Whether this instance holds the lease
+ */
+export async function tryAcquireLease(name, ttl = LEASE_TTL) {
+  const now = new Date();
+
+  try {
+    const lease = await Lease.findOneAndUpdate(
+      {
+        name,
+        $or: [{ holder: INSTANCE_ID }, { expires_at: { $lte: now } }],
+      },
+      [
+        {
+          $set: {
+            // Keep the original acquisition time while renewing
+            acquired_at: {
+              $cond: [{ $eq: ["$holder", INSTANCE_ID] }, "$acquired_at", now],
+            },
+            holder: INSTANCE_ID,
+            expires_at: new Date(now.getTime() + ttl),
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    ).lean();
+
+    return lease?.holder === INSTANCE_ID;
+  } catch (error) {
+    // Another instance holds a live lease, so the upsert hit the unique name
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+/**
+ * Give a lease up so another instance can take over straight away
+ * @param {String} name - Lease name
+ */
+export async function releaseLease(name) {
+  await Lease.deleteOne({ name, holder: INSTANCE_ID });
+}
+
+// name -> { leader, timer, running }
+const elections = new Map();
+
+/**
+ * Whether this instance currently leads the named election
+ * @param {String} name - Lease name
+ * @returns {Boolean}
+ */
+export function isLeader(name) {
+  return Boolean(elections.get(name)?.leader);
+}
+
+/**
+ * Keep competing for a lease. Exactly one instance is leader at a time;
+ * it is demoted as soon as a renewal fails.
+ * @param {String} name - Lease name
+ * @param {Object} callbacks - onElected, onDemoted (may be async)
+ */
+export function startLeaderElection(name, { onElected, onDemoted } = {}) {
+  if (elections.has(name)) return;
+
+  const election = { leader: false, timer: null, running: false };
+  elections.set(name, election);
+
+  const tick = async () => {
+    // A slow database must not stack renewals
+    if (election.running) return;
+    election.running = true;
+
+    let holds = false;
+    try {
+      holds = await tryAcquireLease(name);
+    } catch (error) {
+      logger.error(`Lease ${name} renewal failed: ${error.message}`);
+    }
+
+    if (holds && !election.leader) {
+      election.leader = true;
+      logger.info(`👑 ${INSTANCE_ID} is now leader for ${name}`);
+      try {
+        await onElected?.();
+      } catch (error) {
+        logger.error(`Error starting ${name} leader work: ${error.message}`);
+      }
+    } else if (!holds && election.leader) {
+      election.leader = false;
+      logger.warn(`${INSTANCE_ID} lost leadership for ${name}`);
+      try {
+        await onDemoted?.();
+      } catch (error) {
+        logger.error(`Error stopping ${name} leader work: ${error.message}`);
+      }
+    }
+
+    election.running = false;
+  };
+
+  tick();
+  election.timer = setInterval(tick, RENEW_INTERVAL);
+}
+
+/**
+ * Stop competing and release the lease if held
+ * @param {String} name - Lease name
+ */
+export async function stopLeaderElection(name) {
+  const election = elections.get(name);
+  if (!election) return;
+
+  clearInterval(election.timer);
+  elections.delete(name);
+
+  if (election.leader) {
+    await releaseLease(name);
+  }
+}
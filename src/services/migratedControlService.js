@@ -9,95 +9,6 @@ import logger from "../utils/logger.js";
 
 const db = () => mongoose.connection.db;
 
-/**
- * Get thingid by deviceid from MongoDB
- * Handles both base and tank devices
- */
-export async function getThingIdByDeviceId(deviceid) {
-  if (!deviceid) {
-    logger.warn('getThingIdByDeviceId called without deviceid');
-    return null;
-  }
-
-  const database = db();
-
-  // 1) Try sensor_metadata collection
-  try {
-    const sensorColl = database.collection("sensor_metadata");
-    const row = await sensorColl.findOne({ deviceid });
-    if (row && (row.thingid || row.thingId || row.thing_id)) {
-      logger.info(`✅ Found thingid in sensor_metadata: ${row.thingid || row.thingId || row.thing_id}`);
-      return row.thingid || row.thingId || row.thing_id;
-    }
-  } catch (err) {
-    logger.error(`Error querying sensor_metadata: ${err.message}`);
-  }
-
-  // 2) Search users -> spaces -> devices
-  try {
-    const usersColl = database.collection("users");
-    const userDoc = await usersColl.findOne(
-      { "spaces.devices.device_id": deviceid },
-      { projection: { spaces: 1 } }
-    );
-
-    if (userDoc && userDoc.spaces) {
-      for (const space of userDoc.spaces) {
-        if (!space.devices) continue;
-        
-        for (const device of space.devices) {
-          if (device.device_id === deviceid) {
-            // If it's a base device, return its thing_name
-            if (device.device_type === "base") {
-              const thingName = device.thing_name || device.thingid || device.thingId || device.thing_id;
-              if (thingName) {
-                logger.info(`✅ Found thingid for base device: ${thingName}`);
-                return thingName;
-              }
-            }
-            
-            // If it's a tank device, find its parent base device
-            if (device.device_type === "tank") {
-              const parentDeviceId = device.parent_device_id;
-              if (!parentDeviceId) {
-                logger.warn(`Tank device ${deviceid} has no parent_device_id`);
-                return null;
-              }
-              
-              // Find the parent base device in the same space
-              const baseDevice = space.devices.find(
-                (d) => d.device_id === parentDeviceId && d.device_type === "base"
-              );
-              
-              if (baseDevice) {
-                const thingName = baseDevice.thing_name || baseDevice.thingid || baseDevice.thingId || baseDevice.thing_id;
-                if (thingName) {
-                  logger.info(`✅ Found thingid from parent base device: ${thingName}`);
-                  return thingName;
-                }
-              } else {
-                logger.warn(`Parent base device ${parentDeviceId} not found for tank ${deviceid}`);
-              }
-            }
-            
-            // Fallback for other device types
-            const thingName = device.thing_name || device.thingid || device.thingId || device.thing_id;
-            if (thingName) {
-              logger.info(`✅ Found thingid: ${thingName}`);
-              return thingName;
-            }
-          }
-        }
-      }
-    }
-  } catch (err) {
-    logger.error(`Error querying users collection: ${err.message}`);
-  }
-
-  logger.warn(`❌ No thingid found for deviceid: ${deviceid}`);
-  return null;
-}
-
 /**
  * 🔥 NEW: Debug function to check slave_requests collection
  */
@@ -361,7 +272,6 @@ export async function getRecentDeviceResponses(thingid, seconds = 10) {
 }
 
 export default {
-  getThingIdByDeviceId,
   waitForSlaveResponseFromMongoDB,
   checkBaseRespondedInMongo,
   checkTankRespondedInMongo,
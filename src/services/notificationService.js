@@ -1,47 +1,156 @@
 // src/services/notificationService.js
-import { User } from "../config/dbconfig.js";
+import mongoose from "mongoose";
 import logger from "../utils/logger.js";
+import { publishToUser } from "./realtimeService.js";
+
+// How long a notification is kept before MongoDB's TTL monitor removes it
+const NOTIFICATION_TTL_DAYS = parseInt(process.env.NOTIFICATION_TTL_DAYS) || 30;
+
+// Notification Schema
+const notificationSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    type: {
+      type: String,
+      required: [true, "Notification type is required"],
+    },
+    title: {
+      type: String,
+      required: [true, "Notification title is required"],
+    },
+    message: {
+      type: String,
+      required: [true, "Notification message is required"],
+    },
+    data: mongoose.Schema.Types.Mixed,
+    read: {
+      type: Boolean,
+      default: false,
+    },
+    read_at: Date,
+    expires_at: {
+      type: Date,
+      default: () =>
+        new Date(Date.now() + NOTIFICATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+  },
+  { timestamps: true }
+);
+
+// Listing is always "latest first for one user", optionally unread only
+notificationSchema.index({ user_id: 1, read: 1, createdAt: -1 });
+notificationSchema.index({ user_id: 1, type: 1, createdAt: -1 });
+// TTL index - documents are removed once expires_at has passed
+notificationSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export const Notification = mongoose.model(
+  "Notification",
+  notificationSchema,
+  "notifications"
+);
 
 // Create a new notification
 export async function createNotification(notificationData) {
   try {
-    // Store notification in database
-    // This is simplified - you might want to:
-    // 1. Store in a separate Notification collection
-    // 2. Implement WebSockets for real-time notifications
-    // 3. Implement push notifications for mobile apps
+    const notification = await Notification.create({
+      user_id: notificationData.user_id,
+      type: notificationData.type,
+      title: notificationData.title,
+      message: notificationData.message,
+      data: notificationData.data,
+    });
 
-    logger.info("Notification created:", notificationData);
+    logger.info(`Notification created: ${notification.type}`, {
+      notification_id: notification._id.toString(),
+      user_id: notification.user_id?.toString(),
+    });
 
-    // Return notification
-    return {
-      id: new Date().getTime(),
-      timestamp: new Date(),
-      ...notificationData,
-      read: false,
-    };
+    const created = notification.toObject();
+
+    // Push to the user's open streams; space-less notifications go to all of them
+    publishToUser(
+      created.user_id,
+      created.data?.space_id || null,
+      "notification",
+      { notification: created }
+    );
+
+    return created;
   } catch (error) {
     logger.error("Error creating notification:", error);
     throw error;
   }
 }
 
-// Get notifications for a user
-export async function getUserNotifications(mobileNumber) {
+/**
+ * Get notifications for a user
+ * @param {String} userId - User's MongoDB ID
+ * @param {Object} options - limit, offset, unread (Boolean) and type (String or Array)
+ * @returns {Promise<Object>} notifications, pagination and unread count
+ */
+export async function getUserNotifications(userId, options = {}) {
   try {
-    // In a real implementation, fetch from Notification collection
-    // Simplified example returns empty array
-    return [];
+    const { limit = 20, offset = 0, unread = false, type } = options;
+
+    const query = { user_id: userId };
+    if (unread) {
+      query.read = false;
+    }
+    if (type) {
+      query.type = Array.isArray(type) ? { $in: type } : type;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user_id: userId, read: false }),
+    ]);
+
+    return {
+      notifications,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + notifications.length < total,
+      },
+      unread_count: unreadCount,
+    };
   } catch (error) {
     logger.error("Error getting user notifications:", error);
     throw error;
   }
 }
 
-// Mark notification as read
-export async function markNotificationAsRead(notificationId) {
+/**
+ * Mark notification as read
+ * @param {String} notificationId - Notification ID
+ * @param {String} userId - Owner of the notification
+ * @returns {Promise<Boolean>} false if not found or already read
+ */
+export async function markNotificationAsRead(notificationId, userId) {
   try {
-    // Update notification in database
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return false;
+    }
+
+    const result = await Notification.updateOne(
+      { _id: notificationId, user_id: userId, read: false },
+      { $set: { read: true, read_at: new Date() } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
     logger.info(`Marked notification ${notificationId} as read`);
     return true;
   } catch (error) {
@@ -49,3 +158,25 @@ export async function markNotificationAsRead(notificationId) {
     throw error;
   }
 }
+
+/**
+ * Mark all unread notifications of a user as read
+ * @param {String} userId - User's MongoDB ID
+ * @returns {Promise<Number>} Number of notifications updated
+ */
+export async function markAllNotificationsAsRead(userId) {
+  try {
+    const result = await Notification.updateMany(
+      { user_id: userId, read: false },
+      { $set: { read: true, read_at: new Date() } }
+    );
+
+    logger.info(
+      `Marked ${result.modifiedCount} notifications as read for user ${userId}`
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    logger.error("Error marking all notifications as read:", error);
+    throw error;
+  }
+}
@@ -0,0 +1,258 @@
+// src/services/otpDeliveryService.js
+// Delivers OTPs over whichever channel works.
+//
+// Each channel is a provider with the same shape:
+//   name                  - channel name used in OTP_CHANNELS
+//   isConfigured()        - whether its credentials are set
+//   canDeliver(recipient) - whether the recipient can be reached this way
+//   send(recipient, otp)  - sends the code, throws on failure
+//
+// sendOTP tries the channels for the recipient's country in order and stops at the
+// first one that succeeds, so sign-in keeps working when WhatsApp is down.
+import axios from "axios";
+import fs from "fs/promises";
+import path from "path";
+import logger from "../utils/logger.js";
+
+const REQUEST_TIMEOUT = 15000;
+
+// Order of channels to try, e.g. "whatsapp,sms,email"
+const DEFAULT_CHANNELS = parseChannels(process.env.OTP_CHANNELS || "whatsapp,sms,email");
+
+// Per-country order, keyed by country code, e.g. "+91:whatsapp,sms;+1:sms,email"
+const COUNTRY_CHANNELS = Object.fromEntries(
+  (process.env.OTP_CHANNELS_BY_COUNTRY || "")
+    .split(";")
+    .map((route) => route.split(":"))
+    .filter(([code, channels]) => code?.trim() && channels)
+    .map(([code, channels]) => [code.trim(), parseChannels(channels)])
+);
+
+// Where the outbox provider writes codes (one JSON object per line)
+const OTP_OUTBOX_FILE = process.env.OTP_OUTBOX_FILE || path.join("logs", "otp-outbox.log");
+
+function parseChannels(value) {
+  return value
+    .split(",")
+    .map((channel) => channel.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function otpMessage(otp) {
+  return `Your verification code is ${otp}. It expires in 5 minutes. Do not share it with anyone.`;
+}
+
+/**
+ * A WhatsApp channel (Meta Graph API) sending from one business number with one
+ * approved OTP template
+ * @param {Function} getConfig - Returns phoneNumberId, token, template and optionally
+ *   buttonText (the URL button parameter, default the code). Read on every send.
+ * @returns {Object} Provider
+ */
+export function createWhatsAppProvider(getConfig) {
+  return {
+    name: "whatsapp",
+
+    isConfigured() {
+      const { phoneNumberId, token } = getConfig();
+      return !!(phoneNumberId && token);
+    },
+
+    canDeliver(recipient) {
+      return !!recipient.phoneNumber;
+    },
+
+    async send(recipient, otp) {
+      const { phoneNumberId, token, template, buttonText } = getConfig();
+
+      await axios({
+        method: "POST",
+        url: `https://graph.facebook.com/v19.0/${phoneNumberId}/messages`,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        data: {
+          messaging_product: "whatsapp",
+          recipient_type: "individual",
+          to: recipient.phoneNumber,
+          type: "template",
+          template: {
+            name: template,
+            language: { code: "en_US" },
+            components: [
+              { type: "body", parameters: [{ type: "text", text: otp }] },
+              {
+                type: "button",
+                sub_type: "url",
+                index: "0",
+                parameters: [{ type: "text", text: buttonText || otp }],
+              },
+            ],
+          },
+        },
+        timeout: REQUEST_TIMEOUT,
+      });
+    },
+  };
+}
+
+const whatsappProvider = createWhatsAppProvider(() => ({
+  phoneNumberId: process.env.PHONE_NUMBER_ID,
+  token: process.env.WHATSAPP_TOKEN,
+  template: process.env.WHATSAPP_OTP_TEMPLATE || "sending_otp",
+}));
+
+// Twilio Messages API
+const smsProvider = {
+  name: "sms",
+
+  isConfigured() {
+    return !!(
+      process.env.TWILIO_ACCOUNT_SID &&
+      process.env.TWILIO_AUTH_TOKEN &&
+      process.env.TWILIO_FROM_NUMBER
+    );
+  },
+
+  canDeliver(recipient) {
+    return !!recipient.phoneNumber;
+  },
+
+  async send(recipient, otp) {
+    await axios({
+      method: "POST",
+      url: `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Messages.json`,
+      auth: {
+        username: process.env.TWILIO_ACCOUNT_SID,
+        password: process.env.TWILIO_AUTH_TOKEN,
+      },
+      data: new URLSearchParams({
+        To: recipient.phoneNumber,
+        From: process.env.TWILIO_FROM_NUMBER,
+        Body: otpMessage(otp),
+      }),
+      timeout: REQUEST_TIMEOUT,
+    });
+  },
+};
+
+// SendGrid Mail Send API
+const emailProvider = {
+  name: "email",
+
+  isConfigured() {
+    return !!(process.env.SENDGRID_API_KEY && process.env.OTP_EMAIL_FROM);
+  },
+
+  canDeliver(recipient) {
+    return !!recipient.email;
+  },
+
+  async send(recipient, otp) {
+    await axios({
+      method: "POST",
+      url: "https://api.sendgrid.com/v3/mail/send",
+      headers: {
+        Authorization: `Bearer ${process.env.SENDGRID_API_KEY}`,
+        "Content-Type": "application/json",
+      },
+      data: {
+        personalizations: [{ to: [{ email: recipient.email }] }],
+        from: { email: process.env.OTP_EMAIL_FROM },
+        subject: "Your verification code",
+        content: [{ type: "text/plain", value: otpMessage(otp) }],
+      },
+      timeout: REQUEST_TIMEOUT,
+    });
+  },
+};
+
+// Writes codes to the console and a local file instead of sending them, so
+// development setups and automated tests can sign in without network access.
+// Never used in production.
+const outboxProvider = {
+  name: "outbox",
+
+  isConfigured() {
+    return process.env.NODE_ENV !== "production";
+  },
+
+  canDeliver() {
+    return true;
+  },
+
+  async send(recipient, otp) {
+    const entry = {
+      phone_number: recipient.phoneNumber,
+      email: recipient.email,
+      otp,
+      sent_at: new Date().toISOString(),
+    };
+
+    await fs.mkdir(path.dirname(OTP_OUTBOX_FILE), { recursive: true });
+    await fs.appendFile(OTP_OUTBOX_FILE, `${JSON.stringify(entry)}\n`);
+    logger.info(`📨 OTP for ${recipient.phoneNumber || recipient.email}: ${otp}`);
+  },
+};
+
+const PROVIDERS = Object.fromEntries(
+  [whatsappProvider, smsProvider, emailProvider, outboxProvider].map((provider) => [
+    provider.name,
+    provider,
+  ])
+);
+
+/**
+ * Channels to try for a phone number, most specific country code first
+ * @param {String} phoneNumber - Number with country code, e.g. +919876543210
+ * @returns {Array<String>} Channel names in order
+ */
+export function getChannelsFor(phoneNumber = "") {
+  const countryCode = Object.keys(COUNTRY_CHANNELS)
+    .filter((code) => phoneNumber.startsWith(code))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return countryCode ? COUNTRY_CHANNELS[countryCode] : DEFAULT_CHANNELS;
+}
+
+/**
+ * Send an OTP over the first channel that delivers it
+ * @param {Object} recipient - phoneNumber (with country code) and optionally email
+ * @param {String} otp - The code
+ * @param {Object} options - providers: channel name -> provider replacing the default
+ *   one, e.g. a WhatsApp provider with another sender
+ * @returns {Promise<String>} The channel that delivered it
+ */
+export async function sendOTP(recipient, otp, { providers = {} } = {}) {
+  const channels = getChannelsFor(recipient.phoneNumber);
+
+  for (const channel of channels) {
+    const provider = providers[channel] || PROVIDERS[channel];
+    if (!provider) {
+      logger.warn(`⚠️ Unknown OTP channel "${channel}", skipping`);
+      continue;
+    }
+    if (!provider.isConfigured() || !provider.canDeliver(recipient)) {
+      continue;
+    }
+
+    try {
+      await provider.send(recipient, otp);
+      logger.info(`✅ OTP sent via ${channel}`, { phoneNumber: recipient.phoneNumber });
+      return channel;
+    } catch (error) {
+      logger.warn(`⚠️ OTP delivery via ${channel} failed, trying next channel`, {
+        phoneNumber: recipient.phoneNumber,
+        error: error.message,
+        status: error.response?.status,
+      });
+    }
+  }
+
+  logger.error("❌ OTP could not be delivered on any channel", {
+    phoneNumber: recipient.phoneNumber,
+    channels,
+  });
+  throw new Error("Failed to send OTP");
+}
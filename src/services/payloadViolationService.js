@@ -0,0 +1,179 @@
+// src/services/payloadViolationService.js
+import mongoose from "mongoose";
+import { findDeviceOwner } from "./deviceRegistryService.js";
+import logger from "../utils/logger.js";
+
+const UNKNOWN_FIRMWARE = "unknown";
+
+// Payload Violation Schema - running count of invalid payloads per device and firmware build
+const payloadViolationSchema = new mongoose.Schema(
+  {
+    device_id: {
+      type: String,
+      required: [true, "Device ID is required"],
+    },
+    firmware_version: {
+      type: String,
+      default: UNKNOWN_FIRMWARE,
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    // message type -> count
+    by_topic: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // top-level payload field -> count
+    by_field: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    first_violation_at: Date,
+    last_violation_at: Date,
+    last_topic: String,
+    last_schema_version: mongoose.Schema.Types.Mixed,
+    last_errors: [
+      {
+        _id: false,
+        field: String,
+        message: String,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+payloadViolationSchema.index({ device_id: 1, firmware_version: 1 }, { unique: true });
+payloadViolationSchema.index({ firmware_version: 1 });
+payloadViolationSchema.index({ last_violation_at: -1 });
+
+export const PayloadViolation = mongoose.model(
+  "PayloadViolation",
+  payloadViolationSchema,
+  "device_payload_violations"
+);
+
+/**
+ * Work out which firmware build sent a payload: from the payload itself,
+ * otherwise the version last reported by the registered device
+ */
+async function resolveFirmwareVersion(deviceId, message) {
+  const reported = message?.firmware_version || message?.firmware;
+  if (typeof reported === "string" && reported) return reported;
+
+  const user = await findDeviceOwner(deviceId);
+
+  for (const space of user?.spaces || []) {
+    const device = space.devices.find(
+      (d) => d.device_id === deviceId && d.firmware_version
+    );
+    if (device) return device.firmware_version;
+  }
+
+  return UNKNOWN_FIRMWARE;
+}
+
+/**
+ * Count a payload that failed schema validation against its device
+ * @param {Object} violation - device_id, message_type, topic, version, errors, message
+ */
+export async function recordPayloadViolation({
+  device_id,
+  message_type,
+  topic,
+  version,
+  errors,
+  message,
+}) {
+  try {
+    const firmwareVersion = await resolveFirmwareVersion(device_id, message);
+    const now = new Date();
+
+    const increments = { total: 1, [`by_topic.${message_type}`]: 1 };
+    new Set(
+      errors.map((error) => (error.field || "payload").split(/[.[]/)[0])
+    ).forEach((field) => {
+      increments[`by_field.${field}`] = 1;
+    });
+
+    await PayloadViolation.updateOne(
+      { device_id, firmware_version: firmwareVersion },
+      {
+        $inc: increments,
+        $set: {
+          last_violation_at: now,
+          last_topic: topic,
+          last_schema_version: version,
+          last_errors: errors,
+        },
+        $setOnInsert: { first_violation_at: now },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error(`Error recording payload violation: ${error.message}`);
+  }
+}
+
+/**
+ * List violation counters, most recent first
+ * @param {Object} options - device_id, firmware_version, limit, offset
+ * @returns {Promise<Object>} { violations, pagination }
+ */
+export async function getPayloadViolations(options = {}) {
+  const { device_id, firmware_version, limit = 50, offset = 0 } = options;
+
+  const query = {};
+  if (device_id) query.device_id = device_id;
+  if (firmware_version) query.firmware_version = firmware_version;
+
+  const [violations, total] = await Promise.all([
+    PayloadViolation.find(query)
+      .sort({ last_violation_at: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean(),
+    PayloadViolation.countDocuments(query),
+  ]);
+
+  return {
+    violations,
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + violations.length < total,
+    },
+  };
+}
+
+/**
+ * Violation totals per firmware build
+ * @returns {Promise<Array>} [{ firmware_version, devices, total, last_violation_at }]
+ */
+export async function getViolationsByFirmware() {
+  return PayloadViolation.aggregate([
+    {
+      $group: {
+        _id: "$firmware_version",
+        devices: { $sum: 1 },
+        total: { $sum: "$total" },
+        last_violation_at: { $max: "$last_violation_at" },
+      },
+    },
+    { $sort: { total: -1 } },
+    {
+      $project: {
+        _id: 0,
+        firmware_version: "$_id",
+        devices: 1,
+        total: 1,
+        last_violation_at: 1,
+      },
+    },
+  ]);
+}
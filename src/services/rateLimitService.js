@@ -0,0 +1,103 @@
+// src/services/rateLimitService.js
+// Hit counters for express-rate-limit, shared by every instance.
+//
+// The default memory store counts per process, so with several instances behind
+// the load balancer a client gets the limit once per instance. These counters
+// live in MongoDB instead: one document per limiter and client, expired by a TTL
+// index once its window is over.
+import mongoose from "mongoose";
+
+// Rate Limit Counter Schema - hits of one client in the current window
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    // <limiter prefix>:<client key>
+    _id: String,
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    reset_at: {
+      type: Date,
+      required: [true, "Reset time is required"],
+    },
+  },
+  { versionKey: false }
+);
+
+rateLimitCounterSchema.index({ reset_at: 1 }, { expireAfterSeconds: 0 });
+
+export const RateLimitCounter = mongoose.model(
+  "RateLimitCounter",
+  rateLimitCounterSchema,
+  "rate_limits"
+);
+
+/**
+ * Create an express-rate-limit store backed by the rate_limits collection
+ * @param {String} prefix - Unique per limiter, so limiters keyed on the same value
+ *   (e.g. the client IP) keep separate counts
+ * @returns {Object} Store
+ */
+export function createRateLimitStore(prefix) {
+  let windowMs = 60 * 1000;
+  const counterId = (key) => `${prefix}:${key}`;
+
+  async function increment(key) {
+    const now = new Date();
+
+    const current = await RateLimitCounter.findOneAndUpdate(
+      { _id: counterId(key), reset_at: { $gt: now } },
+      { $inc: { hits: 1 } },
+      { new: true }
+    ).lean();
+    if (current) {
+      return { totalHits: current.hits, resetTime: current.reset_at };
+    }
+
+    // No window or an expired one: start a new window
+    try {
+      const started = await RateLimitCounter.findOneAndUpdate(
+        { _id: counterId(key), reset_at: { $lte: now } },
+        { $set: { hits: 1, reset_at: new Date(now.getTime() + windowMs) } },
+        { new: true, upsert: true }
+      ).lean();
+      return { totalHits: started.hits, resetTime: started.reset_at };
+    } catch (error) {
+      // Another request started the window first - count this hit in it
+      if (error.code === 11000) return increment(key);
+      throw error;
+    }
+  }
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async get(key) {
+      const counter = await RateLimitCounter.findOne({
+        _id: counterId(key),
+        reset_at: { $gt: new Date() },
+      }).lean();
+      return counter
+        ? { totalHits: counter.hits, resetTime: counter.reset_at }
+        : undefined;
+    },
+
+    increment,
+
+    async decrement(key) {
+      await RateLimitCounter.updateOne(
+        { _id: counterId(key), hits: { $gt: 0 } },
+        { $inc: { hits: -1 } }
+      );
+    },
+
+    async resetKey(key) {
+      await RateLimitCounter.deleteOne({ _id: counterId(key) });
+    },
+  };
+}
@@ -0,0 +1,103 @@
+// src/services/realtimeService.js
+import logger from "../utils/logger.js";
+
+// Connected Server-Sent Events clients, keyed by user ID
+// Each entry: { res, spaceId, shared, connectedAt }
+const clients = new Map();
+
+const HEARTBEAT_INTERVAL = 25000; // keep proxies from closing idle streams
+
+// Send an SSE comment to every open stream so idle connections stay alive
+const heartbeat = setInterval(() => {
+  clients.forEach((userClients) => {
+    userClients.forEach((client) => {
+      client.res.write(`: ping ${Date.now()}\n\n`);
+    });
+  });
+}, HEARTBEAT_INTERVAL);
+heartbeat.unref();
+
+/**
+ * Register an SSE response for a user's space
+ * @param {String} userId - Owner of the stream
+ * @param {String} spaceId - Space the stream is subscribed to
+ * @param {Object} res - Express response object (already set up for SSE)
+ * @param {Object} options - shared: the stream belongs to a member of the space, not its owner
+ * @returns {Function} Cleanup function that unregisters the client
+ */
+export function addClient(userId, spaceId, res, { shared = false } = {}) {
+  const client = { res, spaceId, shared, connectedAt: new Date() };
+
+  if (!clients.has(userId)) {
+    clients.set(userId, new Set());
+  }
+  clients.get(userId).add(client);
+
+  logger.info(`📡 Realtime client connected for user ${userId}, space ${spaceId}`);
+
+  return () => {
+    const userClients = clients.get(userId);
+    if (!userClients) return;
+
+    userClients.delete(client);
+    if (userClients.size === 0) {
+      clients.delete(userId);
+    }
+
+    logger.info(`📴 Realtime client disconnected for user ${userId}, space ${spaceId}`);
+  };
+}
+
+/**
+ * Push an event to a user's connected clients
+ * @param {String} userId - User to push to
+ * @param {String|null} spaceId - Only streams of this space receive it; null sends to all
+ *   of the user's own streams (not to members the space is shared with)
+ * @param {String} event - SSE event name (e.g. "tank_level", "switch_status")
+ * @param {Object} payload - Event data
+ * @returns {Number} Number of clients the event was written to
+ */
+export function publishToUser(userId, spaceId, event, payload) {
+  if (!userId) return 0;
+
+  const userClients = clients.get(userId.toString());
+  if (!userClients || userClients.size === 0) return 0;
+
+  const data = JSON.stringify({
+    ...payload,
+    event,
+    sent_at: new Date().toISOString(),
+  });
+
+  let delivered = 0;
+  userClients.forEach((client) => {
+    if (spaceId && client.spaceId !== spaceId.toString()) return;
+    if (!spaceId && client.shared) return;
+
+    try {
+      client.res.write(`event: ${event}\ndata: ${data}\n\n`);
+      delivered++;
+    } catch (error) {
+      logger.error(`Error writing realtime event ${event}: ${error.message}`);
+    }
+  });
+
+  return delivered;
+}
+
+/**
+ * Number of open streams, optionally for one user
+ * @param {String} userId - Optional user ID
+ * @returns {Number} Connected client count
+ */
+export function getClientCount(userId) {
+  if (userId) {
+    return clients.get(userId.toString())?.size || 0;
+  }
+
+  let total = 0;
+  clients.forEach((userClients) => {
+    total += userClients.size;
+  });
+  return total;
+}
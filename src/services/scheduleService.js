@@ -0,0 +1,720 @@
+// src/services/scheduleService.js
+import mongoose from "mongoose";
+import logger from "../utils/logger.js";
+import { sendControlCommand } from "./controlService.js";
+import { recordSpaceChange } from "./auditService.js";
+import { createNotification } from "./notificationService.js";
+import { enqueueJob, cancelJobs, registerJobHandler } from "./jobQueueService.js";
+import { SPACE_PERMISSIONS, resolveSpaceAccess } from "./spaceAccessService.js";
+
+const SCHEDULER_INTERVAL = 30 * 1000; // twice a minute so no minute is missed
+// A scheduled switch command is dropped if it could not be sent within this window
+const SCHEDULE_ACTION_GRACE = 10 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Schedule Schema - one rule driving one base switch
+const scheduleSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    space_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Space ID is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "Schedule name is required"],
+    },
+    device_id: {
+      type: String,
+      required: [true, "Device ID is required"],
+    },
+    switch_no: {
+      type: String,
+      enum: ["BM1", "BM2"],
+      required: [true, "Switch number is required"],
+    },
+    // "window": on at start_time, off at end_time on the selected weekdays
+    // "cron": set_status whenever the 5-field cron expression matches
+    type: {
+      type: String,
+      enum: ["window", "cron"],
+      default: "window",
+    },
+    days: {
+      type: [Number], // 0 = Sunday ... 6 = Saturday
+      default: ALL_DAYS,
+    },
+    start_time: String, // "HH:mm" local time
+    end_time: String, // "HH:mm" local time, may be before start_time (overnight)
+    cron: String,
+    set_status: {
+      type: String,
+      enum: ["on", "off"],
+    },
+    timezone: {
+      type: String,
+      required: [true, "Timezone is required"],
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    // Local dates ("YYYY-MM-DD") on which the schedule does not run
+    skip_dates: {
+      type: [String],
+      default: [],
+    },
+    last_run_key: String,
+    last_run_at: Date,
+    last_result: mongoose.Schema.Types.Mixed,
+  },
+  { timestamps: true }
+);
+
+scheduleSchema.index({ user_id: 1, space_id: 1 });
+scheduleSchema.index({ active: 1 });
+
+export const Schedule = mongoose.model("Schedule", scheduleSchema, "schedules");
+
+/**
+ * Check whether a string is an IANA timezone Node knows about
+ * @param {String} timeZone - e.g. "Asia/Kolkata"
+ * @returns {Boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock time of an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {String} timeZone - IANA timezone
+ * @returns {Object} { date: "YYYY-MM-DD", time: "HH:mm", minute, hour, day, month, weekday }
+ */
+export function getLocalTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short",
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((part) => part.type === type).value;
+
+  return {
+    date: `${get("year")}-${get("month")}-${get("day")}`,
+    time: `${get("hour")}:${get("minute")}`,
+    minute: parseInt(get("minute")),
+    hour: parseInt(get("hour")),
+    day: parseInt(get("day")),
+    month: parseInt(get("month")),
+    weekday: WEEKDAYS[get("weekday")],
+  };
+}
+
+/**
+ * Parse one cron field ("*", "5", "1-5", "*\/15", "1,3,5") into the set of allowed values
+ */
+function parseCronField(field, min, max) {
+  const values = new Set();
+
+  for (const part of field.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : parseInt(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid cron field '${field}'`);
+    }
+
+    let start = min;
+    let end = max;
+    if (range !== "*") {
+      const [from, to] = range.split("-").map((value) => parseInt(value));
+      start = from;
+      end = to === undefined ? (stepText === undefined ? from : max) : to;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron field '${field}'`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+ * @param {String} expression - e.g. "0 6 * * 1-5"
+ * @returns {Object} Allowed values per field
+ */
+export function parseCron(expression) {
+  const fields = (expression || "").trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression '${expression}': expected 5 fields`);
+  }
+
+  const daysOfWeek = parseCronField(fields[4], 0, 7);
+  if (daysOfWeek.has(7)) daysOfWeek.add(0); // 7 is also Sunday
+
+  return {
+    minutes: parseCronField(fields[0], 0, 59),
+    hours: parseCronField(fields[1], 0, 23),
+    daysOfMonth: parseCronField(fields[2], 1, 31),
+    months: parseCronField(fields[3], 1, 12),
+    daysOfWeek,
+    anyDayOfMonth: fields[2] === "*",
+    anyDayOfWeek: fields[4] === "*",
+  };
+}
+
+/**
+ * Check whether a cron expression matches a local time
+ * @param {String} expression - 5-field cron expression
+ * @param {Object} local - Result of getLocalTime
+ * @returns {Boolean}
+ */
+export function matchesCron(expression, local) {
+  const cron = parseCron(expression);
+
+  if (!cron.minutes.has(local.minute) || !cron.hours.has(local.hour) || !cron.months.has(local.month)) {
+    return false;
+  }
+
+  // Standard cron: when both day fields are restricted, either may match
+  const domMatch = cron.daysOfMonth.has(local.day);
+  const dowMatch = cron.daysOfWeek.has(local.weekday);
+  if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Switch commands a schedule wants at a given local time
+ * @param {Object} schedule - Schedule document
+ * @param {Date} now - Current instant
+ * @returns {Array} [{ status, occurrence_date }]
+ */
+export function getDueActions(schedule, now) {
+  const local = getLocalTime(now, schedule.timezone);
+
+  if (schedule.type === "cron") {
+    return matchesCron(schedule.cron, local)
+      ? [{ status: schedule.set_status, occurrence_date: local.date }]
+      : [];
+  }
+
+  const days = schedule.days?.length ? schedule.days : ALL_DAYS;
+  const due = [];
+
+  if (local.time === schedule.start_time && days.includes(local.weekday)) {
+    due.push({ status: "on", occurrence_date: local.date });
+  }
+
+  if (schedule.end_time && local.time === schedule.end_time) {
+    // Overnight windows end on the day after they started
+    const overnight = schedule.end_time < schedule.start_time;
+    const started = overnight
+      ? getLocalTime(new Date(now.getTime() - 24 * 60 * 60 * 1000), schedule.timezone)
+      : local;
+
+    if (days.includes(started.weekday)) {
+      due.push({ status: "off", occurrence_date: started.date });
+    }
+  }
+
+  return due;
+}
+
+/**
+ * Validate schedule fields, merged with the stored schedule on update
+ */
+function validateSchedule(space, scheduleData) {
+  if (!scheduleData.name) {
+    throw new Error("Schedule name is required");
+  }
+
+  if (!scheduleData.device_id) {
+    throw new Error("Device ID is required");
+  }
+
+  const device = space.devices.find(
+    (d) => d.device_id === scheduleData.device_id
+  );
+  if (!device) {
+    throw new Error(`Device with ID '${scheduleData.device_id}' not found in this space`);
+  }
+  if (device.device_type !== "base") {
+    throw new Error(`Device '${scheduleData.device_id}' must be of type 'base' to be scheduled`);
+  }
+
+  if (!["BM1", "BM2"].includes(scheduleData.switch_no)) {
+    throw new Error("switch_no must be 'BM1' or 'BM2'");
+  }
+
+  if (!isValidTimeZone(scheduleData.timezone)) {
+    throw new Error(`Invalid timezone '${scheduleData.timezone}'`);
+  }
+
+  if (scheduleData.type === "cron") {
+    parseCron(scheduleData.cron);
+    if (!["on", "off"].includes(scheduleData.set_status)) {
+      throw new Error("set_status must be 'on' or 'off' for cron schedules");
+    }
+    return;
+  }
+
+  if (scheduleData.type !== "window") {
+    throw new Error("type must be 'window' or 'cron'");
+  }
+
+  if (!TIME_PATTERN.test(scheduleData.start_time || "")) {
+    throw new Error("start_time must be in HH:mm format");
+  }
+  if (scheduleData.end_time !== undefined && scheduleData.end_time !== null) {
+    if (!TIME_PATTERN.test(scheduleData.end_time)) {
+      throw new Error("end_time must be in HH:mm format");
+    }
+    if (scheduleData.end_time === scheduleData.start_time) {
+      throw new Error("end_time must be different from start_time");
+    }
+  }
+
+  if (
+    !Array.isArray(scheduleData.days) ||
+    scheduleData.days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+  ) {
+    throw new Error("days must be an array of weekday numbers between 0 (Sunday) and 6 (Saturday)");
+  }
+}
+
+/**
+ * Resolve the owner and space a schedule belongs to, checking the caller's role
+ */
+async function getUserSpace(mobileNumber, spaceId, permission = SPACE_PERMISSIONS.VIEW) {
+  const { user, space } = await resolveSpaceAccess(mobileNumber, spaceId, permission);
+  return { user, space };
+}
+
+/**
+ * Response shape for a schedule
+ */
+function formatSchedule(schedule, devices = []) {
+  const device = devices.find((d) => d.device_id === schedule.device_id);
+  const today = getLocalTime(new Date(), schedule.timezone).date;
+
+  return {
+    id: schedule._id.toString(),
+    name: schedule.name,
+    device_id: schedule.device_id,
+    device_name: device?.device_name || "Unknown Device",
+    switch_no: schedule.switch_no,
+    type: schedule.type,
+    days: schedule.type === "window" ? schedule.days : undefined,
+    start_time: schedule.start_time,
+    end_time: schedule.end_time,
+    cron: schedule.cron,
+    set_status: schedule.set_status,
+    timezone: schedule.timezone,
+    active: schedule.active,
+    skipped_today: (schedule.skip_dates || []).includes(today),
+    last_run_at: schedule.last_run_at,
+    last_result: schedule.last_result,
+    created_at: schedule.createdAt,
+    updated_at: schedule.updatedAt,
+  };
+}
+
+/**
+ * Create a schedule for a base switch in a space
+ */
+export async function createSchedule(mobileNumber, spaceId, scheduleData) {
+  try {
+    const { user, space } = await getUserSpace(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.MANAGE
+    );
+
+    const type = scheduleData.type || "window";
+    const data = {
+      name: scheduleData.name,
+      device_id: scheduleData.device_id,
+      switch_no: scheduleData.switch_no || "BM1",
+      type,
+      days: scheduleData.days || ALL_DAYS,
+      start_time: type === "window" ? scheduleData.start_time : undefined,
+      end_time: type === "window" ? scheduleData.end_time : undefined,
+      cron: type === "cron" ? scheduleData.cron : undefined,
+      set_status: type === "cron" ? scheduleData.set_status : undefined,
+      timezone: scheduleData.timezone || space.timezone || "Asia/Kolkata",
+      active: scheduleData.active !== undefined ? scheduleData.active : true,
+    };
+
+    validateSchedule(space, data);
+
+    const schedule = await Schedule.create({
+      ...data,
+      user_id: user._id,
+      space_id: space._id,
+    });
+
+    logger.info(`Schedule created: ${schedule.name} for space ${spaceId}`);
+    return formatSchedule(schedule, space.devices);
+  } catch (error) {
+    logger.error(`Error creating schedule: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Get all schedules of a space
+ */
+export async function getSchedules(mobileNumber, spaceId) {
+  try {
+    const { user, space } = await getUserSpace(mobileNumber, spaceId);
+
+    const schedules = await Schedule.find({
+      user_id: user._id,
+      space_id: space._id,
+    }).sort({ createdAt: 1 });
+
+    return schedules.map((schedule) => formatSchedule(schedule, space.devices));
+  } catch (error) {
+    logger.error(`Error getting schedules: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Load one schedule of a space, throwing if it does not exist
+ */
+async function findSchedule(user, space, scheduleId) {
+  if (!mongoose.Types.ObjectId.isValid(scheduleId)) {
+    throw new Error("Schedule not found");
+  }
+
+  const schedule = await Schedule.findOne({
+    _id: scheduleId,
+    user_id: user._id,
+    space_id: space._id,
+  });
+  if (!schedule) {
+    throw new Error("Schedule not found");
+  }
+
+  return schedule;
+}
+
+/**
+ * Get a single schedule by ID
+ */
+export async function getScheduleById(mobileNumber, spaceId, scheduleId) {
+  try {
+    const { user, space } = await getUserSpace(mobileNumber, spaceId);
+    const schedule = await findSchedule(user, space, scheduleId);
+    return formatSchedule(schedule, space.devices);
+  } catch (error) {
+    logger.error(`Error getting schedule by ID: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Update a schedule
+ */
+export async function updateSchedule(mobileNumber, spaceId, scheduleId, scheduleData) {
+  try {
+    const { user, space } = await getUserSpace(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.MANAGE
+    );
+    const schedule = await findSchedule(user, space, scheduleId);
+
+    const fields = [
+      "name",
+      "device_id",
+      "switch_no",
+      "type",
+      "days",
+      "start_time",
+      "end_time",
+      "cron",
+      "set_status",
+      "timezone",
+      "active",
+    ];
+    fields.forEach((field) => {
+      if (scheduleData[field] !== undefined) {
+        schedule[field] = scheduleData[field];
+      }
+    });
+
+    validateSchedule(space, schedule.toObject());
+    await schedule.save();
+
+    // Queued actions were built from the old definition
+    const actionChanged = fields.some(
+      (field) => !["name", "active"].includes(field) && scheduleData[field] !== undefined
+    );
+    if (!schedule.active || actionChanged) {
+      await cancelJobs({ schedule_id: schedule._id });
+    }
+
+    logger.info(`Schedule updated: ${scheduleId}`);
+    return formatSchedule(schedule, space.devices);
+  } catch (error) {
+    logger.error(`Error updating schedule: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Pause or resume a schedule
+ */
+export async function updateScheduleStatus(mobileNumber, spaceId, scheduleId, active) {
+  try {
+    const { user, space } = await getUserSpace(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.MANAGE
+    );
+    const schedule = await findSchedule(user, space, scheduleId);
+
+    schedule.active = active;
+    await schedule.save();
+
+    if (!active) {
+      await cancelJobs({ schedule_id: schedule._id });
+    }
+
+    logger.info(`Schedule ${scheduleId} status updated to ${active}`);
+    return formatSchedule(schedule, space.devices);
+  } catch (error) {
+    logger.error(`Error updating schedule status: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Skip (or un-skip) today's runs of a schedule, in the schedule's timezone
+ */
+export async function skipToday(mobileNumber, spaceId, scheduleId, skip = true) {
+  try {
+    const { user, space } = await getUserSpace(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.CONTROL
+    );
+    const schedule = await findSchedule(user, space, scheduleId);
+
+    const today = getLocalTime(new Date(), schedule.timezone).date;
+
+    // Past dates are no longer needed once a new skip is recorded
+    const upcoming = (schedule.skip_dates || []).filter((date) => date >= today);
+    schedule.skip_dates = skip
+      ? [...new Set([...upcoming, today])]
+      : upcoming.filter((date) => date !== today);
+    await schedule.save();
+
+    logger.info(`Schedule ${scheduleId} ${skip ? "skipped" : "resumed"} for ${today}`);
+    return formatSchedule(schedule, space.devices);
+  } catch (error) {
+    logger.error(`Error skipping schedule: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Delete a schedule
+ */
+export async function deleteSchedule(mobileNumber, spaceId, scheduleId) {
+  try {
+    const { user, space } = await getUserSpace(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.MANAGE
+    );
+    const schedule = await findSchedule(user, space, scheduleId);
+
+    await schedule.deleteOne();
+    await cancelJobs({ schedule_id: schedule._id });
+
+    logger.info(`Schedule deleted: ${scheduleId}`);
+    return { success: true, message: "Schedule deleted successfully" };
+  } catch (error) {
+    logger.error(`Error deleting schedule: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Job handler for schedule actions - sends the switch command and records the outcome
+ * Throws on failure so the job queue retries it
+ */
+async function executeScheduleAction(job) {
+  const { status } = job.payload;
+
+  const schedule = await Schedule.findById(job.schedule_id);
+  if (!schedule || !schedule.active) {
+    logger.info(`Schedule ${job.schedule_id} removed or paused, dropping queued action`);
+    return;
+  }
+
+  let command;
+  try {
+    command = await sendControlCommand(
+      {
+        deviceid: schedule.device_id,
+        switch_no: schedule.switch_no,
+        status,
+        triggered_by: "schedule",
+        schedule_name: schedule.name,
+      },
+      `schedule:${schedule._id}`,
+      schedule.user_id
+    );
+  } catch (error) {
+    await Schedule.updateOne(
+      { _id: schedule._id },
+      { $set: { last_result: { status, success: false, error: error.message, at: new Date() } } }
+    );
+    throw error;
+  }
+
+  await Schedule.updateOne(
+    { _id: schedule._id },
+    { $set: { last_result: { status, success: true, at: new Date() } } }
+  );
+
+  await recordSpaceChange({
+    action: "device.control",
+    source: "schedule",
+    spaceId: schedule.space_id,
+    ownerId: schedule.user_id,
+    entity: { type: "device", id: schedule.device_id },
+    after: { status },
+    details: {
+      switch_no: schedule.switch_no,
+      schedule_id: schedule._id,
+      schedule_name: schedule.name,
+      correlation_id: command.correlation_id,
+    },
+  });
+
+  await createNotification({
+    type: "SCHEDULE_ACTION",
+    title: "Scheduled Action",
+    message: `${schedule.switch_no} of ${schedule.device_id} turned ${status} by schedule "${schedule.name}"`,
+    user_id: schedule.user_id,
+    data: {
+      device_id: schedule.device_id,
+      switch_no: schedule.switch_no,
+      new_status: status,
+      space_id: schedule.space_id,
+      schedule_id: schedule._id,
+      schedule_name: schedule.name,
+      timestamp: new Date().toISOString(),
+    },
+  });
+
+  logger.info(`⏰ Schedule ${schedule.name}: ${schedule.device_id} ${schedule.switch_no} → ${status}`);
+}
+
+registerJobHandler("schedule_action", executeScheduleAction);
+
+/**
+ * Queue one scheduled switch command
+ */
+async function dispatchScheduledAction(schedule, due, runKey) {
+  // Claim the run first so the same minute is never queued twice
+  const claimed = await Schedule.findOneAndUpdate(
+    { _id: schedule._id, last_run_key: { $ne: runKey } },
+    { $set: { last_run_key: runKey, last_run_at: new Date() } },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  await enqueueJob({
+    type: "schedule_action",
+    payload: { status: due.status, occurrence_date: due.occurrence_date },
+    user_id: schedule.user_id,
+    space_id: schedule.space_id,
+    schedule_id: schedule._id,
+    run_at: new Date(),
+    expires_at: new Date(Date.now() + SCHEDULE_ACTION_GRACE),
+  });
+}
+
+/**
+ * Dispatch every schedule action due at the given instant
+ * @param {Date} now - Instant to evaluate (defaults to the current time)
+ */
+export async function runDueSchedules(now = new Date()) {
+  const schedules = await Schedule.find({ active: true });
+
+  for (const schedule of schedules) {
+    try {
+      const local = getLocalTime(now, schedule.timezone);
+
+      for (const due of getDueActions(schedule, now)) {
+        if ((schedule.skip_dates || []).includes(due.occurrence_date)) {
+          logger.info(`Schedule ${schedule.name} skipped for ${due.occurrence_date}`);
+          continue;
+        }
+
+        const runKey = `${local.date} ${local.time} ${due.status}`;
+        await dispatchScheduledAction(schedule, due, runKey);
+      }
+    } catch (error) {
+      logger.error(`Error evaluating schedule ${schedule._id}: ${error.message}`);
+    }
+  }
+}
+
+let schedulerInterval = null;
+
+/**
+ * Start the periodic schedule dispatcher
+ */
+export function startScheduler() {
+  if (schedulerInterval) return;
+
+  schedulerInterval = setInterval(() => {
+    runDueSchedules().catch((error) =>
+      logger.error(`Scheduler tick failed: ${error.message}`)
+    );
+  }, SCHEDULER_INTERVAL);
+
+  logger.info("⏰ Schedule dispatcher started");
+}
+
+/**
+ * Stop the periodic schedule dispatcher
+ */
+export function stopScheduler() {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+  }
+}
@@ -0,0 +1,206 @@
+// src/services/sessionService.js
+// Signed-in sessions and their refresh tokens.
+//
+// Every sign-in starts a session: a family of refresh tokens of which only the
+// latest may be used. Each refresh replaces it with a new one (rotation). When a
+// token that was already exchanged shows up again, either the client or someone who
+// stole it is replaying it, so the whole session is revoked and both have to sign
+// in again.
+//
+// Apps fire several requests at once with the same refresh cookie, so the token
+// that was just exchanged stays usable for a few seconds: it gets the session's
+// current token instead of a new one, and only later replays count as reuse.
+import mongoose from "mongoose";
+import logger from "../utils/logger.js";
+
+const REUSE_GRACE_MS = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_MS) || 30 * 1000;
+
+// Session Schema - one signed-in device, kept until its refresh token expires
+const sessionSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    mobile_number: {
+      type: String,
+      required: [true, "Mobile number is required"],
+    },
+    // jti of the only refresh token of this session that may still be used
+    current_jti: {
+      type: String,
+      required: [true, "Token ID is required"],
+    },
+    // The token current_jti replaced and when, for concurrent refreshes
+    previous_jti: String,
+    rotated_at: Date,
+    device_name: String,
+    user_agent: String,
+    ip: String,
+    last_used_at: {
+      type: Date,
+      default: Date.now,
+    },
+    expires_at: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    revoked_at: Date,
+    // logout, revoked, reuse_detected, logout_all, deactivated
+    revoked_reason: String,
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user_id: 1, revoked_at: 1 });
+// Revoked sessions are kept until expiry so replayed tokens are still recognised
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", sessionSchema, "sessions");
+
+/**
+ * Start a session for a sign-in
+ * @param {Object} user - User document
+ * @param {Object} token - sessionId, jti and expiresAt of the first refresh token
+ * @param {Object} client - device_name, user_agent, ip
+ * @returns {Promise<Object>} The session
+ */
+export async function createSession(user, { sessionId, jti, expiresAt }, client = {}) {
+  const session = await Session.create({
+    _id: sessionId,
+    user_id: user._id,
+    mobile_number: user.mobile_number,
+    current_jti: jti,
+    device_name: client.device_name || client.user_agent?.slice(0, 100) || "Unknown device",
+    user_agent: client.user_agent,
+    ip: client.ip,
+    expires_at: expiresAt,
+  });
+
+  logger.info(`🔑 Session ${session._id} started for ${user.mobile_number}`);
+  return session;
+}
+
+/**
+ * Exchange a session's current refresh token for the next one
+ * A token exchanged within the grace window is not rotated again: the session is
+ * returned as it is, and its current_jti differs from the one asked for.
+ * @param {String} sessionId - Session ID (the token's sid)
+ * @param {String} jti - ID of the presented refresh token
+ * @param {Object} next - jti and expiresAt of the new refresh token
+ * @param {Object} client - user_agent, ip
+ * @returns {Promise<Object>} The updated session
+ */
+export async function rotateSession(sessionId, jti, { jti: nextJti, expiresAt }, client = {}) {
+  const now = new Date();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: sessionId, current_jti: jti, revoked_at: null },
+    {
+      $set: {
+        current_jti: nextJti,
+        previous_jti: jti,
+        rotated_at: now,
+        expires_at: expiresAt,
+        last_used_at: now,
+        ...(client.ip && { ip: client.ip }),
+        ...(client.user_agent && { user_agent: client.user_agent }),
+      },
+    },
+    { new: true }
+  );
+  if (rotated) return rotated;
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revoked_at) {
+    throw new Error("Session revoked");
+  }
+
+  // Another request with the same token got there first
+  if (
+    jti &&
+    session.previous_jti === jti &&
+    session.rotated_at > new Date(now.getTime() - REUSE_GRACE_MS)
+  ) {
+    return session;
+  }
+
+  // A token of this session that was already exchanged
+  await Session.updateOne(
+    { _id: session._id, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: "reuse_detected" } }
+  );
+  logger.warn(`🚨 Refresh token reuse on session ${session._id}, session revoked`, {
+    mobileNumber: session.mobile_number,
+    ip: client.ip,
+  });
+  throw new Error("Refresh token reuse detected");
+}
+
+/**
+ * Whether a session can still be used
+ * @param {String} sessionId - Session ID
+ * @returns {Promise<Boolean>}
+ */
+export async function isSessionActive(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const session = await Session.exists({
+    _id: sessionId,
+    revoked_at: null,
+    expires_at: { $gt: new Date() },
+  });
+  return !!session;
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>}
+ */
+export async function getActiveSessions(userId) {
+  return Session.find({
+    user_id: userId,
+    revoked_at: null,
+    expires_at: { $gt: new Date() },
+  })
+    .select("device_name user_agent ip last_used_at createdAt expires_at")
+    .sort({ last_used_at: -1 })
+    .lean();
+}
+
+/**
+ * Revoke one of a user's sessions
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session ID
+ * @param {String} reason - Why it was revoked
+ */
+export async function revokeSession(userId, sessionId, reason = "revoked") {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new Error("Session not found");
+  }
+
+  const result = await Session.updateOne(
+    { _id: sessionId, user_id: userId, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+  if (result.matchedCount === 0) {
+    throw new Error("Session not found");
+  }
+
+  logger.info(`🔒 Session ${sessionId} revoked (${reason})`);
+}
+
+/**
+ * Revoke all of a user's sessions
+ * @param {String} userId - User ID
+ * @param {String} reason - Why they were revoked
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+export async function revokeUserSessions(userId, reason = "logout_all") {
+  const result = await Session.updateMany(
+    { user_id: userId, revoked_at: null },
+    { $set: { revoked_at: new Date(), revoked_reason: reason } }
+  );
+  return result.modifiedCount;
+}
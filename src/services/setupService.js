@@ -2,53 +2,12 @@
 import { User } from "../config/dbconfig.js";
 import mongoose from "mongoose";
 import logger from "../utils/logger.js";
-import AWS from "aws-sdk";
-
-// Initialize AWS IoT Data client for direct control calls
-const iotData = new AWS.IotData({
-  endpoint: process.env.IOT_ENDPOINT,
-  region: process.env.AWS_REGION || "ap-south-1",
-});
-
-/**
- * Helper function to get device thingId from MongoDB
- */
-async function getThingIdByDeviceId(deviceId) {
-  try {
-    const db = mongoose.connection.db;
-    
-    // Try sensor_metadata collection first
-    const sensorColl = db.collection("sensor_metadata");
-    const row = await sensorColl.findOne({ deviceid: deviceId });
-    if (row && (row.thingid || row.thingId || row.thing_id)) {
-      return row.thingid || row.thingId || row.thing_id;
-    }
-
-    // Fallback: search users -> spaces -> devices
-    const usersColl = db.collection("users");
-    const userDoc = await usersColl.findOne(
-      { "spaces.devices.device_id": deviceId },
-      { projection: { spaces: 1 } }
-    );
-
-    if (userDoc && userDoc.spaces) {
-      for (const space of userDoc.spaces) {
-        if (!space.devices) continue;
-        for (const device of space.devices) {
-          if (device.device_id === deviceId) {
-            return device.thing_name || device.thingid || device.thingId || device.thing_id || null;
-          }
-        }
-      }
-    }
-
-    logger.warn(`No thingid found for deviceid: ${deviceId}`);
-    return null;
-  } catch (error) {
-    logger.error(`Error getting thingId: ${error.message}`);
-    return null;
-  }
-}
+import { enqueueJob, cancelJobs, registerJobHandler } from "./jobQueueService.js";
+import { recordCommand, markCommandFailed } from "./commandService.js";
+import { getThingIdByDeviceId } from "./deviceRegistryService.js";
+import { SPACE_PERMISSIONS, resolveSpaceAccess } from "./spaceAccessService.js";
+import { getSpaceActor, recordSpaceChange } from "./auditService.js";
+import { publishToIoT } from "../utils/mqttHelper.js";
 
 /**
  * Convert action object to action code format
@@ -96,7 +55,86 @@ function convertActionToCode(action, devices) {
 /**
  * Auto-control base devices after setting is published
  */
-async function autoControlBaseDevices(condition, space) {
+// Delayed actions older than this when the queue reaches them are dropped
+const DELAYED_ACTION_GRACE = 15 * 60 * 1000;
+
+/**
+ * Record a switch a setup turned on or off
+ * @param {Object} payload - Published control payload
+ * @param {Object} setupRef - space_id, user_id (owner), setup_id, actor (who saved the setup)
+ */
+async function auditSetupControl(payload, setupRef) {
+  await recordSpaceChange({
+    action: "device.control",
+    source: "setup",
+    actor: setupRef.actor,
+    spaceId: setupRef.space_id,
+    ownerId: setupRef.user_id,
+    entity: { type: "device", id: payload.deviceid },
+    after: { status: payload.status },
+    details: { switch_no: payload.switch_no, setup_id: setupRef.setup_id, delay: payload.delay },
+  });
+}
+
+/**
+ * Job handler for delayed setup actions - publishes the stored control payload
+ */
+async function publishSetupAction(job) {
+  const { topic, payload, actor } = job.payload;
+
+  // Not every path that removes a setup or its devices cancels its jobs
+  const owner = await User.findOne(
+    { "spaces._id": job.space_id },
+    { "spaces.$": 1 }
+  ).lean();
+  const setup = owner?.spaces[0].setups?.find(
+    (s) => job.setup_id && s._id.toString() === job.setup_id.toString()
+  );
+  if (!setup || !setup.active) {
+    logger.info(`Setup ${job.setup_id} removed or inactive, dropping delayed action`);
+    return;
+  }
+
+  await publishToIoT(topic, { ...payload, timestamp: new Date().toISOString() }, { qos: 0 });
+
+  logger.info(`✅ Delayed auto-control published for action device ${payload.deviceid}`);
+
+  await auditSetupControl(payload, {
+    space_id: job.space_id,
+    user_id: job.user_id,
+    setup_id: job.setup_id,
+    actor,
+  });
+}
+
+registerJobHandler("setup_action", publishSetupAction);
+
+/**
+ * Queue a setup action to be published once its delay has passed
+ * @param {String} topic - Control topic of the action device
+ * @param {Object} payload - Control payload
+ * @param {Object} setupRef - space_id, user_id (owner), setup_id, actor
+ * @param {Number} delay - Seconds to wait
+ * @returns {Promise<Object>} The queued job
+ */
+export async function enqueueSetupAction(topic, payload, setupRef, delay) {
+  const runAt = new Date(Date.now() + delay * 1000);
+  return enqueueJob({
+    type: "setup_action",
+    payload: { topic, payload, actor: setupRef.actor },
+    user_id: setupRef.user_id,
+    space_id: setupRef.space_id,
+    setup_id: setupRef.setup_id,
+    run_at: runAt,
+    expires_at: new Date(runAt.getTime() + DELAYED_ACTION_GRACE),
+  });
+}
+
+/**
+ * Auto-control the condition device and action devices of a base setup
+ * Delayed actions are persisted in the job queue so they survive restarts
+ */
+async function autoControlBaseDevices(condition, space, setupRef = {}) {
   try {
     if (condition.device_type !== "base") {
       return;
@@ -122,13 +160,10 @@ async function autoControlBaseDevices(condition, space) {
     };
 
     // Publish control command
-    await iotData.publish({
-      topic: controlTopic,
-      payload: JSON.stringify(controlPayload),
-      qos: 0
-    }).promise();
+    await publishToIoT(controlTopic, controlPayload, { qos: 0 });
 
     logger.info(`✅ Auto-control published for device ${condition.device_id} to topic: ${controlTopic}`);
+    await auditSetupControl(controlPayload, { ...setupRef, space_id: space._id });
 
     // Auto-control action devices if they are base modules
     if (condition.actions && condition.actions.length > 0) {
@@ -153,21 +188,16 @@ async function autoControlBaseDevices(condition, space) {
 
           // Add delay if specified
           if (action.delay && action.delay > 0) {
-            setTimeout(async () => {
-              await iotData.publish({
-                topic: actionControlTopic,
-                payload: JSON.stringify(actionControlPayload),
-                qos: 0
-              }).promise();
-              logger.info(`✅ Delayed auto-control published for action device ${action.device_id}`);
-            }, action.delay * 1000);
+            await enqueueSetupAction(
+              actionControlTopic,
+              actionControlPayload,
+              { ...setupRef, space_id: space._id },
+              action.delay
+            );
           } else {
-            await iotData.publish({
-              topic: actionControlTopic,
-              payload: JSON.stringify(actionControlPayload),
-              qos: 0
-            }).promise();
+            await publishToIoT(actionControlTopic, actionControlPayload, { qos: 0 });
             logger.info(`✅ Auto-control published for action device ${action.device_id}`);
+            await auditSetupControl(actionControlPayload, { ...setupRef, space_id: space._id });
           }
 
         } catch (actionError) {
@@ -184,8 +214,10 @@ async function autoControlBaseDevices(condition, space) {
  * Publish setting to MQTT
  * @param {string} deviceId - The device ID to get thing ID for
  * @param {object} mqttPayload - The complete MQTT payload to publish
+ * @param {string} userId - User who created or changed the setup, recorded in the command ledger
+ * @returns {string} Correlation ID of the command
  */
-async function publishSetting(deviceId, mqttPayload) {
+async function publishSetting(deviceId, mqttPayload, userId) {
   try {
     // Get the thing ID for the device
     const thingId = await getThingIdByDeviceId(deviceId);
@@ -195,29 +227,217 @@ async function publishSetting(deviceId, mqttPayload) {
     }
 
     const topic = `mqtt/device/${thingId}/setting`;
-    
-    await iotData.publish({
+
+    const ledgerEntry = await recordCommand({
+      kind: "setting",
+      deviceid: deviceId,
+      thingid: thingId,
       topic,
-      payload: JSON.stringify(mqttPayload),
-      qos: 1
-    }).promise();
+      payload: mqttPayload,
+      user_id: userId,
+    });
+
+    try {
+      await publishToIoT(
+        topic,
+        { ...mqttPayload, correlation_id: ledgerEntry.correlation_id },
+        { qos: 1 }
+      );
+    } catch (publishError) {
+      await markCommandFailed(ledgerEntry.correlation_id, publishError.message);
+      throw publishError;
+    }
 
     logger.info(`✅ Published setting to ${topic}:`, mqttPayload);
+    return ledgerEntry.correlation_id;
   } catch (error) {
     logger.error(`Error publishing setting: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Validate a multi-condition setup (conditions + logic + actions) against a space
+ * Throws on the first invalid sub-condition or action
+ */
+function validateCompositeSetup(space, setupData) {
+  if (setupData.logic !== undefined && !["AND", "OR"].includes(setupData.logic)) {
+    throw new Error("logic must be 'AND' or 'OR'");
+  }
+
+  if (!Array.isArray(setupData.conditions) || setupData.conditions.length === 0) {
+    throw new Error("At least one condition is required");
+  }
+
+  setupData.conditions.forEach((condition, index) => {
+    const label = `Condition ${index + 1}`;
+
+    if (!condition.device_id) {
+      throw new Error(`${label}: device_id is required`);
+    }
+
+    const device = space.devices.find((d) => d.device_id === condition.device_id);
+    if (!device) {
+      throw new Error(`Condition device with ID '${condition.device_id}' not found in this space`);
+    }
+
+    if (device.device_type !== condition.device_type) {
+      throw new Error(
+        `Device type mismatch. Device '${condition.device_id}' is of type '${device.device_type}', not '${condition.device_type}'`
+      );
+    }
+
+    if (condition.device_type === "tank") {
+      if (typeof condition.level !== "number" || condition.level < 0 || condition.level > 100) {
+        throw new Error(`${label}: level must be a number between 0 and 100`);
+      }
+      if (condition.operator !== undefined && !["<", ">", "<=", ">=", "=="].includes(condition.operator)) {
+        throw new Error(`${label}: operator must be one of: <, >, <=, >=, ==`);
+      }
+    } else {
+      if (!condition.status || !["on", "off"].includes(condition.status)) {
+        throw new Error(`${label}: status must be 'on' or 'off' for base devices`);
+      }
+      if (!condition.switch_no || !["BM1", "BM2"].includes(condition.switch_no)) {
+        throw new Error(`${label}: switch_no must be 'BM1' or 'BM2' for base devices`);
+      }
+    }
+  });
+
+  if (!Array.isArray(setupData.actions) || setupData.actions.length === 0) {
+    throw new Error("At least one action is required");
+  }
+
+  for (const action of setupData.actions) {
+    const actionDevice = space.devices.find(
+      (device) => device.device_id === action.device_id
+    );
+    if (!actionDevice) {
+      throw new Error(`Action device with ID '${action.device_id}' not found in this space`);
+    }
+    if (actionDevice.device_type !== "base") {
+      throw new Error(`Device '${action.device_id}' must be of type 'base' to be used in actions`);
+    }
+    if (!action.set_status || !["on", "off"].includes(action.set_status)) {
+      throw new Error("set_status field is required and must be 'on' or 'off' for actions");
+    }
+    if (!action.switch_no || !["BM1", "BM2"].includes(action.switch_no)) {
+      throw new Error("switch_no field is required and must be 'BM1' or 'BM2' for each action");
+    }
+    if (action.delay !== undefined && (typeof action.delay !== "number" || action.delay < 0)) {
+      throw new Error("delay must be a positive number of seconds for actions");
+    }
+  }
+}
+
+/**
+ * Build the stored sub-conditions of a multi-condition setup from request data
+ */
+function buildRuleConditions(conditions) {
+  return conditions.map((condition) =>
+    condition.device_type === "tank"
+      ? {
+          device_id: condition.device_id,
+          device_type: "tank",
+          level: condition.level,
+          operator: condition.operator || "<",
+        }
+      : {
+          device_id: condition.device_id,
+          device_type: "base",
+          switch_no: condition.switch_no,
+          status: condition.status,
+        }
+  );
+}
+
+/**
+ * Response shape for the logic/conditions/actions of a multi-condition setup
+ */
+function formatCompositeSetup(setup, devices) {
+  return {
+    logic: setup.logic || "AND",
+    conditions: (setup.conditions || []).map((condition) => {
+      const device = devices.find(
+        (d) => d && d.device_id === condition.device_id
+      );
+
+      const conditionResponse = {
+        device_id: condition.device_id,
+        device_name: device?.device_name || "Unknown Device",
+        device_type: condition.device_type,
+      };
+
+      if (condition.device_type === "tank") {
+        conditionResponse.level = condition.level;
+        conditionResponse.operator = condition.operator;
+      } else {
+        conditionResponse.switch_no = condition.switch_no;
+        conditionResponse.status = condition.status;
+      }
+
+      return conditionResponse;
+    }),
+    actions: (setup.actions || []).map((action) => {
+      const actionDevice = devices.find(
+        (device) => device && device.device_id === action.device_id
+      );
+
+      return {
+        device_id: action.device_id,
+        device_name: actionDevice?.device_name || "Unknown Device",
+        switch_no: action.switch_no || "BM1",
+        set_status: action.set_status,
+        delay: action.delay || 0,
+        action_code: convertActionToCode(action, devices) || undefined,
+      };
+    }),
+    last_evaluation: setup.last_evaluation || null,
+  };
+}
+
+/**
+ * The user-editable fields of a setup, as recorded in the audit log
+ */
+function setupSnapshot(setup) {
+  const data = setup.toObject ? setup.toObject() : setup;
+  return {
+    name: data.name,
+    description: data.description,
+    active: data.active,
+    condition: data.condition,
+    logic: data.logic,
+    conditions: data.conditions,
+    actions: data.actions,
+  };
+}
+
+/**
+ * Record a setup change made by a user
+ */
+async function auditSetupChange(action, mobileNumber, access, setupId, before, after) {
+  await recordSpaceChange({
+    action,
+    actor: getSpaceActor(mobileNumber, access),
+    spaceId: access.space._id,
+    ownerId: access.user._id,
+    entity: { type: "setup", id: setupId.toString() },
+    before: before && setupSnapshot(before),
+    after: after && setupSnapshot(after),
+  });
+}
+
 /**
  * Create a new setup configuration for a space
  */
 export async function createSetup(mobileNumber, spaceId, setupData) {
   try {
-    const user = await User.findOne({ mobile_number: mobileNumber });
-    if (!user) {
-      throw new Error("User not found");
-    }
+    const access = await resolveSpaceAccess(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.MANAGE
+    );
+    const { user } = access;
 
     const spaceIndex = user.spaces.findIndex(
       (space) => space._id.toString() === spaceId
@@ -228,6 +448,44 @@ export async function createSetup(mobileNumber, spaceId, setupData) {
 
     const space = user.spaces[spaceIndex];
 
+    // Multi-condition setups are evaluated by the backend only, so nothing is published to firmware
+    if (setupData.conditions !== undefined) {
+      validateCompositeSetup(space, setupData);
+
+      const newSetup = {
+        _id: new mongoose.Types.ObjectId(),
+        name: setupData.name || `Setup ${(space.setups?.length || 0) + 1}`,
+        description: setupData.description || "",
+        logic: setupData.logic || "AND",
+        conditions: buildRuleConditions(setupData.conditions),
+        actions: setupData.actions,
+        active: setupData.active !== undefined ? setupData.active : true,
+        created_at: new Date(),
+        updated_at: new Date(),
+      };
+
+      if (!user.spaces[spaceIndex].setups) {
+        user.spaces[spaceIndex].setups = [];
+      }
+
+      user.spaces[spaceIndex].setups.push(newSetup);
+      await user.save();
+      logger.info(`Multi-condition setup saved to database for space ${spaceId}`);
+
+      await auditSetupChange("setup.create", mobileNumber, access, newSetup._id, null, newSetup);
+
+      return {
+        success: true,
+        data: {
+          setup_id: newSetup._id.toString(),
+          name: newSetup.name,
+          description: newSetup.description,
+          active: newSetup.active,
+          ...formatCompositeSetup(newSetup, space.devices),
+        },
+      };
+    }
+
     // Validate the condition device
     const conditionDeviceId = setupData.condition.device_id;
     const conditionDevice = space.devices.find(
@@ -340,8 +598,10 @@ export async function createSetup(mobileNumber, spaceId, setupData) {
     await user.save();
     logger.info(`Setup saved to database for space ${spaceId}`);
 
+    await auditSetupChange("setup.create", mobileNumber, access, newSetup._id, null, newSetup);
+
     // Fetch the saved setup to get MongoDB-generated IDs and enrich with action codes
-    const savedUser = await User.findOne({ mobile_number: mobileNumber });
+    const savedUser = await User.findById(user._id);
     const savedSpace = savedUser.spaces.find(s => s._id.toString() === spaceId);
     const savedSetup = savedSpace.setups.find(s => s._id.toString() === newSetup._id.toString());
 
@@ -377,6 +637,7 @@ export async function createSetup(mobileNumber, spaceId, setupData) {
     }
 
     // Handle MQTT operations
+    let settingCorrelationId = null;
     try {
       if (setupData.condition.device_type === "tank") {
         // Find the base device that owns this sensor
@@ -414,7 +675,7 @@ export async function createSetup(mobileNumber, spaceId, setupData) {
         };
 
         // Publish using BASE device ID to get its thing ID
-        await publishSetting(baseDevice.device_id, mqttPayload);
+        settingCorrelationId = await publishSetting(baseDevice.device_id, mqttPayload, access.actorId);
         logger.info(`✅ Setting published for tank sensor ${conditionDevice.device_id} via base device ${baseDevice.device_id}`, { mqttPayload });
         
       } else if (setupData.condition.device_type === "base") {
@@ -433,11 +694,15 @@ export async function createSetup(mobileNumber, spaceId, setupData) {
         };
 
         // Publish setting
-        await publishSetting(setupData.condition.device_id, mqttPayload);
+        settingCorrelationId = await publishSetting(setupData.condition.device_id, mqttPayload, access.actorId);
         logger.info(`✅ Setting published for base device ${setupData.condition.device_id}`);
 
         // Auto-control base devices
-        await autoControlBaseDevices(setupData.condition, space);
+        await autoControlBaseDevices(setupData.condition, space, {
+          user_id: user._id,
+          setup_id: newSetup._id,
+          actor: getSpaceActor(mobileNumber, access),
+        });
       }
     } catch (mqttError) {
       logger.error(`MQTT publishing failed, but setup was saved to DB: ${mqttError.message}`);
@@ -451,6 +716,8 @@ export async function createSetup(mobileNumber, spaceId, setupData) {
         name: setupData.name,
         description: setupData.description,
         active: setupData.active,
+        // Poll GET /commands/:correlationId to see whether the device applied the setting
+        setting_correlation_id: settingCorrelationId,
         condition: {
           device_id: setupData.condition.device_id,
           device_type: setupData.condition.device_type,
@@ -473,7 +740,7 @@ export async function createSetup(mobileNumber, spaceId, setupData) {
     return response;
   } catch (error) {
     logger.error(`Error creating setup: ${error.message}`);
-    return { success: false, message: error.message };
+    throw error;
   }
 }
 
@@ -482,10 +749,12 @@ export async function createSetup(mobileNumber, spaceId, setupData) {
  */
 export async function updateSetup(mobileNumber, spaceId, setupId, setupData) {
   try {
-    const user = await User.findOne({ mobile_number: mobileNumber });
-    if (!user) {
-      throw new Error("User not found");
-    }
+    const access = await resolveSpaceAccess(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.MANAGE
+    );
+    const { user } = access;
 
     const spaceIndex = user.spaces.findIndex(
       (space) => space._id.toString() === spaceId
@@ -503,6 +772,27 @@ export async function updateSetup(mobileNumber, spaceId, setupId, setupData) {
     }
 
     const space = user.spaces[spaceIndex];
+    const existingSetup = space.setups[setupIndex];
+    const previousSetup = existingSetup.toObject();
+
+    if (setupData.condition && setupData.conditions !== undefined) {
+      throw new Error("Provide either condition or conditions, not both");
+    }
+
+    // Multi-condition fields are validated together, falling back to the stored values
+    const isComposite =
+      setupData.conditions !== undefined ||
+      (!setupData.condition &&
+        (setupData.logic !== undefined || setupData.actions !== undefined) &&
+        existingSetup.conditions?.length > 0);
+
+    if (isComposite) {
+      validateCompositeSetup(space, {
+        logic: setupData.logic ?? existingSetup.logic,
+        conditions: setupData.conditions ?? existingSetup.conditions,
+        actions: setupData.actions ?? existingSetup.actions,
+      });
+    }
 
     // If condition is being updated, validate new condition
     if (setupData.condition) {
@@ -591,6 +881,29 @@ export async function updateSetup(mobileNumber, spaceId, setupId, setupData) {
 
     if (setupData.condition) {
       user.spaces[spaceIndex].setups[setupIndex].condition = setupData.condition;
+      // Switching back to a single condition drops any multi-condition rule
+      user.spaces[spaceIndex].setups[setupIndex].conditions = [];
+      user.spaces[spaceIndex].setups[setupIndex].actions = [];
+      user.spaces[spaceIndex].setups[setupIndex].last_evaluation = null;
+      // New thresholds - start the trigger/stop band from scratch
+      user.spaces[spaceIndex].setups[setupIndex].automation_state = "idle";
+      user.spaces[spaceIndex].setups[setupIndex].state_changed_at = new Date();
+    }
+
+    if (isComposite) {
+      const compositeSetup = user.spaces[spaceIndex].setups[setupIndex];
+      if (setupData.conditions !== undefined) {
+        compositeSetup.conditions = buildRuleConditions(setupData.conditions);
+        compositeSetup.condition = undefined;
+      }
+      if (setupData.logic !== undefined) {
+        compositeSetup.logic = setupData.logic;
+      }
+      if (setupData.actions !== undefined) {
+        compositeSetup.actions = setupData.actions;
+      }
+      // Re-arm the rule so it fires on the next update that satisfies it
+      compositeSetup.last_evaluation = null;
     }
 
     user.spaces[spaceIndex].setups[setupIndex].updated_at = new Date();
@@ -599,8 +912,22 @@ export async function updateSetup(mobileNumber, spaceId, setupId, setupData) {
     await user.save();
     logger.info(`Setup updated and saved to database for space ${spaceId}`);
 
+    await auditSetupChange(
+      "setup.update",
+      mobileNumber,
+      access,
+      setupId,
+      previousSetup,
+      user.spaces[spaceIndex].setups[setupIndex]
+    );
+
+    // Delayed actions of the old rule must not fire after it changed or was deactivated
+    if (setupData.condition || isComposite || setupData.active === false) {
+      await cancelJobs({ setup_id: setupId });
+    }
+
     // Fetch the updated setup to get enriched data
-    const updatedUser = await User.findOne({ mobile_number: mobileNumber });
+    const updatedUser = await User.findById(user._id);
     const updatedSpace = updatedUser.spaces.find(s => s._id.toString() === spaceId);
     const updatedSetup = updatedSpace.setups.find(s => s._id.toString() === setupId);
 
@@ -608,7 +935,7 @@ export async function updateSetup(mobileNumber, spaceId, setupId, setupData) {
     const enrichedSetup = updatedSetup.toObject();
 
     // Enrich actions with action codes
-    if (enrichedSetup.condition.actions) {
+    if (enrichedSetup.condition?.actions) {
       enrichedSetup.condition.actions = enrichedSetup.condition.actions.map(action => {
         const actionCode = convertActionToCode(action, space.devices);
         if (actionCode) {
@@ -673,7 +1000,7 @@ export async function updateSetup(mobileNumber, spaceId, setupId, setupData) {
             ...actionCodes
           };
 
-          await publishSetting(baseDevice.device_id, mqttPayload);
+          await publishSetting(baseDevice.device_id, mqttPayload, access.actorId);
           logger.info(`✅ Setting updated for tank device ${conditionDevice.device_id} via base device ${baseDevice.device_id}`, { mqttPayload });
           
         } else if (setupData.condition.device_type === "base") {
@@ -692,10 +1019,14 @@ export async function updateSetup(mobileNumber, spaceId, setupId, setupData) {
             }))
           };
 
-          await publishSetting(setupData.condition.device_id, mqttPayload);
+          await publishSetting(setupData.condition.device_id, mqttPayload, access.actorId);
           logger.info(`✅ Setting updated for base device ${setupData.condition.device_id}`);
 
-          await autoControlBaseDevices(setupData.condition, space);
+          await autoControlBaseDevices(setupData.condition, space, {
+            user_id: user._id,
+            setup_id: updatedSetup._id,
+            actor: getSpaceActor(mobileNumber, access),
+          });
         }
       }
     } catch (mqttError) {
@@ -715,10 +1046,12 @@ export async function updateSetup(mobileNumber, spaceId, setupId, setupData) {
  */
 export async function updateSetupStatus(mobileNumber, spaceId, setupId, active) {
   try {
-    const user = await User.findOne({ mobile_number: mobileNumber });
-    if (!user) {
-      throw new Error("User not found");
-    }
+    const access = await resolveSpaceAccess(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.MANAGE
+    );
+    const { user } = access;
 
     const spaceIndex = user.spaces.findIndex(
       (space) => space._id.toString() === spaceId
@@ -734,11 +1067,31 @@ export async function updateSetupStatus(mobileNumber, spaceId, setupId, active)
       throw new Error("Setup not found");
     }
 
+    const previousSetup = user.spaces[spaceIndex].setups[setupIndex].toObject();
     user.spaces[spaceIndex].setups[setupIndex].active = active;
     user.spaces[spaceIndex].setups[setupIndex].updated_at = new Date();
 
+    // A deactivated setup forgets whether it was mid-fill
+    if (!active) {
+      user.spaces[spaceIndex].setups[setupIndex].automation_state = "idle";
+      user.spaces[spaceIndex].setups[setupIndex].state_changed_at = new Date();
+    }
+
     await user.save();
 
+    await auditSetupChange(
+      "setup.status_change",
+      mobileNumber,
+      access,
+      setupId,
+      previousSetup,
+      user.spaces[spaceIndex].setups[setupIndex]
+    );
+
+    if (!active) {
+      await cancelJobs({ setup_id: setupId });
+    }
+
     logger.info(`Setup ${setupId} status updated to ${active}`);
     return user.spaces[spaceIndex].setups[setupIndex];
   } catch (error) {
@@ -754,10 +1107,11 @@ export async function getSetupById(mobileNumber, spaceId, setupId) {
   try {
     logger.info(`Getting setup by ID: ${setupId} for space: ${spaceId}`);
     
-    const user = await User.findOne({ mobile_number: mobileNumber });
-    if (!user) {
-      throw new Error("User not found");
-    }
+    const { user } = await resolveSpaceAccess(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.VIEW
+    );
 
     const space = user.spaces.find((space) => space._id.toString() === spaceId);
     if (!space) {
@@ -769,6 +1123,20 @@ export async function getSetupById(mobileNumber, spaceId, setupId) {
       throw new Error("Setup not found");
     }
 
+    if (setup.conditions?.length > 0) {
+      logger.info(`Successfully retrieved setup ${setupId}`);
+      return {
+        id: setup._id.toString(),
+        name: setup.name,
+        description: setup.description || "",
+        ...formatCompositeSetup(setup, space.devices),
+        active: setup.active,
+        last_triggered: setup.last_triggered,
+        created_at: setup.created_at,
+        updated_at: setup.updated_at,
+      };
+    }
+
     const conditionDevice = space.devices.find(
       (device) => device.device_id === setup.condition.device_id
     );
@@ -822,6 +1190,8 @@ export async function getSetupById(mobileNumber, spaceId, setupId) {
       description: setup.description || "",
       condition: conditionResponse,
       active: setup.active,
+      automation_state: setup.automation_state || "idle",
+      last_triggered: setup.last_triggered,
       created_at: setup.created_at,
       updated_at: setup.updated_at,
     };
@@ -841,11 +1211,11 @@ export async function getSetups(mobileNumber, spaceId) {
   try {
     logger.info(`Getting setups for mobile: ${mobileNumber}, spaceId: ${spaceId}`);
     
-    const user = await User.findOne({ mobile_number: mobileNumber });
-    if (!user) {
-      logger.error(`User not found for mobile: ${mobileNumber}`);
-      throw new Error("User not found");
-    }
+    const { user } = await resolveSpaceAccess(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.VIEW
+    );
 
     const space = user.spaces.find((space) => space._id.toString() === spaceId);
     if (!space) {
@@ -863,6 +1233,19 @@ export async function getSetups(mobileNumber, spaceId) {
 
     const cleanSetups = setups.map((setup, index) => {
       try {
+        if (setup.conditions?.length > 0) {
+          return {
+            id: setup._id?.toString() || `temp_${index}`,
+            name: setup.name || `Setup ${index + 1}`,
+            description: setup.description || "",
+            ...formatCompositeSetup(setup, devices),
+            active: setup.active !== undefined ? setup.active : true,
+            last_triggered: setup.last_triggered,
+            created_at: setup.created_at || new Date(),
+            updated_at: setup.updated_at || setup.created_at || new Date(),
+          };
+        }
+
         if (!setup.condition) {
           logger.warn(`Setup ${setup._id} has no condition data`);
           return null;
@@ -922,6 +1305,8 @@ export async function getSetups(mobileNumber, spaceId) {
           description: setup.description || "",
           condition: conditionResponse,
           active: setup.active !== undefined ? setup.active : true,
+          automation_state: setup.automation_state || "idle",
+          last_triggered: setup.last_triggered,
           created_at: setup.created_at || new Date(),
           updated_at: setup.updated_at || setup.created_at || new Date(),
         };
@@ -944,10 +1329,12 @@ export async function getSetups(mobileNumber, spaceId) {
  */
 export async function deleteSetup(mobileNumber, spaceId, setupId) {
   try {
-    const user = await User.findOne({ mobile_number: mobileNumber });
-    if (!user) {
-      throw new Error("User not found");
-    }
+    const access = await resolveSpaceAccess(
+      mobileNumber,
+      spaceId,
+      SPACE_PERMISSIONS.MANAGE
+    );
+    const { user } = access;
 
     const spaceIndex = user.spaces.findIndex(
       (space) => space._id.toString() === spaceId
@@ -964,9 +1351,13 @@ export async function deleteSetup(mobileNumber, spaceId, setupId) {
       throw new Error("Setup not found");
     }
 
-    user.spaces[spaceIndex].setups.splice(setupIndex, 1);
+    const [deletedSetup] = user.spaces[spaceIndex].setups.splice(setupIndex, 1);
     await user.save();
 
+    await auditSetupChange("setup.delete", mobileNumber, access, setupId, deletedSetup, null);
+
+    await cancelJobs({ setup_id: setupId });
+
     logger.info(`Setup deleted: ${setupId}`);
     return { success: true, message: "Setup deleted successfully" };
   } catch (error) {
@@ -0,0 +1,423 @@
+// src/services/spaceAccessService.js
+// Who may do what in a space.
+//
+// A space is embedded in exactly one user document: that user is its owner. Other
+// users get access through a membership (an invitation by mobile number that they
+// accepted) with one of the roles below. Services resolve a space through
+// resolveSpaceAccess, which returns the owner's document so the rest of their code
+// keeps working on the embedded space as before.
+import mongoose from "mongoose";
+import { User } from "../config/dbconfig.js";
+import {
+  findDeviceOwner,
+  findRegisteredDevice,
+} from "./deviceRegistryService.js";
+
+export const SPACE_ROLES = ["owner", "admin", "operator", "viewer"];
+
+// Roles that can be given to someone other than the owner
+export const MEMBER_ROLES = ["admin", "operator", "viewer"];
+
+export const SPACE_PERMISSIONS = {
+  VIEW: "view", // read the space, its devices, setups and schedules
+  CONTROL: "control", // switch devices on/off
+  MANAGE: "manage", // edit the space, devices, setups and schedules
+  MEMBERS: "members", // invite, change and revoke operators and viewers
+  OWN: "own", // delete the space, manage admins, transfer ownership
+};
+
+const ROLE_PERMISSIONS = {
+  owner: ["view", "control", "manage", "members", "own"],
+  admin: ["view", "control", "manage", "members"],
+  operator: ["view", "control"],
+  viewer: ["view"],
+};
+
+// Space Member Schema - access to a space for someone other than its owner
+const spaceMemberSchema = new mongoose.Schema(
+  {
+    space_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Space is required"],
+    },
+    // User the space is embedded in
+    owner_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner is required"],
+    },
+    // Invitations are by mobile number, so the invitee may not have an account yet
+    mobile_number: {
+      type: String,
+      required: [true, "Mobile number is required"],
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    role: {
+      type: String,
+      enum: MEMBER_ROLES,
+      required: [true, "Role is required"],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "active"],
+      default: "pending",
+    },
+    invited_by: String,
+    accepted_at: Date,
+  },
+  { timestamps: true }
+);
+
+spaceMemberSchema.index({ space_id: 1, mobile_number: 1 }, { unique: true });
+spaceMemberSchema.index({ mobile_number: 1, status: 1 });
+
+export const SpaceMember = mongoose.model(
+  "SpaceMember",
+  spaceMemberSchema,
+  "space_members"
+);
+
+/**
+ * Check whether a role includes a permission
+ * @param {String} role - Space role
+ * @param {String} permission - One of SPACE_PERMISSIONS
+ * @returns {Boolean}
+ */
+export function hasSpacePermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Resolve a space for a user acting on it and check their role allows the action
+ * @param {String} mobileNumber - Acting user
+ * @param {String} spaceId - Space ID
+ * @param {String} permission - Required permission (default: view)
+ * @returns {Promise<Object>} { user, space, role, actorId } - user is the owner's
+ *   document, actorId the acting user's ID
+ */
+export async function resolveSpaceAccess(
+  mobileNumber,
+  spaceId,
+  permission = SPACE_PERMISSIONS.VIEW
+) {
+  if (!mongoose.isValidObjectId(spaceId)) {
+    throw new Error("Space not found");
+  }
+
+  let role = "owner";
+  let user = await User.findOne({ mobile_number: mobileNumber, "spaces._id": spaceId });
+  let actorId = user?._id;
+
+  if (!user) {
+    const membership = await SpaceMember.findOne({
+      space_id: spaceId,
+      mobile_number: mobileNumber,
+      status: "active",
+    }).lean();
+    if (!membership) {
+      throw new Error("Space not found");
+    }
+
+    role = membership.role;
+    actorId = membership.user_id;
+    user = await User.findById(membership.owner_id);
+  }
+
+  const space = user?.spaces.find((s) => s._id.toString() === spaceId.toString());
+  if (!space) {
+    throw new Error("Space not found");
+  }
+
+  if (!hasSpacePermission(role, permission)) {
+    throw new Error("Insufficient permissions for this space");
+  }
+
+  return { user, space, role, actorId };
+}
+
+/**
+ * Resolve the space a registered device belongs to and check the user's access to it
+ * @param {String} mobileNumber - Acting user
+ * @param {String} deviceId - Device ID
+ * @param {String} permission - Required permission
+ * @returns {Promise<Object>} { user, space, role, actorId }
+ */
+export async function resolveDeviceAccess(mobileNumber, deviceId, permission) {
+  let entry = await findRegisteredDevice(deviceId);
+  if (!entry && (await findDeviceOwner(deviceId))) {
+    entry = await findRegisteredDevice(deviceId);
+  }
+  if (!entry) {
+    throw new Error("Device not found");
+  }
+
+  try {
+    return await resolveSpaceAccess(mobileNumber, entry.space_id, permission);
+  } catch (error) {
+    // Don't reveal that someone else's device exists
+    if (error.message === "Space not found") throw new Error("Device not found");
+    throw error;
+  }
+}
+
+/**
+ * Spaces shared with a user, with their role in each
+ * @param {String} mobileNumber - Member's mobile number
+ * @returns {Promise<Array>} Spaces with role and owner
+ */
+export async function getSharedSpaces(mobileNumber) {
+  const memberships = await SpaceMember.find({
+    mobile_number: mobileNumber,
+    status: "active",
+  }).lean();
+  if (memberships.length === 0) return [];
+
+  const owners = await User.find({
+    _id: { $in: memberships.map((m) => m.owner_id) },
+  }).select("user_name mobile_number spaces");
+
+  return memberships.flatMap((membership) => {
+    const owner = owners.find((o) => o._id.equals(membership.owner_id));
+    const space = owner?.spaces.id(membership.space_id);
+    if (!space) return [];
+
+    return [
+      {
+        ...space.toObject(),
+        role: membership.role,
+        owner: { user_name: owner.user_name, mobile_number: owner.mobile_number },
+      },
+    ];
+  });
+}
+
+/**
+ * Response shape for a membership
+ */
+function formatMember(member) {
+  return {
+    id: member._id.toString(),
+    space_id: member.space_id,
+    mobile_number: member.mobile_number,
+    role: member.role,
+    status: member.status,
+    invited_by: member.invited_by,
+    invited_at: member.createdAt,
+    accepted_at: member.accepted_at,
+  };
+}
+
+/**
+ * Admins may only manage operators and viewers; admins are managed by the owner
+ */
+function assertCanManageRole(actorRole, role) {
+  if (role === "admin" && !hasSpacePermission(actorRole, SPACE_PERMISSIONS.OWN)) {
+    throw new Error("Insufficient permissions for this space");
+  }
+}
+
+/**
+ * Invite someone to a space by mobile number
+ * @param {String} mobileNumber - Inviting user
+ * @param {String} spaceId - Space ID
+ * @param {Object} invitation - { mobile_number, role }
+ * @returns {Promise<Object>} The invitation
+ */
+export async function inviteMember(mobileNumber, spaceId, { mobile_number, role }) {
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new Error(`Invalid role '${role}'. Must be one of: ${MEMBER_ROLES.join(", ")}`);
+  }
+
+  const { user, space, role: actorRole } = await resolveSpaceAccess(
+    mobileNumber,
+    spaceId,
+    SPACE_PERMISSIONS.MEMBERS
+  );
+  assertCanManageRole(actorRole, role);
+
+  if (mobile_number === user.mobile_number) {
+    throw new Error("The owner already has access to this space");
+  }
+
+  const existing = await SpaceMember.findOne({ space_id: space._id, mobile_number });
+  if (existing) {
+    throw new Error(`${mobile_number} already has access or a pending invitation`);
+  }
+
+  const invitee = await User.findOne({ mobile_number }).select("_id").lean();
+  const member = await SpaceMember.create({
+    space_id: space._id,
+    owner_id: user._id,
+    mobile_number,
+    user_id: invitee?._id,
+    role,
+    invited_by: mobileNumber,
+  });
+
+  return formatMember(member);
+}
+
+/**
+ * Members and pending invitations of a space
+ * @param {String} mobileNumber - Acting user
+ * @param {String} spaceId - Space ID
+ * @returns {Promise<Object>} { owner, members }
+ */
+export async function getSpaceMembers(mobileNumber, spaceId) {
+  const { user, space } = await resolveSpaceAccess(
+    mobileNumber,
+    spaceId,
+    SPACE_PERMISSIONS.MEMBERS
+  );
+
+  const members = await SpaceMember.find({ space_id: space._id })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return {
+    owner: { user_name: user.user_name, mobile_number: user.mobile_number, role: "owner" },
+    members: members.map(formatMember),
+  };
+}
+
+/**
+ * Find a membership of a space by the member's mobile number
+ */
+async function findMember(spaceId, memberMobileNumber) {
+  const member = await SpaceMember.findOne({
+    space_id: spaceId,
+    mobile_number: memberMobileNumber,
+  });
+  if (!member) {
+    throw new Error("Member not found");
+  }
+  return member;
+}
+
+/**
+ * Change a member's role
+ * @param {String} mobileNumber - Acting user
+ * @param {String} spaceId - Space ID
+ * @param {String} memberMobileNumber - Member to change
+ * @param {String} role - New role
+ * @returns {Promise<Object>} The membership
+ */
+export async function updateMemberRole(mobileNumber, spaceId, memberMobileNumber, role) {
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new Error(`Invalid role '${role}'. Must be one of: ${MEMBER_ROLES.join(", ")}`);
+  }
+
+  const { space, role: actorRole } = await resolveSpaceAccess(
+    mobileNumber,
+    spaceId,
+    SPACE_PERMISSIONS.MEMBERS
+  );
+  const member = await findMember(space._id, memberMobileNumber);
+
+  assertCanManageRole(actorRole, member.role);
+  assertCanManageRole(actorRole, role);
+
+  member.role = role;
+  await member.save();
+
+  return formatMember(member);
+}
+
+/**
+ * Revoke a member's access or withdraw an invitation. Members can always remove
+ * themselves from a space.
+ * @param {String} mobileNumber - Acting user
+ * @param {String} spaceId - Space ID
+ * @param {String} memberMobileNumber - Member to remove
+ */
+export async function revokeMember(mobileNumber, spaceId, memberMobileNumber) {
+  if (mobileNumber === memberMobileNumber) {
+    const { space, role } = await resolveSpaceAccess(mobileNumber, spaceId);
+    if (role === "owner") {
+      throw new Error("The owner cannot leave a space; transfer ownership first");
+    }
+    await SpaceMember.deleteOne({ space_id: space._id, mobile_number: mobileNumber });
+    return { success: true, message: "You left the space" };
+  }
+
+  const { space, role: actorRole } = await resolveSpaceAccess(
+    mobileNumber,
+    spaceId,
+    SPACE_PERMISSIONS.MEMBERS
+  );
+  const member = await findMember(space._id, memberMobileNumber);
+  assertCanManageRole(actorRole, member.role);
+
+  await member.deleteOne();
+  return { success: true, message: "Access revoked successfully" };
+}
+
+/**
+ * Pending invitations for a user
+ * @param {String} mobileNumber - Invitee's mobile number
+ * @returns {Promise<Array>} Invitations with space and owner names
+ */
+export async function getInvitations(mobileNumber) {
+  const invitations = await SpaceMember.find({
+    mobile_number: mobileNumber,
+    status: "pending",
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const owners = await User.find({
+    _id: { $in: invitations.map((i) => i.owner_id) },
+  }).select("user_name mobile_number spaces._id spaces.space_name");
+
+  return invitations.flatMap((invitation) => {
+    const owner = owners.find((o) => o._id.equals(invitation.owner_id));
+    const space = owner?.spaces.id(invitation.space_id);
+    if (!space) return [];
+
+    return [
+      {
+        ...formatMember(invitation),
+        space_name: space.space_name,
+        owner: { user_name: owner.user_name, mobile_number: owner.mobile_number },
+      },
+    ];
+  });
+}
+
+/**
+ * Accept or decline an invitation
+ * @param {String} mobileNumber - Invitee's mobile number
+ * @param {String} invitationId - Invitation ID
+ * @param {Boolean} accept - Accept (true) or decline (false)
+ * @returns {Promise<Object|null>} The membership when accepted
+ */
+export async function respondToInvitation(mobileNumber, invitationId, accept) {
+  if (!mongoose.isValidObjectId(invitationId)) {
+    throw new Error("Invitation not found");
+  }
+
+  const invitation = await SpaceMember.findOne({
+    _id: invitationId,
+    mobile_number: mobileNumber,
+    status: "pending",
+  });
+  if (!invitation) {
+    throw new Error("Invitation not found");
+  }
+
+  if (!accept) {
+    await invitation.deleteOne();
+    return null;
+  }
+
+  const user = await User.findOne({ mobile_number: mobileNumber }).select("_id").lean();
+  invitation.status = "active";
+  invitation.user_id = user?._id;
+  invitation.accepted_at = new Date();
+  await invitation.save();
+
+  return formatMember(invitation);
+}
@@ -1,13 +1,29 @@
 import { User } from "../config/dbconfig.js";
 import { v4 as uuidv4 } from "uuid"; // You'll need to install this package
+import { Schedule, isValidTimeZone } from "./scheduleService.js";
+import { syncUserDevices } from "./deviceRegistryService.js";
+import { Job, cancelJobs } from "./jobQueueService.js";
+import {
+  SpaceMember,
+  SPACE_PERMISSIONS,
+  getSharedSpaces,
+  resolveSpaceAccess,
+} from "./spaceAccessService.js";
 
-// Get all spaces for a user
+// Get all spaces for a user: their own spaces and the ones shared with them
 export async function getUserSpaces(mobileNumber) {
   const user = await User.findOne({ mobile_number: mobileNumber });
   if (!user) {
     throw new Error("User not found");
   }
-  return user.spaces || [];
+
+  const owned = (user.spaces || []).map((space) => ({
+    ...space.toObject(),
+    role: "owner",
+  }));
+  const shared = await getSharedSpaces(mobileNumber);
+
+  return [...owned, ...shared];
 }
 
 // Get a specific space by name for a user
@@ -25,18 +41,13 @@ export async function getUserSpaceByName(mobileNumber, spaceName) {
   return space;
 }
 
-// Get a specific space by ID for a user
-export async function getUserSpaceById(mobileNumber, spaceId) {
-  const user = await User.findOne({ mobile_number: mobileNumber });
-  if (!user) {
-    throw new Error("User not found");
-  }
-
-  const space = user.spaces.find((space) => space._id.toString() === spaceId);
-  if (!space) {
-    throw new Error("Space not found");
-  }
-
+// Get a specific space by ID for a user, owned or shared with them
+export async function getUserSpaceById(
+  mobileNumber,
+  spaceId,
+  permission = SPACE_PERMISSIONS.VIEW
+) {
+  const { space } = await resolveSpaceAccess(mobileNumber, spaceId, permission);
   return space;
 }
 
@@ -58,10 +69,15 @@ export async function createSpace(mobileNumber, spaceData) {
     );
   }
 
+  if (spaceData.timezone !== undefined && !isValidTimeZone(spaceData.timezone)) {
+    throw new Error(`Invalid timezone '${spaceData.timezone}'`);
+  }
+
   // Create a new space
   const newSpace = {
     space_name: spaceData.space_name,
     address: spaceData.address || "",
+    timezone: spaceData.timezone,
     devices: spaceData.devices || [],
     created_at: new Date(),
   };
@@ -78,10 +94,11 @@ export async function createSpace(mobileNumber, spaceData) {
 
 // Update a space for a user
 export async function updateSpace(mobileNumber, spaceId, spaceData) {
-  const user = await User.findOne({ mobile_number: mobileNumber });
-  if (!user) {
-    throw new Error("User not found");
-  }
+  const { user } = await resolveSpaceAccess(
+    mobileNumber,
+    spaceId,
+    SPACE_PERMISSIONS.MANAGE
+  );
 
   // Find the space to update
   const spaceIndex = user.spaces.findIndex(
@@ -121,6 +138,13 @@ export async function updateSpace(mobileNumber, spaceId, spaceData) {
     user.spaces[spaceIndex].devices = spaceData.devices;
   }
 
+  if (spaceData.timezone !== undefined) {
+    if (!isValidTimeZone(spaceData.timezone)) {
+      throw new Error(`Invalid timezone '${spaceData.timezone}'`);
+    }
+    user.spaces[spaceIndex].timezone = spaceData.timezone;
+  }
+
   // Save the updated user document
   await user.save();
 
@@ -129,10 +153,7 @@ export async function updateSpace(mobileNumber, spaceId, spaceData) {
 
 // Delete a space for a user
 export async function deleteSpace(mobileNumber, spaceId) {
-  const user = await User.findOne({ mobile_number: mobileNumber });
-  if (!user) {
-    throw new Error("User not found");
-  }
+  const { user } = await resolveSpaceAccess(mobileNumber, spaceId, SPACE_PERMISSIONS.OWN);
 
   // Ensure we're not deleting the last space
   if (user.spaces.length <= 1) {
@@ -154,6 +175,85 @@ export async function deleteSpace(mobileNumber, spaceId) {
 
   // Save the updated user document
   await user.save();
+  await syncUserDevices(user);
+
+  // Schedules, memberships and queued actions live in their own collections
+  await Schedule.deleteMany({ user_id: user._id, space_id: spaceId });
+  await SpaceMember.deleteMany({ space_id: spaceId });
+  await cancelJobs({ space_id: spaceId });
 
   return { success: true, message: "Space deleted successfully" };
 }
+
+// Hand a space over to one of its members. The space moves into the new owner's
+// user document and the previous owner stays on as an admin.
+export async function transferSpaceOwnership(mobileNumber, spaceId, newOwnerMobileNumber) {
+  const { user, space } = await resolveSpaceAccess(
+    mobileNumber,
+    spaceId,
+    SPACE_PERMISSIONS.OWN
+  );
+
+  if (newOwnerMobileNumber === mobileNumber) {
+    throw new Error("You already own this space");
+  }
+
+  // Ownership can only go to someone who accepted access to the space
+  const membership = await SpaceMember.findOne({
+    space_id: space._id,
+    mobile_number: newOwnerMobileNumber,
+    status: "active",
+  });
+  const newOwner = membership
+    ? await User.findOne({ mobile_number: newOwnerMobileNumber })
+    : null;
+  if (!newOwner) {
+    throw new Error("New owner must be an active member of the space");
+  }
+
+  if (user.spaces.length <= 1) {
+    throw new Error(
+      "Cannot transfer the only space. Users must have at least one space."
+    );
+  }
+
+  // Add to the new owner first, refusing if they already have a space with this name
+  const added = await User.updateOne(
+    { _id: newOwner._id, "spaces.space_name": { $ne: space.space_name } },
+    { $push: { spaces: space.toObject() } }
+  );
+  if (added.modifiedCount === 0) {
+    throw new Error(
+      `Space with name '${space.space_name}' already exists for the new owner`
+    );
+  }
+  await User.updateOne({ _id: user._id }, { $pull: { spaces: { _id: space._id } } });
+
+  // Devices, schedules and queued commands follow the space
+  const [previousOwner, currentOwner] = await Promise.all([
+    User.findById(user._id),
+    User.findById(newOwner._id),
+  ]);
+  await syncUserDevices(previousOwner);
+  await syncUserDevices(currentOwner);
+  await Schedule.updateMany({ space_id: space._id }, { $set: { user_id: newOwner._id } });
+  await Job.updateMany(
+    { space_id: space._id, status: "pending" },
+    { $set: { user_id: newOwner._id } }
+  );
+
+  await SpaceMember.updateMany({ space_id: space._id }, { $set: { owner_id: newOwner._id } });
+  await membership.deleteOne();
+  await SpaceMember.create({
+    space_id: space._id,
+    owner_id: newOwner._id,
+    mobile_number: user.mobile_number,
+    user_id: user._id,
+    role: "admin",
+    status: "active",
+    invited_by: newOwnerMobileNumber,
+    accepted_at: new Date(),
+  });
+
+  return currentOwner.spaces.id(space._id);
+}
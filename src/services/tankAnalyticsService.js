@@ -0,0 +1,430 @@
+// src/services/tankAnalyticsService.js
+// What a tank's level history means in litres.
+//
+// Consumption and refills are worked out from how the level moved between
+// readings: every drop is water used, every rise is water added. Sensors jitter by
+// a percent or so, so a change only counts once the level has moved at least
+// TANK_LEVEL_DEADBAND_PERCENT away from the last level that counted.
+//
+// Pump run-time comes from the on/off reports of the base switches in
+// tank_readings; energy is run-time times the pump's rated power.
+import {
+  SPACE_PERMISSIONS,
+  resolveDeviceAccess,
+  resolveSpaceAccess,
+} from "./spaceAccessService.js";
+import {
+  addPeriods,
+  bucketStart,
+  getLevelSeries,
+  getSensorHistory,
+  periodStart,
+  tankSeries,
+} from "./telemetryService.js";
+import { TankReading } from "./migratedDataService.js";
+
+// Statistics a rollup point can carry
+export const HISTORY_AGGREGATES = ["min", "max", "avg", "first", "last"];
+
+export const REPORT_PERIODS = ["day", "week", "month"];
+
+const LEVEL_DEADBAND = parseFloat(process.env.TANK_LEVEL_DEADBAND_PERCENT) || 1;
+
+// Rises less than this far apart belong to the same refill
+const REFILL_GAP_MS = parseInt(process.env.REFILL_GAP_MS) || 30 * 60 * 1000;
+
+// Rated power of pumps without their own pump_power_watts (default 1 HP)
+const DEFAULT_PUMP_POWER_WATTS = parseInt(process.env.PUMP_POWER_WATTS) || 746;
+
+/**
+ * The tank a user asked about, with the series its levels are reported under
+ * @param {String} mobileNumber - Acting user
+ * @param {String} deviceId - Tank device ID
+ * @returns {Promise<Object>} { tank, space, series: { deviceid, sensor_no } }
+ */
+export async function resolveTank(mobileNumber, deviceId) {
+  const { space } = await resolveDeviceAccess(mobileNumber, deviceId, SPACE_PERMISSIONS.VIEW);
+
+  const tank = space.devices.find((device) => device.device_id === deviceId);
+  if (!tank) {
+    throw new Error("Device not found");
+  }
+  if (tank.device_type !== "tank") {
+    throw new Error("Device is not a tank");
+  }
+
+  return { tank, space, series: tankSeries(tank) };
+}
+
+/**
+ * Level changes beyond the sensor's jitter
+ * @param {Array} points - [{ at, level }] in time order
+ * @returns {Array} [{ at, delta, level }] - delta and level in percent of the tank
+ */
+export function levelSteps(points) {
+  const steps = [];
+  let reference = null;
+
+  for (const { at, level } of points) {
+    if (typeof level !== "number") continue;
+    if (reference === null) {
+      reference = level;
+      continue;
+    }
+
+    const delta = level - reference;
+    if (Math.abs(delta) >= LEVEL_DEADBAND) {
+      steps.push({ at, delta, level });
+      reference = level;
+    }
+  }
+
+  return steps;
+}
+
+// Percent of a tank as litres, or null when its capacity is unknown
+function toLitres(percent, capacity) {
+  return capacity ? Math.round(((percent * capacity) / 100) * 10) / 10 : null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Group rises in level into refills
+ * @param {Array} steps - Level steps from levelSteps
+ * @param {Number} capacity - Tank capacity in litres (optional)
+ * @returns {Array} [{ started_at, ended_at, from_level, to_level, litres }]
+ */
+export function refillEvents(steps, capacity) {
+  const refills = [];
+  let current = null;
+
+  for (const { at, delta, level } of steps) {
+    if (delta < 0) {
+      current = null;
+      continue;
+    }
+
+    if (current && at - current.ended_at <= REFILL_GAP_MS) {
+      current.ended_at = at;
+      current.to_level = level;
+    } else {
+      current = { started_at: at, ended_at: at, from_level: level - delta, to_level: level };
+      refills.push(current);
+    }
+  }
+
+  return refills.map((refill) => ({
+    ...refill,
+    litres: toLitres(refill.to_level - refill.from_level, capacity),
+  }));
+}
+
+/**
+ * Water used and added per local day
+ * @param {Array} steps - Level steps from levelSteps
+ * @param {Number} capacity - Tank capacity in litres (optional)
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {String} timeZone - IANA timezone the days are in (default: the fixed
+ *   telemetry offset)
+ * @returns {Object} { daily, total }
+ */
+export function dailyConsumption(steps, capacity, from, to, timeZone) {
+  const days = new Map();
+  for (
+    let day = bucketStart(from, "day", timeZone);
+    day <= to;
+    day = addPeriods(day, "day", 1, timeZone)
+  ) {
+    days.set(day.getTime(), { consumed: 0, refilled: 0 });
+  }
+
+  const total = { consumed: 0, refilled: 0 };
+  for (const { at, delta } of steps) {
+    const day = days.get(bucketStart(at, "day", timeZone).getTime());
+    const key = delta < 0 ? "consumed" : "refilled";
+    if (day) day[key] += Math.abs(delta);
+    total[key] += Math.abs(delta);
+  }
+
+  const describe = ({ consumed, refilled }) => ({
+    consumed_percent: round(consumed),
+    refilled_percent: round(refilled),
+    consumed_litres: toLitres(consumed, capacity),
+    refilled_litres: toLitres(refilled, capacity),
+  });
+
+  return {
+    daily: [...days.entries()].map(([day, totals]) => ({
+      date: new Date(day),
+      ...describe(totals),
+    })),
+    total: describe(total),
+  };
+}
+
+/**
+ * Level history of a tank with its daily consumption and refills
+ * @param {String} mobileNumber - Acting user
+ * @param {String} deviceId - Tank device ID
+ * @param {Object} options - from, to (default: the last 24 hours), bucket ("auto",
+ *   "raw", "hour", "day"), aggregates (statistics to include in rollup points,
+ *   default all), limit (raw readings only)
+ * @returns {Promise<Object>} { device_id, device_name, capacity, resolution, from, to,
+ *   points, consumption }
+ */
+export async function getTankHistory(mobileNumber, deviceId, options = {}) {
+  const aggregates = options.aggregates || HISTORY_AGGREGATES;
+  if (aggregates.some((aggregate) => !HISTORY_AGGREGATES.includes(aggregate))) {
+    throw new Error("Invalid aggregate");
+  }
+
+  const { tank, space, series } = await resolveTank(mobileNumber, deviceId);
+
+  const history = await getSensorHistory(series.deviceid, series.sensor_no, {
+    from: options.from,
+    to: options.to,
+    resolution: options.bucket,
+    limit: options.limit,
+  });
+
+  const points =
+    history.resolution === "raw"
+      ? history.points
+      : history.points.map((point) => ({
+          timestamp: point.timestamp,
+          ...Object.fromEntries(aggregates.map((aggregate) => [aggregate, point[aggregate]])),
+          count: point.count,
+        }));
+
+  const levels = await getLevelSeries(series.deviceid, series.sensor_no, history.from, history.to);
+
+  return {
+    device_id: tank.device_id,
+    device_name: tank.device_name,
+    capacity: tank.capacity ?? null,
+    resolution: history.resolution,
+    from: history.from,
+    to: history.to,
+    points,
+    consumption: {
+      source: levels.source,
+      ...dailyConsumption(
+        levelSteps(levels.points),
+        tank.capacity,
+        history.from,
+        history.to,
+        space.timezone
+      ),
+    },
+  };
+}
+
+/**
+ * When a base switch (and the pump on it) was on
+ * @param {String} deviceId - Base device ID
+ * @param {String} switchNo - BM1 or BM2
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array>} [{ started_at, ended_at }] clipped to the range
+ */
+export async function getPumpRuns(deviceId, switchNo, from, to) {
+  const query = {
+    deviceid: deviceId,
+    switch_no: switchNo,
+    message_type: { $in: ["update", "mqtt_update"] },
+    status: { $in: ["on", "off"] },
+  };
+
+  const [before, reports] = await Promise.all([
+    TankReading.findOne({ ...query, timestamp: { $lt: from } })
+      .sort({ timestamp: -1 })
+      .select("status timestamp")
+      .lean(),
+    TankReading.find({ ...query, timestamp: { $gte: from, $lte: to } })
+      .sort({ timestamp: 1 })
+      .select("status timestamp")
+      .lean(),
+  ]);
+
+  const runs = [];
+  let startedAt = before?.status === "on" ? from : null;
+
+  for (const report of reports) {
+    if (report.status === "on" && !startedAt) {
+      startedAt = report.timestamp;
+    } else if (report.status === "off" && startedAt) {
+      runs.push({ started_at: startedAt, ended_at: report.timestamp });
+      startedAt = null;
+    }
+  }
+
+  // Still running: count up to the end of the range, or now if that is earlier
+  if (startedAt) {
+    const end = new Date(Math.min(to, Date.now()));
+    if (end > startedAt) runs.push({ started_at: startedAt, ended_at: end });
+  }
+
+  return runs;
+}
+
+// Change from the previous period in percent, or null when there was nothing before
+function changePercent(current, previous) {
+  if (current === null || previous === null || !previous) return null;
+  return round(((current - previous) / previous) * 100);
+}
+
+function sum(values) {
+  const known = values.filter((value) => value !== null);
+  return known.length ? round(known.reduce((total, value) => total + value, 0)) : null;
+}
+
+// Consumption and refills of one tank over a range, by day in the space's timezone
+async function tankUsage(tank, from, to, timeZone) {
+  const series = tankSeries(tank);
+  const levels = await getLevelSeries(series.deviceid, series.sensor_no, from, to);
+  const steps = levelSteps(levels.points);
+  const consumption = dailyConsumption(steps, tank.capacity, from, to, timeZone);
+
+  return {
+    ...consumption.total,
+    daily: consumption.daily,
+    refills: refillEvents(steps, tank.capacity),
+  };
+}
+
+// Run-time and energy of one pump over a range
+async function pumpUsage(pump, from, to) {
+  const runs = await getPumpRuns(pump.device_id, pump.switch_no, from, to);
+  const runTimeMs = runs.reduce((total, run) => total + (run.ended_at - run.started_at), 0);
+  const powerWatts = pump.pump_power_watts || DEFAULT_PUMP_POWER_WATTS;
+
+  return {
+    runs: runs.length,
+    run_time_ms: runTimeMs,
+    energy_kwh: Math.round(((runTimeMs / 3600000) * powerWatts) / 10) / 100,
+  };
+}
+
+/**
+ * Water used, refills, pump run-time and energy of a space over a day, week or
+ * month, next to the period before
+ * @param {String} mobileNumber - Acting user
+ * @param {String} spaceId - Space ID
+ * @param {Object} options - period ("day", "week", "month"; default "day"), date
+ *   (any time in the period; default now)
+ * @returns {Promise<Object>} { space_id, space_name, period, timezone, from, to,
+ *   previous, tanks, pumps, totals }
+ */
+export async function getSpaceWaterReport(mobileNumber, spaceId, options = {}) {
+  const period = options.period || "day";
+  if (!REPORT_PERIODS.includes(period)) {
+    throw new Error("Invalid period");
+  }
+
+  const date = options.date ? new Date(options.date) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    throw new Error("Invalid date");
+  }
+
+  const { space } = await resolveSpaceAccess(mobileNumber, spaceId, SPACE_PERMISSIONS.VIEW);
+
+  // Periods follow the space's calendar
+  const { timezone } = space;
+  const from = periodStart(date, period, timezone);
+  const to = new Date(addPeriods(from, period, 1, timezone).getTime() - 1);
+  const previousFrom = addPeriods(from, period, -1, timezone);
+  const previousTo = new Date(from.getTime() - 1);
+
+  const tanks = await Promise.all(
+    space.devices
+      .filter((device) => device.device_type === "tank")
+      .map(async (tank) => {
+        const [current, previous] = await Promise.all([
+          tankUsage(tank, from, to, timezone),
+          tankUsage(tank, previousFrom, previousTo, timezone),
+        ]);
+
+        return {
+          device_id: tank.device_id,
+          device_name: tank.device_name,
+          capacity: tank.capacity ?? null,
+          ...current,
+          previous: {
+            consumed_litres: previous.consumed_litres,
+            refilled_litres: previous.refilled_litres,
+            consumed_percent: previous.consumed_percent,
+            refilled_percent: previous.refilled_percent,
+          },
+          change_percent: {
+            consumed: changePercent(current.consumed_litres, previous.consumed_litres),
+            refilled: changePercent(current.refilled_litres, previous.refilled_litres),
+          },
+        };
+      })
+  );
+
+  const pumps = await Promise.all(
+    space.devices
+      .filter((device) => device.device_type === "base")
+      .map(async (pump) => {
+        const [current, previous] = await Promise.all([
+          pumpUsage(pump, from, to),
+          pumpUsage(pump, previousFrom, previousTo),
+        ]);
+
+        return {
+          device_id: pump.device_id,
+          device_name: pump.device_name,
+          switch_no: pump.switch_no,
+          power_watts: pump.pump_power_watts || DEFAULT_PUMP_POWER_WATTS,
+          ...current,
+          previous,
+          change_percent: {
+            run_time: changePercent(current.run_time_ms, previous.run_time_ms),
+            energy: changePercent(current.energy_kwh, previous.energy_kwh),
+          },
+        };
+      })
+  );
+
+  // Litres only add up over tanks with a known capacity
+  const totals = {
+    consumed_litres: sum(tanks.map((tank) => tank.consumed_litres)),
+    refilled_litres: sum(tanks.map((tank) => tank.refilled_litres)),
+    refills: tanks.reduce((total, tank) => total + tank.refills.length, 0),
+    run_time_ms: pumps.reduce((total, pump) => total + pump.run_time_ms, 0),
+    energy_kwh: sum(pumps.map((pump) => pump.energy_kwh)),
+  };
+  const previousTotals = {
+    consumed_litres: sum(tanks.map((tank) => tank.previous.consumed_litres)),
+    refilled_litres: sum(tanks.map((tank) => tank.previous.refilled_litres)),
+    run_time_ms: pumps.reduce((total, pump) => total + pump.previous.run_time_ms, 0),
+    energy_kwh: sum(pumps.map((pump) => pump.previous.energy_kwh)),
+  };
+
+  return {
+    space_id: space._id,
+    space_name: space.space_name,
+    period,
+    timezone,
+    from,
+    to,
+    previous: { from: previousFrom, to: previousTo },
+    tanks,
+    pumps,
+    totals: {
+      ...totals,
+      previous: previousTotals,
+      change_percent: {
+        consumed: changePercent(totals.consumed_litres, previousTotals.consumed_litres),
+        refilled: changePercent(totals.refilled_litres, previousTotals.refilled_litres),
+        run_time: changePercent(totals.run_time_ms, previousTotals.run_time_ms),
+        energy: changePercent(totals.energy_kwh, previousTotals.energy_kwh),
+      },
+    },
+  };
+}
@@ -0,0 +1,525 @@
+// src/services/tankAnomalyService.js
+// Watches tank levels for things that need a person to look at them.
+//
+// Every level a tank reports is checked against the recent history of the tank and
+// its pumps:
+//   leak        - the level kept dropping while every pump in the space was off,
+//                 during hours when no water is normally used (leak, or an
+//                 overflow valve stuck open)
+//   dry_run     - the tank's pump has been on for a while but the level didn't
+//                 rise (dry run, or no water at the source)
+//   sensor_jump - the level moved further between two readings than water can
+//
+// A detection opens an incident and notifies the owner once. Leak and dry run
+// incidents close themselves when the condition clears; sensor jumps stay open
+// until someone resolves them. Thresholds can be tuned per tank.
+import mongoose from "mongoose";
+import logger from "../utils/logger.js";
+import { createNotification } from "./notificationService.js";
+import { findDeviceOwner } from "./deviceRegistryService.js";
+import { SPACE_PERMISSIONS, resolveSpaceAccess } from "./spaceAccessService.js";
+import { SensorLevel, bucketStart, getLevelSeries } from "./telemetryService.js";
+import { getPumpRuns, levelSteps } from "./tankAnalyticsService.js";
+
+export const INCIDENT_TYPES = ["leak", "dry_run", "sensor_jump"];
+
+const INCIDENT_NOTIFICATIONS = {
+  leak: { type: "TANK_LEAK_SUSPECTED", title: "Possible Leak" },
+  dry_run: { type: "PUMP_DRY_RUN", title: "Pump Running Dry" },
+  sensor_jump: { type: "TANK_SENSOR_JUMP", title: "Sensor Reading Jumped" },
+};
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Defaults for tanks without their own settings
+const [DEFAULT_QUIET_START, DEFAULT_QUIET_END] = (
+  process.env.TANK_QUIET_HOURS || "00:00-05:00"
+).split("-");
+
+const DEFAULT_SETTINGS = {
+  leak: {
+    enabled: true,
+    window_minutes: parseInt(process.env.TANK_LEAK_WINDOW_MINUTES) || 120,
+    drop_percent: parseFloat(process.env.TANK_LEAK_DROP_PERCENT) || 5,
+    quiet_start: DEFAULT_QUIET_START,
+    quiet_end: DEFAULT_QUIET_END,
+  },
+  dry_run: {
+    enabled: true,
+    minutes: parseInt(process.env.PUMP_DRY_RUN_MINUTES) || 20,
+    min_rise_percent: parseFloat(process.env.PUMP_DRY_RUN_MIN_RISE_PERCENT) || 2,
+  },
+  sensor_jump: {
+    enabled: true,
+    jump_percent: parseFloat(process.env.TANK_JUMP_PERCENT) || 30,
+    max_interval_minutes: parseInt(process.env.TANK_JUMP_MAX_INTERVAL_MINUTES) || 5,
+  },
+};
+
+// Tank Anomaly Settings Schema - per-tank thresholds; unset fields use the defaults
+const tankAnomalySettingsSchema = new mongoose.Schema(
+  {
+    device_id: {
+      type: String,
+      required: [true, "Device ID is required"],
+      unique: true,
+    },
+    leak: {
+      _id: false,
+      enabled: Boolean,
+      window_minutes: Number,
+      drop_percent: Number,
+      // Local time; the same start and end means any time of day
+      quiet_start: String,
+      quiet_end: String,
+    },
+    dry_run: {
+      _id: false,
+      enabled: Boolean,
+      minutes: Number,
+      min_rise_percent: Number,
+    },
+    sensor_jump: {
+      _id: false,
+      enabled: Boolean,
+      jump_percent: Number,
+      max_interval_minutes: Number,
+    },
+  },
+  { timestamps: true }
+);
+
+export const TankAnomalySettings = mongoose.model(
+  "TankAnomalySettings",
+  tankAnomalySettingsSchema,
+  "tank_anomaly_settings"
+);
+
+// Tank Incident Schema - one detected problem with a tank, open until it clears
+const tankIncidentSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    space_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Space is required"],
+    },
+    device_id: {
+      type: String,
+      required: [true, "Device ID is required"],
+    },
+    device_name: String,
+    type: {
+      type: String,
+      enum: INCIDENT_TYPES,
+      required: [true, "Incident type is required"],
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open",
+    },
+    started_at: {
+      type: Date,
+      default: Date.now,
+    },
+    last_detected_at: Date,
+    resolved_at: Date,
+    // "auto" when the condition cleared, else the mobile number of who resolved it
+    resolved_by: String,
+    // Levels, thresholds and pump state at detection
+    details: mongoose.Schema.Types.Mixed,
+  },
+  { timestamps: true }
+);
+
+// At most one open incident of each type per tank
+tankIncidentSchema.index(
+  { device_id: 1, type: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+tankIncidentSchema.index({ space_id: 1, status: 1, started_at: -1 });
+
+export const TankIncident = mongoose.model("TankIncident", tankIncidentSchema, "tank_incidents");
+
+// A tank's settings with the defaults filled in
+async function loadSettings(deviceId) {
+  const stored = await TankAnomalySettings.findOne({ device_id: deviceId }).lean();
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_SETTINGS).map(([check, defaults]) => [
+      check,
+      { ...defaults, ...stored?.[check] },
+    ])
+  );
+}
+
+// Whether a time falls in the quiet hours of the space's timezone, which may wrap
+// past midnight
+function inQuietHours(at, { quiet_start, quiet_end }, timeZone) {
+  if (quiet_start === quiet_end) return true;
+
+  const minutes = (at - bucketStart(at, "day", timeZone)) / 60000;
+  const toMinutes = (time) => {
+    const [hours, mins] = time.split(":").map(Number);
+    return hours * 60 + mins;
+  };
+  const start = toMinutes(quiet_start);
+  const end = toMinutes(quiet_end);
+
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Open an incident and notify the owner, unless one of the same type is already
+ * open for the tank
+ */
+async function openIncident(owner, space, tank, type, at, details, message) {
+  const existing = await TankIncident.findOneAndUpdate(
+    { device_id: tank.device_id, type, status: "open" },
+    { $set: { last_detected_at: at, details } }
+  );
+  if (existing) return;
+
+  try {
+    await TankIncident.create({
+      user_id: owner._id,
+      space_id: space._id,
+      device_id: tank.device_id,
+      device_name: tank.device_name,
+      type,
+      started_at: at,
+      last_detected_at: at,
+      details,
+    });
+  } catch (error) {
+    // Another reading opened it first
+    if (error.code === 11000) return;
+    throw error;
+  }
+
+  logger.warn(`🚨 ${type} detected on tank ${tank.device_id}`, details);
+
+  await createNotification({
+    ...INCIDENT_NOTIFICATIONS[type],
+    message,
+    user_id: owner._id,
+    data: {
+      incident_type: type,
+      device_id: tank.device_id,
+      device_name: tank.device_name,
+      space_name: space.space_name,
+      space_id: space._id,
+      ...details,
+    },
+  });
+}
+
+// Close the open incident of a type once its condition has cleared
+async function clearIncident(tank, type, at) {
+  const result = await TankIncident.updateOne(
+    { device_id: tank.device_id, type, status: "open" },
+    { $set: { status: "resolved", resolved_at: at, resolved_by: "auto" } }
+  );
+  if (result.modifiedCount > 0) {
+    logger.info(`✅ ${type} on tank ${tank.device_id} cleared`);
+  }
+}
+
+async function checkSensorJump(context) {
+  const { tank, series, level, at, settings } = context;
+  const { jump_percent, max_interval_minutes } = settings.sensor_jump;
+
+  const previous = await SensorLevel.findOne({
+    "meta.deviceid": series.deviceid,
+    "meta.sensor_no": series.sensor_no,
+    timestamp: { $lt: at },
+  })
+    .sort({ timestamp: -1 })
+    .lean();
+  if (!previous || at - previous.timestamp > max_interval_minutes * 60000) return;
+
+  const jump = Math.abs(level - previous.level);
+  if (jump < jump_percent) return;
+
+  await openIncident(
+    context.owner,
+    context.space,
+    tank,
+    "sensor_jump",
+    at,
+    {
+      from_level: previous.level,
+      to_level: level,
+      interval_ms: at - previous.timestamp,
+      jump_percent,
+    },
+    `Tank ${tank.device_name} level jumped from ${previous.level}% to ${level}%. Check the sensor.`
+  );
+}
+
+async function checkLeak(context) {
+  const { space, tank, series, level, at, settings } = context;
+  const { window_minutes, drop_percent } = settings.leak;
+  const windowMs = window_minutes * 60000;
+  const windowStart = new Date(at.getTime() - windowMs);
+
+  const { points } = await getLevelSeries(series.deviceid, series.sensor_no, windowStart, at);
+  // Readings must cover most of the window to tell a steady drop from a gap
+  const covered = points.length >= 2 && points[0].at - windowStart <= windowMs / 10;
+  const steps = levelSteps(points);
+  const drop = covered ? points[0].level - level : 0;
+
+  const pumps = space.devices.filter((device) => device.device_type === "base");
+  const pumpRuns = await Promise.all(
+    pumps.map((pump) => getPumpRuns(pump.device_id, pump.switch_no, windowStart, at))
+  );
+  const pumpsOff = pumpRuns.every((runs) => runs.length === 0);
+
+  const draining =
+    covered && steps.length > 0 && steps.every((step) => step.delta < 0) && drop >= drop_percent;
+
+  if (!draining || !pumpsOff) {
+    await clearIncident(tank, "leak", at);
+    return;
+  }
+  if (!inQuietHours(at, settings.leak, space.timezone)) return;
+
+  await openIncident(
+    context.owner,
+    space,
+    tank,
+    "leak",
+    at,
+    { from_level: points[0].level, to_level: level, window_minutes, drop_percent },
+    `Tank ${tank.device_name} dropped from ${points[0].level}% to ${level}% in ${window_minutes} minutes with all pumps off. Check for a leak or an open valve.`
+  );
+}
+
+async function checkDryRun(context) {
+  const { space, tank, series, at, settings } = context;
+  const { minutes, min_rise_percent } = settings.dry_run;
+  const windowStart = new Date(at.getTime() - minutes * 60000);
+
+  const pump = space.devices.find(
+    (device) =>
+      device.device_type === "base" &&
+      device.device_id === tank.parent_device_id &&
+      device.switch_no === tank.parent_switch_no
+  );
+  if (!pump) return;
+
+  const runs = await getPumpRuns(pump.device_id, pump.switch_no, windowStart, at);
+  const runningThroughout = runs.length === 1 && runs[0].started_at <= windowStart;
+
+  const { points } = runningThroughout
+    ? await getLevelSeries(series.deviceid, series.sensor_no, windowStart, at)
+    : { points: [] };
+  const rise =
+    points.length >= 2 ? Math.max(...points.map((point) => point.level)) - points[0].level : null;
+
+  if (rise === null || rise >= min_rise_percent) {
+    await clearIncident(tank, "dry_run", at);
+    return;
+  }
+
+  await openIncident(
+    context.owner,
+    space,
+    tank,
+    "dry_run",
+    at,
+    {
+      pump_device_id: pump.device_id,
+      switch_no: pump.switch_no,
+      level: context.level,
+      rise_percent: Math.round(rise * 100) / 100,
+      minutes,
+      min_rise_percent,
+    },
+    `The pump for tank ${tank.device_name} has run for ${minutes} minutes without the level rising. Check the water source.`
+  );
+}
+
+/**
+ * Check a level a tank just reported for leaks, dry-running pumps and sensor jumps.
+ * Call it after the reading is stored.
+ * @param {Object} reading - deviceid, sensor_no, level, timestamp as reported
+ */
+export async function analyzeTankLevel({ deviceid, sensor_no, level, timestamp }) {
+  const owner = await findDeviceOwner(deviceid);
+  if (!owner) return;
+
+  let space = null;
+  let tank = null;
+  for (const candidate of owner.spaces) {
+    tank = candidate.devices.find(
+      (device) =>
+        device.device_type === "tank" &&
+        (device.device_id === deviceid ||
+          (device.parent_device_id === deviceid && device.slave_name === sensor_no))
+    );
+    if (tank) {
+      space = candidate;
+      break;
+    }
+  }
+  if (!tank) return;
+
+  let at = timestamp ? new Date(timestamp) : new Date();
+  if (Number.isNaN(at.getTime())) at = new Date();
+
+  const settings = await loadSettings(tank.device_id);
+  const context = {
+    owner,
+    space,
+    tank,
+    series: { deviceid, sensor_no },
+    level: Number(level),
+    at,
+    settings,
+  };
+
+  const checks = [
+    ["sensor_jump", checkSensorJump],
+    ["leak", checkLeak],
+    ["dry_run", checkDryRun],
+  ];
+  for (const [name, check] of checks) {
+    if (!settings[name].enabled) continue;
+    try {
+      await check(context);
+    } catch (error) {
+      logger.error(`❌ Error checking ${name} on tank ${tank.device_id}: ${error.message}`);
+    }
+  }
+}
+
+// Find a tank in a space the user can act on
+async function resolveSpaceTank(mobileNumber, spaceId, deviceId, permission) {
+  const { space } = await resolveSpaceAccess(mobileNumber, spaceId, permission);
+
+  const tank = space.devices.find((device) => device.device_id === deviceId);
+  if (!tank) {
+    throw new Error("Device not found");
+  }
+  if (tank.device_type !== "tank") {
+    throw new Error("Device is not a tank");
+  }
+  return tank;
+}
+
+/**
+ * Anomaly detection settings of a tank, defaults filled in
+ * @param {String} mobileNumber - Acting user
+ * @param {String} spaceId - Space ID
+ * @param {String} deviceId - Tank device ID
+ * @returns {Promise<Object>} { device_id, leak, dry_run, sensor_jump }
+ */
+export async function getTankAnomalySettings(mobileNumber, spaceId, deviceId) {
+  await resolveSpaceTank(mobileNumber, spaceId, deviceId, SPACE_PERMISSIONS.VIEW);
+  return { device_id: deviceId, ...(await loadSettings(deviceId)) };
+}
+
+/**
+ * Change some of a tank's anomaly detection settings
+ * @param {String} mobileNumber - Acting user
+ * @param {String} spaceId - Space ID
+ * @param {String} deviceId - Tank device ID
+ * @param {Object} changes - { leak, dry_run, sensor_jump }, each with the fields to change
+ * @returns {Promise<Object>} The settings after the change
+ */
+export async function updateTankAnomalySettings(mobileNumber, spaceId, deviceId, changes = {}) {
+  await resolveSpaceTank(mobileNumber, spaceId, deviceId, SPACE_PERMISSIONS.MANAGE);
+
+  const update = {};
+  for (const [check, fields] of Object.entries(changes)) {
+    if (!DEFAULT_SETTINGS[check] || typeof fields !== "object" || fields === null) {
+      throw new Error(`Invalid anomaly setting: ${check}`);
+    }
+
+    for (const [field, value] of Object.entries(fields)) {
+      const defaultValue = DEFAULT_SETTINGS[check][field];
+      const valid =
+        typeof defaultValue === "boolean"
+          ? typeof value === "boolean"
+          : typeof defaultValue === "number"
+            ? typeof value === "number" && value > 0
+            : typeof value === "string" && TIME_OF_DAY.test(value);
+      if (defaultValue === undefined || !valid) {
+        throw new Error(`Invalid anomaly setting: ${check}.${field}`);
+      }
+      update[`${check}.${field}`] = value;
+    }
+  }
+
+  if (Object.keys(update).length > 0) {
+    await TankAnomalySettings.updateOne(
+      { device_id: deviceId },
+      { $set: update },
+      { upsert: true }
+    );
+  }
+
+  return { device_id: deviceId, ...(await loadSettings(deviceId)) };
+}
+
+/**
+ * List the incidents of a space, newest first
+ * @param {String} mobileNumber - Acting user
+ * @param {String} spaceId - Space ID
+ * @param {Object} options - status, type, device_id, limit, offset
+ * @returns {Promise<Object>} { incidents, pagination }
+ */
+export async function getSpaceIncidents(mobileNumber, spaceId, options = {}) {
+  const { space } = await resolveSpaceAccess(mobileNumber, spaceId, SPACE_PERMISSIONS.VIEW);
+  const { status, type, device_id, limit = 50, offset = 0 } = options;
+
+  const query = { space_id: space._id };
+  if (status) query.status = status;
+  if (type) query.type = type;
+  if (device_id) query.device_id = device_id;
+
+  const [incidents, total] = await Promise.all([
+    TankIncident.find(query).sort({ started_at: -1 }).skip(offset).limit(limit).lean(),
+    TankIncident.countDocuments(query),
+  ]);
+
+  return {
+    incidents,
+    pagination: {
+      total,
+      limit,
+      offset,
+      hasMore: offset + incidents.length < total,
+    },
+  };
+}
+
+/**
+ * Mark an open incident as dealt with
+ * @param {String} mobileNumber - Acting user
+ * @param {String} spaceId - Space ID
+ * @param {String} incidentId - Incident ID
+ * @returns {Promise<Object>} The resolved incident
+ */
+export async function resolveIncident(mobileNumber, spaceId, incidentId) {
+  const { space } = await resolveSpaceAccess(mobileNumber, spaceId, SPACE_PERMISSIONS.CONTROL);
+  if (!mongoose.isValidObjectId(incidentId)) {
+    throw new Error("Incident not found");
+  }
+
+  const incident = await TankIncident.findOneAndUpdate(
+    { _id: incidentId, space_id: space._id, status: "open" },
+    { $set: { status: "resolved", resolved_at: new Date(), resolved_by: mobileNumber } },
+    { new: true }
+  ).lean();
+  if (!incident) {
+    throw new Error("Incident not found");
+  }
+
+  return incident;
+}
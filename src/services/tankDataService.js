@@ -2,7 +2,9 @@
 import { getLatestSensorData, getLatestSwitchStatus, TankReading } from './migratedDataService.js';
 import { publishToIoT } from '../utils/mqttHelper.js';
 import { getTopic } from '../config/awsIotConfig.js';
-import { User } from '../config/dbconfig.js';
+import { findDeviceOwner } from './deviceRegistryService.js';
+import { recordSensorLevel } from './telemetryService.js';
+import { getTankHistory } from './tankAnalyticsService.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -23,9 +25,7 @@ export async function sensorData(req, res) {
 
   try {
     // Find the device to determine if it's a base or tank device
-    const user = await User.findOne({
-      "spaces.devices.device_id": deviceid
-    });
+    const user = await findDeviceOwner(deviceid);
 
     let baseDeviceId = deviceid;
     let thingName = null;
@@ -170,9 +170,7 @@ export async function switchStatus(req, res) {
 
   try {
     // Find the device and publish update request
-    const user = await User.findOne({
-      "spaces.devices.device_id": deviceid
-    });
+    const user = await findDeviceOwner(deviceid);
 
     if (user) {
       for (const space of user.spaces) {
@@ -286,6 +284,7 @@ export async function handleMqttIncomingData(message) {
     });
 
     await tankReading.save();
+    await recordSensorLevel({ deviceid, sensor_no, level: value, timestamp: now });
     logger.info(`✅ MQTT data saved to MongoDB for device ${deviceid}`);
   } catch (err) {
     logger.error(`❌ Error handling MQTT data: ${err.message}`);
@@ -293,49 +292,54 @@ export async function handleMqttIncomingData(message) {
 }
 
 /**
- * Get historical sensor data for a device
+ * Get the level history of a tank the user has access to, with its daily
+ * consumption and refills. The bucket follows the range unless one is asked for:
+ * raw readings for a day, hourly rollups up to a month, daily beyond.
  */
 export async function getHistoricalData(req, res) {
-  const { deviceid, sensorNumber } = req.params;
-  const { startDate, endDate, limit = 1000 } = req.query;
+  const { deviceid } = req.params;
+  const { from, to, bucket, aggregates, limit } = req.query;
 
-  logger.info(`📊 getHistoricalData called for ${deviceid}/${sensorNumber}`);
-
-  if (!deviceid) {
-    return res.status(400).json({
-      success: false,
-      message: 'deviceId is required.',
-    });
-  }
+  logger.info(`📊 getHistoricalData called for ${deviceid}`);
 
   try {
-    const query = { deviceid };
-
-    if (sensorNumber) query.sensor_no = sensorNumber;
-    if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) query.timestamp.$gte = new Date(startDate);
-      if (endDate) query.timestamp.$lte = new Date(endDate);
-    }
-
-    const readings = await TankReading.find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .lean();
+    const history = await getTankHistory(req.user.mobile_number, deviceid, {
+      from,
+      to,
+      bucket,
+      aggregates: aggregates ? aggregates.split(',').map((a) => a.trim()) : undefined,
+      limit,
+    });
 
-    logger.info(`✅ Found ${readings.length} historical records`);
+    logger.info(`✅ Found ${history.points.length} ${history.resolution} history points`);
 
     res.json({
       success: true,
-      data: readings,
-      count: readings.length,
+      data: history,
+      count: history.points.length,
     });
   } catch (error) {
-    logger.error('❌ Error fetching historical data:', error);
-    res.status(500).json({
+    let statusCode = 500;
+    if (error.message === 'Device not found') {
+      statusCode = 404;
+    } else if (
+      error.message === 'Device is not a tank' ||
+      error.message === 'Invalid date range' ||
+      error.message === 'Invalid resolution' ||
+      error.message === 'Invalid aggregate'
+    ) {
+      statusCode = 400;
+    } else if (error.message === 'Insufficient permissions for this space') {
+      statusCode = 403;
+    }
+
+    if (statusCode === 500) {
+      logger.error('❌ Error fetching historical data:', error);
+    }
+
+    res.status(statusCode).json({
       success: false,
-      error: 'Internal Server Error',
-      details: error.message,
+      message: error.message,
     });
   }
 }
@@ -0,0 +1,489 @@
+// src/services/telemetryService.js
+// Tank levels over time.
+//
+// Every level a tank reports goes into sensor_levels, a MongoDB time-series
+// collection bucketed per tank (meta: deviceid, sensor_no). Next to it,
+// sensor_rollups keeps the min/max/avg of each tank per hour and per day, updated
+// as readings arrive, so a chart over weeks or months reads a few hundred rollups
+// instead of every raw reading.
+import mongoose from "mongoose";
+import logger from "../utils/logger.js";
+import { findRegisteredDevice } from "./deviceRegistryService.js";
+
+export const RESOLUTIONS = ["raw", "hour", "day"];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Raw readings are dropped after this long; the rollups are kept
+const RAW_RETENTION_DAYS = parseInt(process.env.TELEMETRY_RAW_RETENTION_DAYS) || 90;
+
+// Longest range served from raw readings and from hourly rollups
+const RAW_MAX_RANGE_MS = parseInt(process.env.TELEMETRY_RAW_MAX_RANGE_MS) || DAY_MS;
+const HOURLY_MAX_RANGE_MS = parseInt(process.env.TELEMETRY_HOURLY_MAX_RANGE_MS) || 31 * DAY_MS;
+
+// Hours and days are bucketed in local time (default IST), so a "day" is a calendar day
+// for the user. Fixed offset, no daylight saving.
+const UTC_OFFSET_MINUTES =
+  process.env.TELEMETRY_UTC_OFFSET_MINUTES !== undefined
+    ? parseInt(process.env.TELEMETRY_UTC_OFFSET_MINUTES)
+    : 330;
+const UTC_OFFSET_MS = UTC_OFFSET_MINUTES * 60 * 1000;
+
+// Sensor Level Schema - one reported tank level (time-series collection)
+const sensorLevelSchema = new mongoose.Schema(
+  {
+    timestamp: {
+      type: Date,
+      required: [true, "Timestamp is required"],
+    },
+    meta: {
+      _id: false,
+      deviceid: String,
+      sensor_no: String,
+    },
+    level: {
+      type: Number,
+      required: [true, "Level is required"],
+    },
+  },
+  {
+    versionKey: false,
+    timeseries: {
+      timeField: "timestamp",
+      metaField: "meta",
+      granularity: "minutes",
+    },
+    expireAfterSeconds: RAW_RETENTION_DAYS * 24 * 60 * 60,
+  }
+);
+
+sensorLevelSchema.index({ "meta.deviceid": 1, "meta.sensor_no": 1, timestamp: 1 });
+
+export const SensorLevel = mongoose.model("SensorLevel", sensorLevelSchema, "sensor_levels");
+
+// Sensor Rollup Schema - level statistics of one tank over one hour or day
+const sensorRollupSchema = new mongoose.Schema(
+  {
+    deviceid: {
+      type: String,
+      required: [true, "Device ID is required"],
+    },
+    sensor_no: String,
+    resolution: {
+      type: String,
+      enum: ["hour", "day"],
+      required: [true, "Resolution is required"],
+    },
+    bucket_start: {
+      type: Date,
+      required: [true, "Bucket start is required"],
+    },
+    min: Number,
+    max: Number,
+    // avg is sum / count
+    sum: Number,
+    count: Number,
+    // Earliest and latest reading in the bucket
+    first: Number,
+    first_at: Date,
+    last: Number,
+    last_at: Date,
+  },
+  { versionKey: false }
+);
+
+sensorRollupSchema.index(
+  { deviceid: 1, sensor_no: 1, resolution: 1, bucket_start: 1 },
+  { unique: true }
+);
+
+export const SensorRollup = mongoose.model("SensorRollup", sensorRollupSchema, "sensor_rollups");
+
+// Formatters are costly to create, so keep one per timezone
+const zoneFormatters = new Map();
+
+// Offset of an IANA timezone from UTC at an instant, in ms (follows daylight saving)
+function zoneOffsetMs(at, timeZone) {
+  let formatter = zoneFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    zoneFormatters.set(timeZone, formatter);
+  }
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(at).map((part) => [part.type, parseInt(part.value)])
+  );
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - (at.getTime() - at.getUTCMilliseconds());
+}
+
+// Calendar dates in local time are read from a Date shifted by the offset, using
+// its UTC fields. Without a timezone the fixed TELEMETRY_UTC_OFFSET_MINUTES is used.
+function shiftToLocal(at, timeZone) {
+  const offset = timeZone ? zoneOffsetMs(at, timeZone) : UTC_OFFSET_MS;
+  return new Date(at.getTime() + offset);
+}
+
+function shiftFromLocal(local, timeZone) {
+  if (!timeZone) return new Date(local.getTime() - UTC_OFFSET_MS);
+
+  // The offset that applies is the one at the resulting instant, which differs from
+  // the one at the guess only around daylight saving changes
+  const guess = new Date(local.getTime() - zoneOffsetMs(local, timeZone));
+  return new Date(local.getTime() - zoneOffsetMs(guess, timeZone));
+}
+
+/**
+ * Start of the local hour or day a time falls in
+ * @param {Date} at - Time
+ * @param {String} resolution - "hour" or "day"
+ * @param {String} timeZone - IANA timezone (default: the fixed telemetry offset)
+ * @returns {Date}
+ */
+export function bucketStart(at, resolution, timeZone) {
+  const size = resolution === "day" ? DAY_MS : HOUR_MS;
+  const local = shiftToLocal(at, timeZone).getTime();
+  return shiftFromLocal(new Date(local - (((local % size) + size) % size)), timeZone);
+}
+
+/**
+ * Start of the local day, week (from Monday) or month a time falls in
+ * @param {Date} at - Time
+ * @param {String} period - "day", "week" or "month"
+ * @param {String} timeZone - IANA timezone (default: the fixed telemetry offset)
+ * @returns {Date}
+ */
+export function periodStart(at, period, timeZone) {
+  const local = shiftToLocal(bucketStart(at, "day", timeZone), timeZone);
+  if (period === "week") local.setUTCDate(local.getUTCDate() - ((local.getUTCDay() + 6) % 7));
+  if (period === "month") local.setUTCDate(1);
+  return shiftFromLocal(local, timeZone);
+}
+
+/**
+ * Move a period start by whole periods
+ * @param {Date} start - Start of a period, from periodStart
+ * @param {String} period - "day", "week" or "month"
+ * @param {Number} count - Periods to move, negative to go back
+ * @param {String} timeZone - IANA timezone (default: the fixed telemetry offset)
+ * @returns {Date}
+ */
+export function addPeriods(start, period, count, timeZone) {
+  const local = shiftToLocal(start, timeZone);
+  if (period === "day") local.setUTCDate(local.getUTCDate() + count);
+  if (period === "week") local.setUTCDate(local.getUTCDate() + 7 * count);
+  if (period === "month") local.setUTCMonth(local.getUTCMonth() + count);
+  return shiftFromLocal(local, timeZone);
+}
+
+// Offset as "+05:30", for date expressions in aggregations
+function timezoneOffset() {
+  const sign = UTC_OFFSET_MINUTES < 0 ? "-" : "+";
+  const minutes = Math.abs(UTC_OFFSET_MINUTES);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${sign}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+// Fold one reading into a rollup
+async function updateRollup(deviceid, sensorNo, resolution, level, at) {
+  const filter = {
+    deviceid,
+    sensor_no: sensorNo,
+    resolution,
+    bucket_start: bucketStart(at, resolution),
+  };
+
+  // Readings can arrive late, so first/last go by reading time, not arrival
+  const update = [
+    {
+      $set: {
+        min: { $min: ["$min", level] },
+        max: { $max: ["$max", level] },
+        sum: { $add: [{ $ifNull: ["$sum", 0] }, level] },
+        count: { $add: [{ $ifNull: ["$count", 0] }, 1] },
+        first: {
+          $cond: [{ $lte: [at, { $ifNull: ["$first_at", at] }] }, level, "$first"],
+        },
+        first_at: { $min: ["$first_at", at] },
+        last: {
+          $cond: [{ $gte: [at, { $ifNull: ["$last_at", at] }] }, level, "$last"],
+        },
+        last_at: { $max: ["$last_at", at] },
+      },
+    },
+  ];
+
+  try {
+    await SensorRollup.updateOne(filter, update, { upsert: true });
+  } catch (error) {
+    // Another reading created the bucket first - fold this one into it
+    if (error.code === 11000) {
+      await SensorRollup.updateOne(filter, update);
+      return;
+    }
+    throw error;
+  }
+}
+
+/**
+ * The series a tank's levels are stored under. Tanks report through their base,
+ * so that is the base's device ID and the tank's sensor number.
+ * @param {Object} tank - Embedded device or registry entry
+ * @returns {Object} { deviceid, sensor_no }
+ */
+export function tankSeries(tank) {
+  return {
+    deviceid: tank.parent_device_id || tank.device_id,
+    sensor_no: tank.slave_name,
+  };
+}
+
+/**
+ * Store a level reported by a tank and fold it into its hourly and daily rollups.
+ * Tanks reporting under their own device ID, without a sensor number, are stored
+ * under their tank series.
+ * @param {Object} reading - deviceid, sensor_no, level (0-100), timestamp
+ * @returns {Promise<Object|null>} The stored reading, or null if it had no level to store
+ */
+export async function recordSensorLevel({ deviceid, sensor_no, level, timestamp }) {
+  const value = Number(level);
+  if (!deviceid || level === null || level === "" || !Number.isFinite(value)) {
+    return null;
+  }
+
+  if (!sensor_no) {
+    const tank = await findRegisteredDevice(deviceid);
+    if (tank?.device_type !== "tank") return null;
+    ({ deviceid, sensor_no } = tankSeries(tank));
+  }
+  if (!sensor_no) return null;
+
+  let at = timestamp ? new Date(timestamp) : new Date();
+  if (Number.isNaN(at.getTime())) at = new Date();
+
+  await SensorLevel.create({ timestamp: at, meta: { deviceid, sensor_no }, level: value });
+  await Promise.all([
+    updateRollup(deviceid, sensor_no, "hour", value, at),
+    updateRollup(deviceid, sensor_no, "day", value, at),
+  ]);
+
+  return { deviceid, sensor_no, level: value, timestamp: at };
+}
+
+/**
+ * Resolution to serve a range at: raw readings for short ranges, hourly rollups up
+ * to a month and daily rollups beyond. Ranges reaching past the raw retention use
+ * rollups.
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {String} "raw", "hour" or "day"
+ */
+export function pickResolution(from, to) {
+  const range = to - from;
+  const rawAvailableFrom = Date.now() - RAW_RETENTION_DAYS * DAY_MS;
+
+  if (range <= RAW_MAX_RANGE_MS && from >= rawAvailableFrom) return "raw";
+  if (range <= HOURLY_MAX_RANGE_MS) return "hour";
+  return "day";
+}
+
+/**
+ * Level history of a tank
+ * @param {String} deviceid - Tank device ID
+ * @param {String} sensorNo - Sensor number, e.g. TM1
+ * @param {Object} options - from, to (default: the last 24 hours), resolution
+ *   ("auto", "raw", "hour", "day"; default "auto"), limit (raw readings only)
+ * @returns {Promise<Object>} { resolution, from, to, points }. Raw points are
+ *   { timestamp, level }; rollup points are { timestamp, min, max, avg, first, last, count }.
+ */
+export async function getSensorHistory(deviceid, sensorNo, options = {}) {
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : new Date(to.getTime() - DAY_MS);
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    throw new Error("Invalid date range");
+  }
+
+  const requested = options.resolution || "auto";
+  if (requested !== "auto" && !RESOLUTIONS.includes(requested)) {
+    throw new Error("Invalid resolution");
+  }
+  const resolution = requested === "auto" ? pickResolution(from, to) : requested;
+
+  if (resolution === "raw") {
+    const limit = Math.min(parseInt(options.limit) || 1000, 10000);
+    const readings = await SensorLevel.find({
+      "meta.deviceid": deviceid,
+      "meta.sensor_no": sensorNo,
+      timestamp: { $gte: from, $lte: to },
+    })
+      .sort({ timestamp: 1 })
+      .limit(limit)
+      .select("timestamp level -_id")
+      .lean();
+
+    return { resolution, from, to, points: readings };
+  }
+
+  const rollups = await SensorRollup.find({
+    deviceid,
+    sensor_no: sensorNo,
+    resolution,
+    bucket_start: { $gte: bucketStart(from, resolution), $lte: to },
+  })
+    .sort({ bucket_start: 1 })
+    .lean();
+
+  const points = rollups.map((rollup) => ({
+    timestamp: rollup.bucket_start,
+    min: rollup.min,
+    max: rollup.max,
+    avg: rollup.count ? Math.round((rollup.sum / rollup.count) * 100) / 100 : null,
+    first: rollup.first,
+    last: rollup.last,
+    count: rollup.count,
+  }));
+
+  return { resolution, from, to, points };
+}
+
+/**
+ * A tank's level readings in time order, for working out how the level moved.
+ * Raw readings are used for the ranges pickResolution serves raw; otherwise each
+ * hour contributes its first and last level.
+ * @param {String} deviceid - Device ID the levels are reported under
+ * @param {String} sensorNo - Sensor number
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Object>} { source: "raw" | "hour", points: [{ at, level }] }
+ */
+export async function getLevelSeries(deviceid, sensorNo, from, to) {
+  if (pickResolution(from, to) === "raw") {
+    const readings = await SensorLevel.find({
+      "meta.deviceid": deviceid,
+      "meta.sensor_no": sensorNo,
+      timestamp: { $gte: from, $lte: to },
+    })
+      .sort({ timestamp: 1 })
+      .select("timestamp level -_id")
+      .lean();
+
+    return {
+      source: "raw",
+      points: readings.map((reading) => ({ at: reading.timestamp, level: reading.level })),
+    };
+  }
+
+  const rollups = await SensorRollup.find({
+    deviceid,
+    sensor_no: sensorNo,
+    resolution: "hour",
+    bucket_start: { $gte: bucketStart(from, "hour"), $lte: to },
+  })
+    .sort({ bucket_start: 1 })
+    .select("first first_at last last_at")
+    .lean();
+
+  return {
+    source: "hour",
+    points: rollups.flatMap((rollup) => [
+      { at: rollup.first_at, level: rollup.first },
+      { at: rollup.last_at, level: rollup.last },
+    ]),
+  };
+}
+
+/**
+ * Aggregation stages that roll readings up and write them to sensor_rollups,
+ * replacing what is stored for those buckets. Each input document must be shaped
+ * like a sensor_levels reading: { timestamp, meta: { deviceid, sensor_no }, level }.
+ * @param {String} resolution - "hour" or "day"
+ * @returns {Array} Pipeline stages
+ */
+export function rollupStages(resolution) {
+  return [
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: {
+          deviceid: "$meta.deviceid",
+          sensor_no: "$meta.sensor_no",
+          bucket_start: {
+            $dateTrunc: { date: "$timestamp", unit: resolution, timezone: timezoneOffset() },
+          },
+        },
+        min: { $min: "$level" },
+        max: { $max: "$level" },
+        sum: { $sum: "$level" },
+        count: { $sum: 1 },
+        first: { $first: "$level" },
+        first_at: { $first: "$timestamp" },
+        last: { $last: "$level" },
+        last_at: { $last: "$timestamp" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        deviceid: "$_id.deviceid",
+        sensor_no: "$_id.sensor_no",
+        resolution: { $literal: resolution },
+        bucket_start: "$_id.bucket_start",
+        min: 1,
+        max: 1,
+        sum: 1,
+        count: 1,
+        first: 1,
+        first_at: 1,
+        last: 1,
+        last_at: 1,
+      },
+    },
+    {
+      $merge: {
+        into: "sensor_rollups",
+        on: ["deviceid", "sensor_no", "resolution", "bucket_start"],
+        whenMatched: "merge",
+        whenNotMatched: "insert",
+      },
+    },
+  ];
+}
+
+/**
+ * Recompute the rollups of whole days from the raw readings
+ * @param {Object} options - from, to: days to recompute (default: all)
+ * @returns {Promise<void>}
+ */
+export async function rebuildRollups({ from, to } = {}) {
+  const match = {};
+  if (from || to) {
+    match.timestamp = {};
+    if (from) match.timestamp.$gte = bucketStart(new Date(from), "day");
+    if (to) match.timestamp.$lt = new Date(bucketStart(new Date(to), "day").getTime() + DAY_MS);
+  }
+
+  for (const resolution of ["hour", "day"]) {
+    await SensorLevel.aggregate([{ $match: match }, ...rollupStages(resolution)]).allowDiskUse(
+      true
+    );
+    logger.info(`✅ Rebuilt ${resolution} rollups`);
+  }
+}
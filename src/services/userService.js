@@ -1,6 +1,9 @@
 // src/services/userService.js
 
-import { User } from "../config/dbconfig.js";
+import { User, USER_ROLES } from "../config/dbconfig.js";
+import { unregisterUserDevices } from "./deviceRegistryService.js";
+import { SpaceMember } from "./spaceAccessService.js";
+import { Session, revokeUserSessions } from "./sessionService.js";
 
 /**
  * Get all users from database
@@ -137,6 +140,19 @@ export async function deleteUser(identifier, identifierType = 'mobile', hardDele
       if (result.deletedCount === 0) {
         throw new Error("Failed to delete user");
       }
+
+      // Free the user's devices so they can be registered again
+      await unregisterUserDevices(existingUser._id);
+
+      // Drop access to the user's spaces and the user's access to others' spaces
+      await SpaceMember.deleteMany({
+        $or: [
+          { owner_id: existingUser._id },
+          { mobile_number: existingUser.mobile_number },
+        ],
+      });
+
+      await Session.deleteMany({ user_id: existingUser._id });
       
       return {
         success: true,
@@ -167,6 +183,8 @@ export async function deleteUser(identifier, identifierType = 'mobile', hardDele
       if (result.matchedCount === 0) {
         throw new Error("Failed to deactivate user");
       }
+
+      await revokeUserSessions(existingUser._id, "deactivated");
       
       return {
         success: true,
@@ -244,4 +262,54 @@ export async function reactivateUser(identifier, identifierType = 'mobile') {
     console.error("Reactivate user error:", error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Change a user's platform role
+ * @param {String} identifier - Mobile number or user ID
+ * @param {String} identifierType - 'mobile' or 'id'
+ * @param {String} role - customer, support or admin
+ * @returns {Promise<Object>} Response with the previous and new role
+ */
+export async function updateUserRole(identifier, identifierType = 'mobile', role) {
+  try {
+    if (!USER_ROLES.includes(role)) {
+      throw new Error(`Invalid role '${role}'. Must be one of: ${USER_ROLES.join(", ")}`);
+    }
+
+    let query = {};
+
+    if (identifierType === 'mobile') {
+      query.mobile_number = identifier;
+    } else if (identifierType === 'id') {
+      query._id = identifier;
+    } else {
+      throw new Error("Invalid identifier type. Use 'mobile' or 'id'");
+    }
+
+    const user = await User.findOne(query);
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    const previousRole = user.role || "customer";
+    await User.updateOne({ _id: user._id }, { $set: { role } });
+
+    return {
+      success: true,
+      message: "User role updated successfully",
+      data: {
+        user: {
+          user_name: user.user_name,
+          mobile_number: user.mobile_number,
+          user_id: user._id,
+          role,
+          previous_role: previousRole
+        }
+      }
+    };
+  } catch (error) {
+    console.error("Update user role error:", error);
+    throw error;
+  }
+}
@@ -1,48 +1,273 @@
 // src/utils/mqttHelper.js
+import { EventEmitter } from "events";
+import fs from "fs";
+import mqtt from "mqtt";
 import { LambdaClient, InvokeCommand } from "@aws-sdk/client-lambda";
 import logger from "./logger.js";
+import { MQTT_TRANSPORT, MQTT_BROKER_CONFIG } from "../config/mqttConfig.js";
 
 const REGION = process.env.AWS_REGION || "ap-south-1";
 const FUNCTION_NAME = process.env.AWS_LAMBDA_FUNCTION_NAME || "SlaveResponseToDB";
 
-// Create reusable Lambda client
-const lambdaClient = new LambdaClient({ region: REGION });
+// Incoming messages from whichever transport is active: ("message", topic, payload Buffer)
+const messageEmitter = new EventEmitter();
+messageEmitter.setMaxListeners(20);
 
 /**
- * Publish a message to AWS IoT Core via Lambda.
- * The Lambda function (iotPublishHandler) does the actual IoTDataPlane publish.
+ * AWS Lambda transport.
+ * Publishes through the Lambda (iotPublishHandler) which does the IoTDataPlane publish.
+ * Subscriptions are handled by AWS IoT Rules, so nothing is received here.
  */
-export async function publishToIoT(topic, message) {
-  try {
-    console.log("🔍 Invoking Lambda:", FUNCTION_NAME, "with payload:", { topic, message });
+function createLambdaTransport() {
+  // Create reusable Lambda client
+  const lambdaClient = new LambdaClient({ region: REGION });
 
-    const command = new InvokeCommand({
-      FunctionName: FUNCTION_NAME,
-      Payload: JSON.stringify({ mqttTopic: topic, payload: message }),
-    });
+  return {
+    name: "lambda",
+
+    connect() {
+      logger.info("🌐 Using AWS Lambda + IAM-based IoT communication. No MQTT certs required.");
+    },
+
+    async publish(topic, message) {
+      try {
+        console.log("🔍 Invoking Lambda:", FUNCTION_NAME, "with payload:", { topic, message });
+
+        const command = new InvokeCommand({
+          FunctionName: FUNCTION_NAME,
+          Payload: JSON.stringify({ mqttTopic: topic, payload: message }),
+        });
+
+        const response = await lambdaClient.send(command);
+        const result = new TextDecoder().decode(response.Payload);
+
+        console.log("✅ Lambda response:", result);
+        return result;
+      } catch (error) {
+        console.error("❌ Lambda invocation failed:", error);
+        throw error;
+      }
+    },
+
+    subscribe(topic) {
+      logger.info(`ℹ️ Subscriptions are handled by AWS IoT Rules. Ignored: ${topic}`);
+    },
+
+    isConnected() {
+      return true;
+    },
+  };
+}
+
+/**
+ * Direct MQTT broker transport (Mosquitto, EMQX, AWS IoT with certificates, ...).
+ * Plain or TLS connection with optional username/password, real subscriptions,
+ * QoS, and reconnect with exponential backoff.
+ */
+function createBrokerTransport(config) {
+  let client = null;
+  let reconnectAttempt = 0;
+  let reconnectTimer = null;
+
+  // topic -> qos, re-applied after every (re)connect
+  const subscriptions = new Map();
+
+  function buildOptions() {
+    const options = {
+      clientId: config.clientId,
+      username: config.username,
+      password: config.password,
+      keepalive: config.keepalive,
+      connectTimeout: config.connectTimeout,
+      clean: true,
+      // Reconnects are scheduled below so the delay can back off
+      reconnectPeriod: 0,
+      rejectUnauthorized: config.rejectUnauthorized,
+    };
+
+    if (config.caPath) options.ca = fs.readFileSync(config.caPath);
+    if (config.certPath) options.cert = fs.readFileSync(config.certPath);
+    if (config.keyPath) options.key = fs.readFileSync(config.keyPath);
+
+    return options;
+  }
+
+  function scheduleReconnect() {
+    if (reconnectTimer) return;
+
+    const delay = Math.min(
+      config.reconnectMaxDelay,
+      config.reconnectMinDelay * 2 ** reconnectAttempt
+    );
+    // Jitter so several instances don't hammer the broker in lockstep
+    const jitteredDelay = Math.round(delay * (0.8 + Math.random() * 0.4));
+    reconnectAttempt++;
+
+    logger.warn(`🔌 MQTT broker disconnected, reconnecting in ${jitteredDelay}ms (attempt ${reconnectAttempt})`);
 
-    const response = await lambdaClient.send(command);
-    const result = new TextDecoder().decode(response.Payload);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      client.reconnect();
+    }, jitteredDelay);
+  }
+
+  function brokerTopic(topic) {
+    return config.sharedGroup ? `$share/${config.sharedGroup}/${topic}` : topic;
+  }
 
-    console.log("✅ Lambda response:", result);
-    return result;
-  } catch (error) {
-    console.error("❌ Lambda invocation failed:", error);
-    throw error;
+  function resubscribe() {
+    subscriptions.forEach((qos, topic) => {
+      client.subscribe(brokerTopic(topic), { qos }, (error) => {
+        if (error) {
+          logger.error(`❌ MQTT subscribe failed for ${topic}: ${error.message}`);
+        }
+      });
+    });
   }
+
+  return {
+    name: "broker",
+
+    connect() {
+      if (client) return client;
+
+      logger.info(`🌐 Connecting to MQTT broker ${config.url} as ${config.clientId}`);
+      client = mqtt.connect(config.url, buildOptions());
+
+      client.on("connect", () => {
+        reconnectAttempt = 0;
+        logger.info(`✅ Connected to MQTT broker ${config.url}`);
+        resubscribe();
+      });
+
+      client.on("message", (topic, payload) => {
+        messageEmitter.emit("message", topic, payload);
+      });
+
+      client.on("error", (error) => {
+        logger.error(`❌ MQTT broker error: ${error.message}`);
+      });
+
+      client.on("close", () => {
+        if (!client.disconnecting) {
+          scheduleReconnect();
+        }
+      });
+
+      return client;
+    },
+
+    publish(topic, message, options = {}) {
+      this.connect();
+
+      const payload = typeof message === "string" ? message : JSON.stringify(message);
+      const qos = options.qos ?? config.qos;
+
+      return new Promise((resolve, reject) => {
+        // QoS 1/2 publishes made while offline are queued and sent after reconnect
+        client.publish(topic, payload, { qos, retain: options.retain || false }, (error) => {
+          if (error) {
+            logger.error(`❌ MQTT publish to ${topic} failed: ${error.message}`);
+            return reject(error);
+          }
+          logger.info(`📤 Published to ${topic} (qos ${qos})`);
+          resolve({ topic, qos });
+        });
+      });
+    },
+
+    subscribe(topic, options = {}) {
+      this.connect();
+
+      const qos = options.qos ?? config.qos;
+      subscriptions.set(topic, qos);
+
+      if (client.connected) {
+        client.subscribe(brokerTopic(topic), { qos }, (error) => {
+          if (error) {
+            logger.error(`❌ MQTT subscribe failed for ${topic}: ${error.message}`);
+          } else {
+            logger.info(`📥 Subscribed to ${topic} (qos ${qos})`);
+          }
+        });
+      }
+    },
+
+    isConnected() {
+      return Boolean(client?.connected);
+    },
+
+    end() {
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+      }
+      if (client) {
+        client.end(true);
+        client = null;
+      }
+    },
+  };
 }
 
+const transports = {
+  lambda: () => createLambdaTransport(),
+  broker: () => createBrokerTransport(MQTT_BROKER_CONFIG),
+};
+
+if (!transports[MQTT_TRANSPORT]) {
+  throw new Error(`Unknown MQTT_TRANSPORT '${MQTT_TRANSPORT}'. Use one of: ${Object.keys(transports).join(", ")}`);
+}
+
+const transport = transports[MQTT_TRANSPORT]();
+
+/**
+ * Name of the active transport ("lambda" or "broker")
+ */
+export function getTransportName() {
+  return transport.name;
+}
 
 /**
- * Dummy subscribe placeholder — in AWS IoT, this is handled by IoT Rules or Lambda Triggers.
+ * Publish a message to AWS IoT Core (or the configured broker).
  */
-export function subscribe(topic) {
-  logger.info(`ℹ️ Subscriptions are handled by AWS IoT Rules. Ignored: ${topic}`);
+export async function publishToIoT(topic, message, options = {}) {
+  return transport.publish(topic, message, options);
 }
 
 /**
- * Connection initializer for logging only.
+ * Publish helper used by the IoT handlers - same as publishToIoT.
+ */
+export async function publish(topic, message, options = {}) {
+  return transport.publish(topic, message, options);
+}
+
+/**
+ * Subscribe to a topic. A no-op on the Lambda transport, where AWS IoT Rules deliver messages.
+ */
+export function subscribe(topic, options = {}) {
+  return transport.subscribe(topic, options);
+}
+
+/**
+ * Connect the active transport.
  */
 export function connectMqtt() {
-  logger.info("🌐 Using AWS Lambda + IAM-based IoT communication. No MQTT certs required.");
+  return transport.connect();
+}
+
+/**
+ * Emitter for incoming messages: .on("message", (topic, payload) => ...)
+ * Connects the transport if needed.
+ */
+export function getMqttClient() {
+  transport.connect();
+  return messageEmitter;
+}
+
+/**
+ * Whether the active transport is currently connected.
+ */
+export function isMqttConnected() {
+  return transport.isConnected();
 }
@@ -7,11 +7,20 @@ import { google } from 'googleapis';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import path from 'path';
+import { createWhatsAppProvider, sendOTP } from '../services/otpDeliveryService.js';
 
 
 const PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
 const ACCESS_TOKEN = process.env.WHATSAPP_ACCESS_TOKEN;
 
+// Registration OTPs go out from this app's own WhatsApp number and template
+const otpWhatsAppProvider = createWhatsAppProvider(() => ({
+  phoneNumberId: PHONE_NUMBER_ID,
+  token: ACCESS_TOKEN,
+  template: 'send_otpmessage',
+  buttonText: 'https://yourapp.com',
+}));
+
 async function sendWhatsAppTemplate(toNumber, leadName, assignedTo, location, remarks, leadPhone) {
   const phoneNumber = sanitizePhoneNumber(toNumber);
   if (!phoneNumber) {
@@ -72,69 +81,6 @@ async function sendWhatsAppTemplate(toNumber, leadName, assignedTo, location, re
 
 
 
-async function sendWhatsAppOTP(phoneNumber, otp) {
-  try {
-    console.log(`✅ Sending OTP to WhatsApp for number: ${phoneNumber}`);
-
-    const response = await axios({
-      method: "POST",
-      url: `https://graph.facebook.com/v19.0/${PHONE_NUMBER_ID}/messages`,
-      headers: {
-        Authorization: `Bearer ${ACCESS_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      data: {
-        messaging_product: "whatsapp",
-        recipient_type: "individual",
-        to: phoneNumber,
-        type: "template",
-        template: {
-  name: "send_otpmessage",
-  language: { code: "en_US" },
-  components: [
-    {
-      type: "body",
-      parameters: [{ type: "text", text: otp }]
-    },
-    {
-      type: "button",
-      sub_type: "url",
-      index: "0",
-      parameters: [
-        { type: "text", text: `https://yourapp.com` }
-      ]
-    }
-  ]
-}
-      },
-      timeout: 15000,
-    });
-
-    console.log("✅ OTP sent successfully");
-    return { success: true, data: response.data };
-
-  } catch (error) {
-    console.error("❌ Error sending WhatsApp OTP:", error.message);
-
-    if (error.response) {
-      console.error("Status:", error.response.status);
-      console.error("Error Data:", JSON.stringify(error.response.data, null, 2));
-    } else {
-      console.error("No response from WhatsApp API");
-    }
-
-    return { success: false, error: error.message || "Failed to send OTP" };
-  }
-}
-
-
-
-
-
-
-
-
-
 // In-memory OTP Store
 const otpStore = new Map();
 
@@ -353,8 +299,11 @@ app.post('/api/register', async (req, res) => {
     const otp = generateOTP();
     otpStore.set(mobile, otp);  // ✅ Store OTP temporarily (should expire after X minutes in real app)
 
-    const otpResult = await sendWhatsAppOTP(mobile, otp);
-    if (!otpResult.success) {
+    try {
+      // Country routing and SMS need the number with its country code
+      const phoneNumber = sanitizePhoneNumber(mobile) || `+${mobile.replace(/\D/g, '')}`;
+      await sendOTP({ phoneNumber, email }, otp, { providers: { whatsapp: otpWhatsAppProvider } });
+    } catch (deliveryError) {
       return res.status(500).json({ error: 'Failed to send OTP' });
     }
 
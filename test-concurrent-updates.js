@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+// Fires concurrent IoT updates at one user document and checks that none of them
+// is lost. Every handler used to load the user, change one device and save the
+// whole document, so the last save silently reverted the others.
+//
+// Creates a throwaway user (one base with two switches and four tanks) and removes
+// it again when done. Exits non-zero if any write was lost.
+//
+// Usage:
+//   node test-concurrent-updates.js [rounds]
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { User } from "./src/config/dbconfig.js";
+import { Notification } from "./src/services/notificationService.js";
+import {
+  syncUserDevices,
+  unregisterUserDevices,
+} from "./src/services/deviceRegistryService.js";
+import { updateEmbeddedSetup } from "./src/services/deviceStateService.js";
+import {
+  handleAliveMessage,
+  handleUpdateMessage,
+} from "./src/iot/topicHandlers.js";
+
+dotenv.config();
+
+const rounds = parseInt(process.argv[2]) || 5;
+const runId = Date.now().toString().slice(-8);
+const BASE_ID = `TESTCONC_BM_${runId}`;
+const TANK_IDS = ["TM1", "TM2", "TM3", "TM4"].map((slave) => `TESTCONC_${slave}_${runId}`);
+
+let failures = 0;
+
+function check(condition, description) {
+  if (condition) {
+    console.log(`  ✅ ${description}`);
+  } else {
+    failures++;
+    console.error(`  ❌ ${description}`);
+  }
+}
+
+function buildTestUser() {
+  const base = (switchNo) => ({
+    device_id: BASE_ID,
+    device_type: "base",
+    device_name: `Test base ${switchNo}`,
+    switch_no: switchNo,
+    connection_type: "ble",
+    thing_name: `TESTCONC_THING_${runId}`,
+    status: "off",
+  });
+
+  const tank = (deviceId, index) => ({
+    device_id: deviceId,
+    device_type: "tank",
+    device_name: `Test tank ${index + 1}`,
+    connection_type: "ble",
+    parent_device_id: BASE_ID,
+    parent_switch_no: index < 2 ? "BM1" : "BM2",
+    slave_name: `TM${index + 1}`,
+    level: 0,
+  });
+
+  return {
+    user_name: "Concurrency Test",
+    mobile_number: `99${runId}`,
+    spaces: [
+      {
+        space_name: "Concurrency test space",
+        address: "Nowhere",
+        devices: [base("BM1"), base("BM2"), ...TANK_IDS.map(tank)],
+        setups: [
+          {
+            name: "Concurrency test setup",
+            active: false,
+            condition: {
+              device_id: TANK_IDS[0],
+              device_type: "tank",
+              level: 20,
+              trigger: 20,
+              stop: 90,
+              slot: "Primary1",
+              operator: "<",
+            },
+            actions: [{ device_id: BASE_ID, switch_no: "BM1", set_status: "on" }],
+          },
+        ],
+      },
+    ],
+  };
+}
+
+async function reload(userId) {
+  const user = await User.findById(userId).lean();
+  const devices = user.spaces[0].devices;
+  return {
+    tank: (deviceId) => devices.find((d) => d.device_id === deviceId),
+    base: (switchNo) => devices.find((d) => d.device_id === BASE_ID && d.switch_no === switchNo),
+    setup: user.spaces[0].setups[0],
+  };
+}
+
+// Every tank gets a new level and both switches flip, all at once
+async function testConcurrentUpdates(userId) {
+  console.log(`\n📊 Concurrent level and switch updates (${rounds} rounds)`);
+
+  for (let round = 1; round <= rounds; round++) {
+    const levels = TANK_IDS.map((_, i) => (round * 10 + i * 7) % 100);
+    const status = round % 2 === 0 ? "off" : "on";
+
+    await Promise.all([
+      ...TANK_IDS.map((deviceId, i) =>
+        handleUpdateMessage("test/update", { deviceid: deviceId, level: levels[i] })
+      ),
+      handleUpdateMessage("test/update", { deviceid: BASE_ID, switch_no: "BM1", status }),
+      handleUpdateMessage("test/update", { deviceid: BASE_ID, switch_no: "BM2", status }),
+    ]);
+
+    const state = await reload(userId);
+    const lost = TANK_IDS.filter((deviceId, i) => state.tank(deviceId).level !== levels[i]);
+    check(lost.length === 0, `round ${round}: all tank levels stored${lost.length ? ` (lost: ${lost.join(", ")})` : ""}`);
+    check(
+      state.base("BM1").status === status && state.base("BM2").status === status,
+      `round ${round}: both switches are ${status}`
+    );
+  }
+}
+
+// Several alive messages for an offline device: it comes online once, tanks are untouched
+async function testConcurrentAlive(userId) {
+  console.log("\n💓 Concurrent alive messages");
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { "spaces.$[].devices.$[].online_status": false } }
+  );
+  const before = await reload(userId);
+
+  await Promise.all([
+    ...Array.from({ length: 5 }, () =>
+      handleAliveMessage("test/alive", { deviceid: BASE_ID })
+    ),
+    handleUpdateMessage("test/update", { deviceid: TANK_IDS[0], level: 55 }),
+  ]);
+
+  const state = await reload(userId);
+  check(
+    state.base("BM1").online_status === true && state.base("BM2").online_status === true,
+    "base device is online on both switches"
+  );
+  check(state.tank(TANK_IDS[0]).level === 55, "tank update sent alongside was kept");
+  check(
+    state.tank(TANK_IDS[1]).level === before.tank(TANK_IDS[1]).level,
+    "other tanks were not overwritten"
+  );
+
+  const onlineNotifications = await Notification.countDocuments({
+    user_id: userId,
+    type: "DEVICE_ONLINE",
+    "data.device_id": BASE_ID,
+  });
+  check(onlineNotifications === 1, `device came online once (${onlineNotifications} notification(s))`);
+}
+
+// Concurrent compare-and-set on a setup's automation state: exactly one wins
+async function testSetupTransition(userId) {
+  console.log("\n⚙️ Concurrent setup state transitions");
+
+  const { setup } = await reload(userId);
+  const spaceId = (await User.findById(userId).lean()).spaces[0]._id;
+
+  const results = await Promise.all(
+    Array.from({ length: 10 }, () =>
+      updateEmbeddedSetup(
+        {
+          userId,
+          spaceId,
+          setupId: setup._id,
+          where: { automation_state: { $in: ["idle", null] } },
+        },
+        { automation_state: "filling", last_triggered: new Date() }
+      )
+    )
+  );
+
+  const winners = results.filter(Boolean).length;
+  check(winners === 1, `exactly one transition won (${winners} of ${results.length})`);
+
+  const state = await reload(userId);
+  check(state.setup.automation_state === "filling", "setup is filling");
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("🔌 Connected to MongoDB");
+
+  const user = await User.create(buildTestUser());
+  await syncUserDevices(user);
+  console.log(`🧪 Created test user ${user.mobile_number}`);
+
+  try {
+    await testConcurrentUpdates(user._id);
+    await testConcurrentAlive(user._id);
+    await testSetupTransition(user._id);
+  } finally {
+    const deviceIds = [BASE_ID, ...TANK_IDS];
+    await Promise.all([
+      User.deleteOne({ _id: user._id }),
+      unregisterUserDevices(user._id),
+      Notification.deleteMany({ user_id: user._id }),
+      mongoose.connection.db
+        .collection("tank_readings")
+        .deleteMany({ deviceid: { $in: deviceIds } }),
+    ]);
+    console.log("\n🧹 Test data removed");
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} check(s) failed - writes were lost`);
+    process.exitCode = 1;
+  } else {
+    console.log("\n🎉 No lost writes");
+  }
+}
+
+run()
+  .catch((error) => {
+    console.error("❌ Test failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+    // The imported handlers keep logger and broker connections open
+    process.exit();
+  });
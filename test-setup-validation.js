@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+// Sends invalid multi-condition setups through the create-setup controller and
+// checks that each one is rejected with 400 and nothing is saved. The service used
+// to swallow its validation errors, so the controller answered 201 "Setup created
+// successfully" for setups that were never stored.
+//
+// Creates a throwaway user (one base and one tank) and removes it again when done.
+// Exits non-zero if any check fails.
+//
+// Usage:
+//   node test-setup-validation.js
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { User } from "./src/config/dbconfig.js";
+import {
+  syncUserDevices,
+  unregisterUserDevices,
+} from "./src/services/deviceRegistryService.js";
+import { createSetup } from "./src/controllers/setupController.js";
+
+dotenv.config();
+
+const runId = Date.now().toString().slice(-8);
+const BASE_ID = `TESTSETUP_BM_${runId}`;
+const TANK_ID = `TESTSETUP_TM1_${runId}`;
+
+let failures = 0;
+
+function check(condition, description) {
+  if (condition) {
+    console.log(`  ✅ ${description}`);
+  } else {
+    failures++;
+    console.error(`  ❌ ${description}`);
+  }
+}
+
+function buildTestUser() {
+  return {
+    user_name: "Setup Validation Test",
+    mobile_number: `98${runId}`,
+    spaces: [
+      {
+        space_name: "Setup validation test space",
+        address: "Nowhere",
+        devices: [
+          {
+            device_id: BASE_ID,
+            device_type: "base",
+            device_name: "Test base",
+            switch_no: "BM1",
+            connection_type: "ble",
+            status: "off",
+          },
+          {
+            device_id: TANK_ID,
+            device_type: "tank",
+            device_name: "Test tank",
+            connection_type: "ble",
+            parent_device_id: BASE_ID,
+            parent_switch_no: "BM1",
+            slave_name: "TM1",
+            level: 50,
+          },
+        ],
+        setups: [],
+      },
+    ],
+  };
+}
+
+// Call the controller the way Express would and capture the response
+async function callCreateSetup(user, body) {
+  const response = {};
+  const res = {
+    status(code) {
+      response.status = code;
+      return this;
+    },
+    json(payload) {
+      response.body = payload;
+      return this;
+    },
+  };
+
+  await createSetup(
+    {
+      user: { mobile_number: user.mobile_number, user_id: user._id },
+      params: { spaceId: user.spaces[0]._id.toString() },
+      body,
+    },
+    res
+  );
+  return response;
+}
+
+const validSetup = () => ({
+  name: "Fill when low and pump off",
+  logic: "AND",
+  conditions: [
+    { device_id: TANK_ID, device_type: "tank", level: 20, operator: "<" },
+    { device_id: BASE_ID, device_type: "base", switch_no: "BM1", status: "off" },
+  ],
+  actions: [{ device_id: BASE_ID, switch_no: "BM1", set_status: "on" }],
+});
+
+const invalidSetups = {
+  "unknown logic": { ...validSetup(), logic: "XOR" },
+  "condition device not in the space": {
+    ...validSetup(),
+    conditions: [{ device_id: "NO_SUCH_DEVICE", device_type: "tank", level: 20 }],
+  },
+  "condition device type mismatch": {
+    ...validSetup(),
+    conditions: [{ device_id: TANK_ID, device_type: "base", switch_no: "BM1", status: "on" }],
+  },
+  "tank used as action device": {
+    ...validSetup(),
+    actions: [{ device_id: TANK_ID, switch_no: "BM1", set_status: "on" }],
+  },
+  "negative action delay": {
+    ...validSetup(),
+    actions: [{ device_id: BASE_ID, switch_no: "BM1", set_status: "on", delay: -5 }],
+  },
+};
+
+async function testInvalidSetups(user) {
+  console.log("\n🚫 Invalid multi-condition setups");
+
+  for (const [description, body] of Object.entries(invalidSetups)) {
+    const { status, body: response } = await callCreateSetup(user, body);
+    check(
+      status === 400 && response.success === false,
+      `${description}: rejected with ${status} (${response.message})`
+    );
+  }
+
+  const stored = await User.findById(user._id).lean();
+  check(stored.spaces[0].setups.length === 0, "no setup was saved");
+}
+
+async function testValidSetup(user) {
+  console.log("\n✔️ Valid multi-condition setup");
+
+  const { status } = await callCreateSetup(user, validSetup());
+  check(status === 201, `created with ${status}`);
+
+  const stored = await User.findById(user._id).lean();
+  check(stored.spaces[0].setups.length === 1, "setup was saved");
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGO_URI);
+  console.log("🔌 Connected to MongoDB");
+
+  const user = await User.create(buildTestUser());
+  await syncUserDevices(user);
+  console.log(`🧪 Created test user ${user.mobile_number}`);
+
+  try {
+    await testInvalidSetups(user);
+    await testValidSetup(user);
+  } finally {
+    await Promise.all([User.deleteOne({ _id: user._id }), unregisterUserDevices(user._id)]);
+    console.log("\n🧹 Test data removed");
+  }
+
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} check(s) failed`);
+    process.exitCode = 1;
+  } else {
+    console.log("\n🎉 Invalid setups are rejected");
+  }
+}
+
+run()
+  .catch((error) => {
+    console.error("❌ Test failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+    // The imported services keep logger and broker connections open
+    process.exit();
+  });